@@ -0,0 +1,165 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  contentHash, datasetVersion, writeHashedFiles, stableChunks, readState, writeState,
+  sameFingerprint, releaseSnapshot, buildChanges,
+} = require('../incremental');
+
+const record = (ndc, description, price, cls = 'G') => ({
+  ndc, ndc_description: description, nadac_per_unit: price, classification_for_rate_setting: cls,
+});
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'incremental-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('buildChanges', () => {
+  const previous = releaseSnapshot([
+    record('00000000001', 'KEPT 5 MG TABLET', '1.00'),
+    record('00000000002', 'GONE 10 MG TABLET', '2.00'),
+    record('00000000003', 'CHEAPER 20 MG TABLET', '4.00', 'B'),
+    record('00000000004', 'FLIPPED 1 MG TABLET', '0.50', 'B'),
+    record('00000000005', 'TWO NAMES 5 MG TABLET', '3.00'),
+    record('00000000005', 'TWO NAMES 5 MG TAB', '3.00'),
+  ]);
+  const current = releaseSnapshot([
+    record('00000000001', 'KEPT 5 MG TABLET', '1.0'),
+    record('00000000003', 'CHEAPER 20 MG TABLET', '3.00', 'B'),
+    record('00000000004', 'FLIPPED 1 MG TABLET', '0.50', 'g'),
+    record('00000000005', 'TWO NAMES 5 MG TABLET', '3.30'),
+    record('00000000005', 'TWO NAMES 5 MG TAB', '3.00'),
+    record('00000000006', 'NEW 2 MG TABLET', '0.10', 'G'),
+  ]);
+  const changes = buildChanges(previous, current);
+
+  it('lists added and removed records with their price and classification', () => {
+    expect(changes.added).toEqual([
+      { ndc: '00000000006', ndc_description: 'NEW 2 MG TABLET', nadac_per_unit: '0.10', classification: 'G' },
+    ]);
+    expect(changes.removed).toEqual([
+      { ndc: '00000000002', ndc_description: 'GONE 10 MG TABLET', nadac_per_unit: '2.00', classification: 'G' },
+    ]);
+  });
+
+  it('compares prices numerically and sorts repricings by the size of the change', () => {
+    expect(changes.repriced).toEqual([
+      { ndc: '00000000003', ndc_description: 'CHEAPER 20 MG TABLET', previous: '4.00', current: '3.00', changePercent: -25 },
+      { ndc: '00000000005', ndc_description: 'TWO NAMES 5 MG TABLET', previous: '3.00', current: '3.30', changePercent: 10 },
+    ]);
+  });
+
+  it('tracks an NDC listed under two descriptions once per description', () => {
+    expect(Object.keys(current).filter(k => k.endsWith('||00000000005'))).toHaveLength(2);
+    expect(changes.repriced.filter(c => c.ndc === '00000000005').map(c => c.ndc_description)).toEqual(['TWO NAMES 5 MG TABLET']);
+    expect(changes.added.concat(changes.removed).some(c => c.ndc === '00000000005')).toBe(false);
+  });
+
+  it('reports brand <-> generic flips only', () => {
+    expect(changes.classificationFlips).toEqual([
+      { ndc: '00000000004', ndc_description: 'FLIPPED 1 MG TABLET', previous: 'B', current: 'G' },
+    ]);
+    const toUnknown = buildChanges(previous, releaseSnapshot([record('00000000004', 'FLIPPED 1 MG TABLET', '0.50', '')]));
+    expect(toUnknown.classificationFlips).toEqual([]);
+    expect(changes.totals).toEqual({ added: 1, removed: 1, repriced: 2, classificationFlips: 1 });
+  });
+});
+
+describe('writeHashedFiles', () => {
+  it('names files by content hash, writes only new content and removes stale files', () => {
+    fs.writeFileSync(path.join(dir, 'manifest.json'), '{}');
+    const first = writeHashedFiles(dir, [{ base: 'chunk-1', content: '[1]' }, { base: 'chunk-2', content: '[2]' }], { keep: ['manifest.json'] });
+    expect(first.files).toEqual([
+      { filename: `chunk-1.${contentHash('[1]')}.json`, hash: contentHash('[1]') },
+      { filename: `chunk-2.${contentHash('[2]')}.json`, hash: contentHash('[2]') },
+    ]);
+    expect(first).toMatchObject({ written: 2, removed: 0 });
+    expect(fs.readFileSync(path.join(dir, first.files[0].filename), 'utf8')).toBe('[1]');
+
+    const second = writeHashedFiles(dir, [{ base: 'chunk-1', content: '[1]' }, { base: 'chunk-2', content: '[2, 3]' }], { keep: ['manifest.json'] });
+    expect(second.files[0]).toEqual(first.files[0]);
+    expect(second).toMatchObject({ written: 1, removed: 1 });
+    expect(fs.readdirSync(dir).sort()).toEqual([first.files[0].filename, second.files[1].filename, 'manifest.json'].sort());
+  });
+});
+
+describe('datasetVersion', () => {
+  it('changes with unhashed file content and hashed file names only', () => {
+    fs.writeFileSync(path.join(dir, 'index.json'), '{"a":1}');
+    const files = ['index.json', `chunk-1.${contentHash('[1]')}.json`];
+    const version = datasetVersion(dir, files);
+    expect(version).toMatch(/^[0-9a-f]{16}$/);
+    expect(datasetVersion(dir, files)).toBe(version);
+    expect(datasetVersion(dir, ['index.json', `chunk-1.${contentHash('[2]')}.json`])).not.toBe(version);
+    fs.writeFileSync(path.join(dir, 'index.json'), '{"a":2}');
+    expect(datasetVersion(dir, files)).not.toBe(version);
+  });
+
+  it('versions content that is not written yet like the same file on disk', () => {
+    const files = ['index.json', 'facets.json'];
+    const pending = { 'facets.json': '{"b":1}' };
+    fs.writeFileSync(path.join(dir, 'index.json'), '{"a":1}');
+    const version = datasetVersion(dir, files, pending);
+    fs.writeFileSync(path.join(dir, 'facets.json'), pending['facets.json']);
+    expect(datasetVersion(dir, files)).toBe(version);
+  });
+});
+
+describe('sameFingerprint', () => {
+  it('compares fingerprints by value and never matches a missing one', () => {
+    const a = { 'nadac.csv': { size: 10, mtimeMs: 5 }, 'ndc.json': null };
+    expect(sameFingerprint(a, JSON.parse(JSON.stringify(a)))).toBe(true);
+    expect(sameFingerprint(a, { ...a, 'nadac.csv': { size: 11, mtimeMs: 5 } })).toBe(false);
+    expect(sameFingerprint(null, a)).toBe(false);
+    expect(sameFingerprint(a, undefined)).toBe(false);
+  });
+});
+
+describe('readState', () => {
+  it('reads back the state it wrote and ignores missing, outdated or unreadable files', () => {
+    const statePath = path.join(dir, 'pipeline-state.json');
+    expect(readState(statePath)).toBeNull();
+    writeState(statePath, { inputs: { 'nadac.csv': null }, snapshot: {} });
+    expect(readState(statePath)).toEqual({ version: 2, inputs: { 'nadac.csv': null }, snapshot: {} });
+    // Version 1 snapshots were keyed by NDC alone
+    fs.writeFileSync(statePath, JSON.stringify({ version: 1, inputs: {}, snapshot: {} }));
+    expect(readState(statePath)).toBeNull();
+    fs.writeFileSync(statePath, '{ not json');
+    expect(readState(statePath)).toBeNull();
+  });
+});
+
+describe('stableChunks', () => {
+  // 300 groups of 1-5 items each
+  const groups = Array.from({ length: 300 }, (_, i) => ({
+    key: `group-${String(i).padStart(3, '0')}`,
+    items: Array.from({ length: 1 + (i % 5) }, (_, j) => `${i}.${j}`),
+  }));
+  const options = { every: 8, maxSize: 40 };
+
+  it('keeps groups whole, in order, within the size limit', () => {
+    const chunks = stableChunks(groups, options);
+    expect(chunks.flat()).toEqual(groups.flatMap(g => g.items));
+    expect(Math.max(...chunks.map(c => c.length))).toBeLessThanOrEqual(40);
+    for (const chunk of chunks) expect(chunk[0]).toMatch(/\.0$/);
+  });
+
+  it('only replaces the chunk a new group lands in', () => {
+    const before = stableChunks(groups, options);
+    const grown = [...groups.slice(0, 150), { key: 'group-149a', items: ['new'] }, ...groups.slice(150)];
+    const after = new Set(stableChunks(grown, options).map(c => JSON.stringify(c)));
+    // The new group may start a chunk of its own, splitting the one it lands in
+    expect(before.filter(c => !after.has(JSON.stringify(c)))).toHaveLength(1);
+  });
+
+  it('splits a group larger than the limit into slices of at most the limit', () => {
+    const big = { key: 'big', items: Array.from({ length: 25 }, (_, i) => i) };
+    const chunks = stableChunks([{ key: 'a', items: ['a'] }, big, { key: 'b', items: ['b'] }], { every: 1000, maxSize: 10 });
+    expect(chunks).toEqual([['a'], big.items.slice(0, 10), big.items.slice(10, 20), [...big.items.slice(20), 'b']]);
+  });
+});
@@ -0,0 +1,114 @@
+const { scoreMatch, createMatchReport, renderMatchReportHtml } = require('../match-report');
+
+// The pipeline's word tokenizer: lowercase words of 3+ characters
+const tokenize = (s) => s.toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length >= 3);
+
+// One best-match link as the process stage builds it; defaults are an exact package NDC match
+function link(fields = {}) {
+  return {
+    productNdc: '0087-6060',
+    normalizedProductNdc: '000876060',
+    brandName: 'Glucophage',
+    genericName: 'METFORMIN HYDROCHLORIDE',
+    labelerName: 'Bristol-Myers Squibb',
+    matchMode: 'package',
+    matchedVariantType: 'package',
+    matchMethod: 'exactPackage',
+    ...fields,
+  };
+}
+
+const substring = (fields = {}) => link({ matchMethod: 'substringFallback', matchMode: 'forward', matchedVariantType: 'digits', ...fields });
+const NO_PACKAGE = 'no openFDA package NDC equals the NADAC NDC; matched by product NDC substring';
+
+describe('scoreMatch', () => {
+  it('gives an exact package match full confidence without brand overlap', () => {
+    expect(scoreMatch('METFORMIN HCL 500 MG TABLET', [link()], tokenize)).toEqual({ score: 1, level: 'high', reasons: [] });
+  });
+
+  it.each([
+    // mode 0.3 + variant 0.15 + length 0.3 * 0.85 + overlap 0.25 * 1/2
+    ['a forward substring match with partial brand overlap', [substring({ normalizedProductNdc: '00093104', brandName: 'Metformin Hydrochloride' })], 0.83, 'high',
+      [NO_PACKAGE, 'brand name only partly appears in the NADAC description']],
+    // mode 0.3 * 0.5 + variant 0.15 * 0.8 + length 0.3 * 0.7 + overlap 0.25 * 1
+    ['a reverse zero-filled 7-digit match', [substring({ matchMode: 'reverse', matchedVariantType: 'zeroFill', normalizedProductNdc: '0093104', brandName: 'Metformin' })], 0.73, 'medium',
+      [NO_PACKAGE, 'NADAC NDC found only inside a longer openFDA NDC', 'matched through the zero-filled product NDC variant', 'only 7 NDC digits matched']],
+    // labeler-only match: length 0.4, no brand overlap
+    ['a 5-digit match without brand overlap', [substring({ normalizedProductNdc: '00093', brandName: 'Riomet' })], 0.57, 'low',
+      [NO_PACKAGE, 'only 5 NDC digits matched', 'brand name only partly appears in the NADAC description']],
+  ])('weights %s', (_, bestMatches, score, level, reasons) => {
+    expect(scoreMatch('METFORMIN HCL 500 MG TABLET', bestMatches, tokenize)).toEqual({ score, level, reasons });
+  });
+
+  it('scales the score down when several products tie for best', () => {
+    const tied = [substring({ normalizedProductNdc: '00093104', brandName: 'Metformin Hydrochloride' }), substring({ productNdc: '65862-008', brandName: 'Metformin' })];
+    expect(scoreMatch('METFORMIN HCL 500 MG TABLET', tied, tokenize)).toMatchObject({ score: 0.664, level: 'medium' });
+    expect(scoreMatch('METFORMIN HCL 500 MG TABLET', tied, tokenize).reasons).toContain('2 openFDA products tied for best match');
+    // Two links to the same product are not ambiguous
+    const sameProduct = [link(), link({ matchMode: 'forward' })];
+    expect(scoreMatch('GLUCOPHAGE 500 MG TABLET', sameProduct, tokenize).score).toBe(1);
+  });
+});
+
+describe('createMatchReport', () => {
+  function buildReport() {
+    const report = createMatchReport();
+    report.addRejections(['emptyBrand', 'noBrandTokenOverlap', 'noBrandTokenOverlap']);
+    const add = (ndc, description, bestMatches, extra) => report.addMatched(
+      { ndc, ndc_description: description }, bestMatches, scoreMatch(description, bestMatches, tokenize), extra,
+    );
+    add('00087606005', 'GLUCOPHAGE 500 MG TABLET', [link()], { orangeBook: { teCode: 'AB' } });
+    add('00093104801', 'METFORMIN HCL 500 MG TABLET', [
+      substring({ normalizedProductNdc: '00093104', brandName: 'Metformin Hydrochloride' }),
+      substring({ productNdc: '65862-008', brandName: 'Metformin Hydrochloride', labelerName: 'Aurobindo' }),
+    ]);
+    add('00093000001', 'METFORMIN HCL 850 MG TABLET', [substring({ normalizedProductNdc: '00093', brandName: 'Riomet', matchMode: 'reverse', matchedVariantType: 'zeroFill' })]);
+    add('00093000002', 'METFORMIN HCL 1,000 MG TABLET', [substring({ normalizedProductNdc: '00093', brandName: 'Riomet' })]);
+    report.addUnmatched({ ndc: '11111111111', ndc_description: 'RARE 1 MG TABLET' }, 'noCandidates', 2);
+    report.addUnmatched({ ndc: '33333333333', ndc_description: 'COMMON 5 MG TABLET' }, 'noBrandTokenOverlap', 40);
+    report.addUnmatched({ ndc: '22222222222', ndc_description: 'OTHER 5 MG TABLET' }, 'emptyBrand', 40);
+    return report.build();
+  }
+  const report = buildReport();
+
+  it('totals records, confidence levels, methods and links', () => {
+    expect(report.totals).toEqual({ records: 7, matched: 4, unmatched: 3, matchRate: 0.571, orangeBookLinks: 1 });
+    expect(report.confidence).toEqual({ high: 1, medium: 1, low: 2 });
+    expect(report.methods).toEqual({ exactPackage: 1, substringFallback: 3 });
+    expect(report.links).toEqual({ package: 1, forward: 3, reverse: 1, digits: 3, zeroFill: 1 });
+    expect(report.bestLengthDistribution).toEqual({ 5: 2, 8: 1, 9: 1 });
+    expect(report.topBrands[0]).toEqual({ brandName: 'Metformin Hydrochloride', count: 2 });
+  });
+
+  it('counts rejections per dropped link and per unmatched record', () => {
+    expect(report.rejections).toEqual({
+      links: { emptyBrand: 1, noBrandTokenOverlap: 2 },
+      records: { noCandidates: 1, emptyBrand: 1, noBrandTokenOverlap: 1 },
+    });
+  });
+
+  it('ranks unmatched NDCs by NADAC rows, then NDC', () => {
+    expect(report.unmatchedHighVolume.map(u => [u.ndc, u.nadacRows, u.reason])).toEqual([
+      ['22222222222', 40, 'emptyBrand'],
+      ['33333333333', 40, 'noBrandTokenOverlap'],
+      ['11111111111', 2, 'noCandidates'],
+    ]);
+  });
+
+  it('lists ambiguous records with their candidates and low-confidence records by score', () => {
+    expect(report.ambiguousCount).toBe(1);
+    expect(report.ambiguous[0]).toMatchObject({ ndc: '00093104801' });
+    expect(report.ambiguous[0].candidates.map(c => [c.productNdc, c.labelerName])).toEqual([
+      ['0087-6060', 'Bristol-Myers Squibb'],
+      ['65862-008', 'Aurobindo'],
+    ]);
+    expect(report.lowConfidence.map(l => [l.ndc, l.score])).toEqual([['00093000001', 0.39], ['00093000002', 0.57]]);
+  });
+
+  it('renders the report as escaped HTML', () => {
+    const html = renderMatchReportHtml({ ...report, unmatchedHighVolume: [{ ndc: '1', ndc_description: 'A <B> & C', reason: 'noCandidates', nadacRows: 1 }] });
+    expect(html).toContain('Matched 4 of 7 records (57.10%)');
+    expect(html).toContain('<td>A &lt;B&gt; &amp; C</td>');
+    expect(html).toContain('<h2>Ambiguous records (1)</h2>');
+  });
+});
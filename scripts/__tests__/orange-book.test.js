@@ -0,0 +1,110 @@
+const path = require('path');
+const {
+  applicationKeyFromOpenFda, parseOrangeBookProducts, readOrangeBookProducts, buildOrangeBookIndex, matchOrangeBook,
+} = require('../orange-book');
+const { parseDescriptionStrengths } = require('../strength');
+
+const SAMPLE = path.join(__dirname, '..', 'fixtures', 'orange-book-products.sample.txt');
+const products = readOrangeBookProducts(SAMPLE);
+const index = buildOrangeBookIndex(products);
+
+// An enriched record and its best openFDA match, as the process stage passes them
+function match(applicationNumber, description, ingredients) {
+  const record = { ndc_description: description, strength: { components: parseDescriptionStrengths(description) } };
+  const bestMatcher = { applicationNumber, activeIngredientsDetailed: ingredients.map(name => ({ name })) };
+  return matchOrangeBook(record, bestMatcher, index);
+}
+
+describe('applicationKeyFromOpenFda', () => {
+  it.each([
+    ['NDA020357', 'N020357'],
+    ['ANDA075962', 'A075962'],
+    ['ANDA75962', 'A075962'],
+    [' anda076545 ', 'A076545'],
+    ['BLA125057', ''],
+    ['part341', ''],
+    [undefined, ''],
+  ])('maps %p to %p', (input, key) => {
+    expect(applicationKeyFromOpenFda(input)).toBe(key);
+  });
+});
+
+describe('parseOrangeBookProducts', () => {
+  it('reads every product of the sample file', () => {
+    expect(products).toHaveLength(17);
+    expect(index).toMatchObject({ size: 17 });
+    expect(index.byApplication.get('N020357')).toHaveLength(3);
+  });
+
+  it('parses TE codes, RLD/RS flags and ingredient lists', () => {
+    const [glucophage] = products;
+    expect(glucophage).toEqual({
+      applType: 'N',
+      applNo: '020357',
+      productNo: '001',
+      ingredients: ['METFORMIN HYDROCHLORIDE'],
+      dosageFormRoute: 'TABLET;ORAL',
+      tradeName: 'GLUCOPHAGE',
+      strength: '500MG',
+      teCode: 'AB',
+      rld: true,
+      rs: false,
+      marketingType: 'RX',
+    });
+    const combo = products.find(p => p.applNo === '040148');
+    expect(combo.ingredients).toEqual(['ACETAMINOPHEN', 'HYDROCODONE BITARTRATE']);
+    expect(combo.teCode).toBe('AA');
+  });
+
+  it('pads application numbers, leaves blank TE codes undefined and needs the application columns', () => {
+    const text = [
+      'Ingredient~Strength~Appl_Type~Appl_No~Product_No~TE_Code~RLD~RS',
+      'DRUG X~10MG~n~12345~001~~No~No',
+    ].join('\r\n');
+    expect(parseOrangeBookProducts(text)[0]).toMatchObject({ applType: 'N', applNo: '012345', teCode: undefined });
+    expect(parseOrangeBookProducts('')).toEqual([]);
+    expect(() => parseOrangeBookProducts('Ingredient~Strength\nX~1MG')).toThrow(/Appl_Type\/Appl_No/);
+  });
+});
+
+describe('matchOrangeBook', () => {
+  it('joins on the application number and narrows by strength', () => {
+    expect(match('NDA020357', 'GLUCOPHAGE 500 MG TABLET', ['METFORMIN HYDROCHLORIDE'])).toEqual({
+      applicationNumber: 'N020357',
+      productNo: '001',
+      tradeName: 'GLUCOPHAGE',
+      teCode: 'AB',
+      rld: true,
+      rs: false,
+      marketingType: 'RX',
+    });
+    expect(match('NDA020357', 'GLUCOPHAGE 1,000 MG TABLET', ['METFORMIN HYDROCHLORIDE'])).toMatchObject({ productNo: '003', rs: true });
+  });
+
+  it('matches unpadded ANDA numbers and single-product applications without narrowing', () => {
+    expect(match('ANDA76545', 'METFORMIN ER 500 MG TABLET', ['METFORMIN HYDROCHLORIDE']))
+      .toMatchObject({ applicationNumber: 'A076545', teCode: 'AB1', rld: false });
+    expect(match('ANDA040573', 'PHENYTOIN SOD EXT 100 MG CAP', ['PHENYTOIN SODIUM']).teCode).toBe('BX');
+  });
+
+  it('compares combination strengths as a set and keeps candidates when ingredient names differ', () => {
+    expect(match('ANDA040148', 'HYDROCODONE-APAP 5-325 MG TAB', ['HYDROCODONE BITARTRATE', 'ACETAMINOPHEN']).teCode).toBe('AA');
+    expect(match('ANDA075962', 'METFORMIN HCL 850 MG TABLET', ['METFORMIN HCL'])).toMatchObject({ productNo: '002' });
+  });
+
+  it('returns nothing for unknown applications, unmatched strengths and non-Orange Book applications', () => {
+    expect(match('ANDA099999', 'METFORMIN HCL 500 MG TABLET', ['METFORMIN HYDROCHLORIDE'])).toBeUndefined();
+    expect(match('ANDA075962', 'METFORMIN HCL 750 MG TABLET', ['METFORMIN HYDROCHLORIDE'])).toBeUndefined();
+    expect(match('BLA125057', 'ADALIMUMAB 40 MG/0.8 ML', ['ADALIMUMAB'])).toBeUndefined();
+  });
+
+  it('refuses a join whose candidates disagree on the TE code', () => {
+    const ambiguous = buildOrangeBookIndex(parseOrangeBookProducts([
+      'Ingredient~Strength~Appl_Type~Appl_No~Product_No~TE_Code~RLD~RS',
+      'DRUG X~10MG~A~012345~001~AB~No~No',
+      'DRUG X~10MG~A~012345~002~BX~No~No',
+    ].join('\n')));
+    const record = { strength: { components: parseDescriptionStrengths('DRUG X 10 MG TAB') } };
+    expect(matchOrangeBook(record, { applicationNumber: 'ANDA012345' }, ambiguous)).toBeUndefined();
+  });
+});
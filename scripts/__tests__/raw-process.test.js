@@ -0,0 +1,105 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildPriceHistoryChunks, writePriceHistoryChunks, publishChunks } = require('../raw-process');
+const { createOutputValidator, validateDataDir } = require('../validate-outputs');
+const { loadFixtureRecords } = require('../../src/engine/__fixtures__');
+
+const point = (effective_date, nadac_per_unit) => ({ effective_date, nadac_per_unit, explanation_code: '1' });
+
+// NDCs 00000000000, 00000000007, ... with a two-point history each
+function history(count, step = 7) {
+  const out = new Map();
+  for (let i = 0; i < count; i++) {
+    out.set(String(i * step).padStart(11, '0'), [point('2024-01-03', 1 + i), point('2024-02-07', 1.5 + i)]);
+  }
+  return out;
+}
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-history-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+const readJson = (name) => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+
+describe('writePriceHistoryChunks', () => {
+  it('writes NDC-range chunks and a manifest the UI can look NDCs up in', () => {
+    const priceHistory = history(5000);
+    const files = writePriceHistoryChunks(buildPriceHistoryChunks(priceHistory), dir);
+    const manifest = readJson('price-history-manifest.json');
+    expect(files).toEqual(['price-history-manifest.json', ...manifest.chunks.map(c => c.filename)]);
+    expect(manifest).toMatchObject({ total: 5000, chunkSize: 4000, numberOfChunks: manifest.chunks.length });
+    expect(manifest.chunks.reduce((n, c) => n + c.count, 0)).toBe(5000);
+    for (const [i, c] of manifest.chunks.entries()) {
+      expect(c.filename).toBe(`price-history-chunk-${i + 1}.${c.hash}.json`);
+      expect(c.count).toBeLessThanOrEqual(4000);
+      if (i > 0) expect(manifest.chunks[i - 1].lastNdc < c.firstNdc).toBe(true);
+    }
+    // The lookup App.js does: the chunk whose range holds the NDC has its history
+    for (const ndc of ['00000000000', '00000017493', '00000034993']) {
+      const chunk = manifest.chunks.find(c => c.firstNdc <= ndc && ndc <= c.lastNdc);
+      expect(readJson(chunk.filename)[ndc]).toEqual(priceHistory.get(ndc));
+    }
+  });
+
+  it('only rewrites the chunk a new NDC lands in', () => {
+    const priceHistory = history(5000);
+    writePriceHistoryChunks(buildPriceHistoryChunks(priceHistory), dir);
+    const before = readJson('price-history-manifest.json').chunks.map(c => c.filename);
+    priceHistory.set('00000017494', [point('2024-02-07', 9)]);
+    writePriceHistoryChunks(buildPriceHistoryChunks(new Map([...priceHistory].sort())), dir);
+    const after = readJson('price-history-manifest.json').chunks.map(c => c.filename);
+    expect(before.filter(f => !after.includes(f))).toHaveLength(1);
+    expect(fs.readdirSync(dir).sort()).toEqual([...after, 'price-history-manifest.json'].sort());
+  });
+
+  it('writes an empty manifest when there is no history', () => {
+    expect(writePriceHistoryChunks(buildPriceHistoryChunks(new Map()), dir)).toEqual(['price-history-manifest.json']);
+    expect(readJson('price-history-manifest.json')).toEqual({ total: 0, chunkSize: 4000, numberOfChunks: 0, chunks: [] });
+  });
+});
+
+describe('publishChunks', () => {
+  const records = loadFixtureRecords();
+  const outputs = () => ({ enriched: records, medUnique: records, priceHistory: history(3), asOfDate: '2024-12-11' });
+  // Every file under `dir` with its content
+  const snapshot = () => fs.readdirSync(dir, { recursive: true }).sort()
+    .filter(f => fs.statSync(path.join(dir, f)).isFile())
+    .map(f => [f, fs.readFileSync(path.join(dir, f), 'utf8')]);
+
+  beforeEach(() => {
+    const descriptions = Array.from(new Set(records.map(r => r.ndc_description))).sort();
+    fs.writeFileSync(path.join(dir, 'search-index-enriched.json'), JSON.stringify({ descriptions }));
+  });
+
+  it('writes a dataset that passes validate:data', () => {
+    const manifest = publishChunks(outputs(), createOutputValidator(), dir);
+    expect(readJson('enriched-chunks/chunks-manifest.json')).toEqual(manifest);
+    expect(manifest.chunks.reduce((n, c) => n + c.count, 0)).toBe(records.length);
+    expect(validateDataDir(dir)).toEqual([]);
+  });
+
+  it('writes nothing when an output does not match its schema', () => {
+    publishChunks(outputs(), createOutputValidator(), dir);
+    const before = snapshot();
+    const bad = { ...records[0], ndc_description: 'NEW 5 MG TABLET', classification_for_rate_setting: 'X' };
+    const changed = { ...outputs(), enriched: [...records, bad], priceHistory: history(4) };
+    expect(() => publishChunks(changed, createOutputValidator(), dir)).toThrow(/description-classification\.json does not match its schema/);
+    expect(snapshot()).toEqual(before);
+  });
+
+  it('validates the inverted index', () => {
+    const validator = createOutputValidator();
+    const check = jest.spyOn(validator, 'check');
+    publishChunks(outputs(), validator, dir);
+    expect(check).toHaveBeenCalledWith('invertedIndex', expect.objectContaining({ version: 1 }), expect.stringMatching(/^inverted-index\.[0-9a-f]+\.json$/));
+    expect(validator.violations('invertedIndex', { version: 1, terms: { metformin: ['0'] }, ingredients: {} }, 'index')).toEqual(['index.terms[\'metformin\'][0]: should be integer']);
+  });
+});
@@ -0,0 +1,167 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SOURCES, sourceById, sourceOverrides, localSourcePath, sourcePath } = require('../sources');
+const { copyLocalFile } = require('../fetch-sources');
+const { getJson } = require('../sources/download');
+
+jest.mock('../sources/download', () => ({ ...jest.requireActual('../sources/download'), getJson: jest.fn() }));
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const FIXTURE_FILES = {
+  orangeBook: 'orange-book-products.sample.txt',
+  fdaShortages: 'fda-drug-shortages.sample.json',
+  rxnorm: 'rxnorm-ndc.sample.json',
+};
+const fixture = (id) => path.join(FIXTURES, FIXTURE_FILES[id]);
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('source registry', () => {
+  it('lists the base inputs first and every enrichment source with a process stage', () => {
+    expect(SOURCES.map(s => s.id)).toEqual(['nadac', 'openFda', 'orangeBook', 'fdaShortages', 'rxnorm']);
+    for (const id of Object.keys(FIXTURE_FILES)) {
+      const source = sourceById(id);
+      expect(typeof source.load).toBe('function');
+      expect(typeof source.enrich).toBe('function');
+      expect(source.missingNote).toBeTruthy();
+    }
+    expect(() => sourceById('nope')).toThrow('Unknown source "nope"');
+  });
+
+  it('points a source at a local file from --source or its environment variable', () => {
+    const overrides = sourceOverrides(['node', 'x', '--source', 'rxnorm=a.json', '--source=fdaShortages=b.json']);
+    expect(overrides).toEqual({ rxnorm: path.resolve('a.json'), fdaShortages: path.resolve('b.json') });
+    expect(() => sourceOverrides(['--source', 'nope=a.json'])).toThrow(/Unknown source "nope"/);
+    expect(() => sourceOverrides(['--source', 'a.json'])).toThrow(/Expected --source <id>=<path>/);
+
+    const rxnorm = sourceById('rxnorm');
+    expect(localSourcePath(rxnorm, { overrides, env: { RXNORM_NDC_FILE: 'c.json' } })).toBe(path.resolve('a.json'));
+    expect(localSourcePath(rxnorm, { overrides: {}, env: { RXNORM_NDC_FILE: 'c.json' } })).toBe(path.resolve('c.json'));
+    expect(sourcePath('rxnorm', { overrides: {}, env: {}, rawDir: dir })).toBe(path.join(dir, 'rxnorm-ndc.json'));
+  });
+});
+
+describe('Orange Book adapter', () => {
+  it('loads the products file and attaches the TE code of the matched application', async () => {
+    const source = sourceById('orangeBook');
+    const index = await source.load(fixture('orangeBook'));
+    expect(source.summarize(index)).toBe('17 products, 10 applications');
+    const record = { strength: { components: [{ normalizedValue: 500, normalizedUnit: 'mg' }] } };
+    const bestMatch = { applicationNumber: 'NDA020357', activeIngredientsDetailed: [{ name: 'METFORMIN HYDROCHLORIDE' }] };
+    expect(source.enrich(record, bestMatch, index).orangeBook).toMatchObject({ applicationNumber: 'N020357', teCode: 'AB', rld: true });
+    expect(source.enrich(record, { applicationNumber: 'BLA1' }, index)).toEqual({ orangeBook: undefined });
+  });
+});
+
+describe('FDA drug shortages adapter', () => {
+  const source = sourceById('fdaShortages');
+
+  it('indexes entries by NDC, newest update first, including openfda.package_ndc', async () => {
+    const index = await source.load(fixture('fdaShortages'));
+    expect(source.summarize(index)).toBe('4 entries, 3 NDCs');
+    expect(source.enrich({ ndc: '00093415573' }, null, index).shortage).toEqual({
+      status: 'Current',
+      updateDate: '2024-11-20',
+      availability: 'Limited Availability',
+      reason: 'Demand increase for the drug',
+    });
+    expect(source.enrich({ ndc: '00378071201' }, null, index).shortage).toMatchObject({ status: 'To Be Discontinued', updateDate: '2024-12-02' });
+    expect(source.enrich({ ndc: '00093104801' }, null, index).shortage).toEqual({ status: 'Resolved', updateDate: '2024-08-30' });
+    expect(source.enrich({ ndc: '68180098101' }, null, index)).toEqual({ shortage: undefined });
+  });
+
+  it('reads a bare array of entries the same', async () => {
+    const { results } = JSON.parse(fs.readFileSync(fixture('fdaShortages'), 'utf8'));
+    const file = path.join(dir, 'shortages.json');
+    fs.writeFileSync(file, JSON.stringify(results));
+    expect(source.summarize(await source.load(file))).toBe('4 entries, 3 NDCs');
+  });
+});
+
+describe('RxNorm adapter', () => {
+  const source = sourceById('rxnorm');
+
+  it('maps NDCs with an RxCUI to their clinical drug concept', async () => {
+    const index = await source.load(fixture('rxnorm'));
+    expect(source.summarize(index)).toBe('9 NDCs with an RxCUI');
+    expect(source.enrich({ ndc: '00087606005' }, null, index).rxnorm).toEqual({
+      rxcui: '861008',
+      name: 'metformin hydrochloride 500 MG Oral Tablet [Glucophage]',
+    });
+    expect(source.enrich({ ndc: '68180098101' }, null, index)).toEqual({ rxnorm: undefined });
+  });
+
+  it('skips lookups when every NADAC NDC is already in the file', async () => {
+    const nadacCsv = path.join(dir, 'nadac.csv');
+    fs.writeFileSync(nadacCsv, 'NDC Description,NDC\nGLUCOPHAGE 500 MG TABLET,00087606005\nMETFORMIN HCL 500 MG TABLET,93104801\n');
+    const outPath = path.join(dir, 'rxnorm-ndc.json');
+    fs.copyFileSync(fixture('rxnorm'), outPath);
+    const previous = { url: 'https://rxnav.nlm.nih.gov/REST/ndcstatus.json?ndc=', lookups: 10 };
+    await expect(source.fetch({ outPath, previous, force: false, sourcePath: () => nadacCsv })).resolves.toBe(previous);
+    await expect(source.fetch({ outPath, previous, sourcePath: () => path.join(dir, 'missing.csv') }))
+      .rejects.toThrow(/RxNorm lookups need the NADAC CSV/);
+  });
+
+  it('retries failed lookups one at a time, skips the ones that fail again and looks them up on the next run', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const nadacCsv = path.join(dir, 'nadac.csv');
+    const ndcs = ['00000000001', '00000000002', '00000000003', '00000000004', '00000000005'];
+    fs.writeFileSync(nadacCsv, `NDC Description,NDC\n${ndcs.map(ndc => `DRUG,${ndc}`).join('\n')}\n`);
+    const outPath = path.join(dir, 'rxnorm-ndc.json');
+    const calls = [];
+    const down = new Set(['00000000002', '00000000004']);
+    getJson.mockImplementation(async (url) => {
+      const ndc = url.slice(-11);
+      calls.push(ndc);
+      // 00000000002 recovers on its retry; 00000000004 stays down for the whole run
+      if (down.has(ndc)) {
+        if (ndc === '00000000002') down.delete(ndc);
+        throw new Error('GET failed: 503');
+      }
+      return { ndcStatus: { status: 'ACTIVE', rxcui: ndc.slice(-1), conceptName: `drug ${ndc}` } };
+    });
+
+    const entry = await source.fetch({ outPath, previous: null, force: false, sourcePath: () => nadacCsv });
+    expect(entry).toMatchObject({ lookups: 4, skipped: 1 });
+    expect(calls).toEqual([...ndcs.slice(0, 4), '00000000002', '00000000004', '00000000005']);
+    const saved = JSON.parse(fs.readFileSync(outPath, 'utf8')).ndcStatus.map(e => e.ndc11);
+    expect(saved).toEqual(['00000000001', '00000000002', '00000000003', '00000000005']);
+    expect(fs.existsSync(`${outPath}.part`)).toBe(false);
+
+    down.clear();
+    calls.length = 0;
+    await expect(source.fetch({ outPath, previous: entry, force: false, sourcePath: () => nadacCsv }))
+      .resolves.toMatchObject({ lookups: 1, skipped: 0 });
+    expect(calls).toEqual(['00000000004']);
+    expect((await source.load(outPath)).byNdc.size).toBe(5);
+  });
+});
+
+describe('copyLocalFile', () => {
+  it('copies a readable local file into place and records where it came from', async () => {
+    const outPath = path.join(dir, 'fda-drug-shortages.json');
+    const entry = await copyLocalFile(sourceById('fdaShortages'), fixture('fdaShortages'), outPath);
+    expect(entry).toEqual({ localPath: fixture('fdaShortages'), copiedAt: expect.any(String) });
+    expect(fs.readFileSync(outPath, 'utf8')).toBe(fs.readFileSync(fixture('fdaShortages'), 'utf8'));
+  });
+
+  it('refuses missing files and files the adapter cannot read, without copying them', async () => {
+    const outPath = path.join(dir, 'rxnorm-ndc.json');
+    await expect(copyLocalFile(sourceById('rxnorm'), path.join(dir, 'missing.json'), outPath))
+      .rejects.toThrow(/RxNorm NDC mapping: local file not found/);
+    const broken = path.join(dir, 'broken.json');
+    fs.writeFileSync(broken, '{ not json');
+    await expect(copyLocalFile(sourceById('rxnorm'), broken, outPath)).rejects.toThrow(SyntaxError);
+    expect(fs.existsSync(outPath)).toBe(false);
+  });
+});
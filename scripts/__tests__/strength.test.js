@@ -0,0 +1,55 @@
+const { strengthDistance } = require('../../src/engine');
+const { parseOpenFdaStrength, parseDescriptionStrengths } = require('../strength');
+
+// [display, normalizedValue, normalizedUnit] per component
+const summarize = (components) => components.map(c => [c.display, c.normalizedValue, c.normalizedUnit]);
+const asStrength = (components) => ({ components });
+
+describe('parseOpenFdaStrength', () => {
+  it.each([
+    ['500 mg/1', ['500 mg', 500, 'mg']],
+    ['250 mg/5mL', ['250 mg/5 mL', 50, 'mg/mL']],
+    ['1 g/100g', ['1 g/100 g', 1, '%']],
+    ['0.1 %', ['0.1 %', 0.1, '%']],
+    ['100 [iU]/mL', ['100 units/mL', 100, 'units/mL']],
+    ['1,000 mcg/1', ['1000 mcg', 1, 'mg']],
+    ['0.05 mg/d', ['0.05 mg/d', 0.002083, 'mg/h']],
+    ['25 ug/h', ['25 mcg/h', 0.025, 'mg/h']],
+    ['4.6 mg/24h', ['4.6 mg/24 h', 0.191667, 'mg/h']],
+  ])('parses %s', (input, expected) => {
+    expect(summarize([parseOpenFdaStrength(input)])).toEqual([expected]);
+  });
+
+  it('rejects unknown units and empty strengths', () => {
+    expect(parseOpenFdaStrength('2 puffs/1')).toBeNull();
+    expect(parseOpenFdaStrength('')).toBeNull();
+    expect(parseOpenFdaStrength('5 h')).toBeNull();
+  });
+});
+
+describe('parseDescriptionStrengths', () => {
+  it.each([
+    ['METFORMIN HCL 500 MG TABLET', [['500 mg', 500, 'mg']]],
+    ['AMOXICILLIN 250 MG/5 ML SUSP', [['250 mg/5 mL', 50, 'mg/mL']]],
+    ['LACTULOSE 10 GM/15 ML SOLN', [['10 g/15 mL', 666.666667, 'mg/mL']]],
+    ['HYDROCODONE-ACETAMINOPHEN 5-325 MG TAB', [['5 mg', 5, 'mg'], ['325 mg', 325, 'mg']]],
+    ['HYDROCORTISONE 2.5% CREAM', [['2.5 %', 2.5, '%']]],
+    ['FENTANYL 25 MCG/HR PATCH', [['25 mcg/h', 0.025, 'mg/h']]],
+    ['ESTRADIOL 0.05 MG/DAY PATCH', [['0.05 mg/d', 0.002083, 'mg/h']]],
+    ['RIVASTIGMINE 4.6 MG/24 HR PATCH', [['4.6 mg/24 h', 0.191667, 'mg/h']]],
+    ['SODIUM CHLORIDE 0.9% FLUSH 10 ML', [['0.9 %', 0.9, '%']]],
+    ['CEFDINIR 250 MG/5 ML SUSP 100 ML', [['250 mg/5 mL', 50, 'mg/mL']]],
+    ['NYSTATIN SUSP 473 ML', []],
+    ['STERILE WATER 10 ML', [['10 mL', 10, 'mL']]],
+  ])('parses %s', (description, expected) => {
+    expect(summarize(parseDescriptionStrengths(description))).toEqual(expected);
+  });
+
+  it('keeps per-time rates apart from plain strengths', () => {
+    const patch = asStrength(parseDescriptionStrengths('ESTRADIOL 0.05 MG/DAY PATCH'));
+    const tablet = asStrength(parseDescriptionStrengths('ESTRADIOL 0.05 MG TABLET'));
+    const fdaPatch = asStrength([parseOpenFdaStrength('50 ug/d')]);
+    expect(strengthDistance(patch, tablet)).toBe(Infinity);
+    expect(strengthDistance(patch, fdaPatch)).toBe(0);
+  });
+});
@@ -1,94 +1,78 @@
+/*
+  Source fetcher: runs the fetch stage of every source adapter (scripts/sources/) in order
+  - NADAC, openFDA NDC, Orange Book, FDA drug shortages and the RxNorm NDC mapping
+  - Records ETag / Last-Modified per source (and the NADAC metastore `modified`) in
+    rawData/fetch-state.json and sends conditional requests, so unchanged sources are not
+    downloaded again; --force ignores the recorded state
+  - `--source <id>=<path>` (or the source's environment variable) copies a local file into rawData/
+    instead of downloading it, after checking that the adapter can read it; `--only <id>,<id>`
+    limits the run to some sources
+  - A failed optional source is reported and skipped; any other failure stops the run
+*/
+
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const unzipper = require('unzipper');
+const { SOURCES, RAW_DIR, sourceOverrides, localSourcePath, sourcePath } = require('./sources');
+const { ensureDir } = require('./sources/download');
 
-const RAW_DIR = path.join(__dirname, '..', 'rawData');
-const MEDICAID_META_URL = 'https://data.medicaid.gov/api/1/metastore/schemas/dataset/items';
-const OPENFDA_ZIP_URL = 'https://download.open.fda.gov/drug/ndc/drug-ndc-0001-of-0001.json.zip';
+const FETCH_STATE_PATH = path.join(RAW_DIR, 'fetch-state.json');
+const FORCE = process.argv.includes('--force');
 
-function ensureDir(dir) {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+function readFetchState() {
+  try {
+    return JSON.parse(fs.readFileSync(FETCH_STATE_PATH, 'utf8'));
+  } catch (_) {
+    return {};
+  }
 }
 
-function httpsGet(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        // follow redirect
-        return resolve(httpsGet(res.headers.location));
-      }
-      if (res.statusCode !== 200) {
-        return reject(new Error(`GET ${url} failed: ${res.statusCode}`));
-      }
-      resolve(res);
-    }).on('error', reject);
-  });
+function writeFetchState(state) {
+  fs.writeFileSync(FETCH_STATE_PATH, JSON.stringify(state, null, 2));
 }
 
-async function downloadToFile(url, destPath) {
-  ensureDir(path.dirname(destPath));
-  const res = await httpsGet(url);
-  await new Promise((resolve, reject) => {
-    const ws = fs.createWriteStream(destPath);
-    res.pipe(ws);
-    ws.on('finish', resolve);
-    ws.on('error', reject);
-  });
+// --only nadac,rxnorm -> the listed sources, in fetch order
+function selectedSources(argv = process.argv) {
+  const i = argv.indexOf('--only');
+  if (i < 0) return SOURCES;
+  const ids = (argv[i + 1] || '').split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = ids.filter(id => !SOURCES.some(s => s.id === id));
+  if (ids.length === 0 || unknown.length > 0) throw new Error(`--only expects source ids from: ${SOURCES.map(s => s.id).join(', ')}`);
+  return SOURCES.filter(s => ids.includes(s.id));
 }
 
-async function fetchLatestNADAC() {
-  console.log('🔎 Fetching Medicaid datasets metadata...');
-  const res = await httpsGet(MEDICAID_META_URL);
-  const chunks = [];
-  for await (const c of res) chunks.push(c);
-  const meta = JSON.parse(Buffer.concat(chunks).toString('utf8'));
-  const items = Array.isArray(meta) ? meta : [];
-  const nadacItems = items.filter((it) => String(it.title || '').startsWith('NADAC (National Average Drug Acquisition Cost)'));
-  if (nadacItems.length === 0) throw new Error('No NADAC items found in Medicaid metadata');
-  nadacItems.sort((a, b) => new Date(b.modified) - new Date(a.modified));
-  const latest = nadacItems[0];
-  const dist = Array.isArray(latest.distribution) ? latest.distribution : [];
-  const csv = dist.find((d) => String(d.format || '').toLowerCase() === 'csv' && d.downloadURL);
-  if (!csv) throw new Error('No CSV distribution found for latest NADAC item');
-  const out = path.join(RAW_DIR, 'nadac-national-average-drug-acquisition-cst-medicaid.csv');
-  console.log('⬇️  Downloading NADAC CSV:', csv.downloadURL);
-  await downloadToFile(csv.downloadURL, out);
-  console.log('✅ Saved:', out);
-}
-
-async function fetchOpenFdaNdc() {
-  console.log('⬇️  Downloading openFDA NDC ZIP:', OPENFDA_ZIP_URL);
-  const tmpZip = path.join(RAW_DIR, 'drug-ndc.zip');
-  await downloadToFile(OPENFDA_ZIP_URL, tmpZip);
-  console.log('📦 Extracting JSON from ZIP...');
-  await new Promise((resolve, reject) => {
-    fs.createReadStream(tmpZip)
-      .pipe(unzipper.Parse())
-      .on('entry', (entry) => {
-        const fileName = entry.path;
-        if (fileName.toLowerCase().endsWith('.json')) {
-          const outJson = path.join(RAW_DIR, 'drug-ndc-openfda.json');
-          entry.pipe(fs.createWriteStream(outJson))
-            .on('finish', () => {
-              console.log('✅ Saved:', outJson);
-              resolve();
-            })
-            .on('error', reject);
-        } else {
-          entry.autodrain();
-        }
-      })
-      .on('error', reject)
-      .on('close', () => resolve());
-  });
-  try { fs.unlinkSync(tmpZip); } catch (_) {}
+// Copies a local file into rawData/ (the adapter must be able to read it) and returns its state entry
+async function copyLocalFile(source, localPath, outPath) {
+  if (!fs.existsSync(localPath)) throw new Error(`${source.title}: local file not found: ${localPath}`);
+  if (source.load) {
+    const index = await source.load(localPath);
+    console.log(`• ${source.title}: ${source.summarize(index)}`);
+  }
+  if (path.resolve(localPath) !== path.resolve(outPath)) fs.copyFileSync(localPath, outPath);
+  console.log(`📁 ${source.title}: using local file ${localPath}`);
+  return { localPath, copiedAt: new Date().toISOString() };
 }
 
 async function main() {
   ensureDir(RAW_DIR);
-  await fetchLatestNADAC();
-  await fetchOpenFdaNdc();
+  const state = readFetchState();
+  const overrides = sourceOverrides();
+  // Later sources may read earlier ones (RxNorm looks up the NADAC NDCs) from rawData/
+  const ctx = { force: FORCE, sourcePath: (id) => sourcePath(id, { overrides: {}, env: {} }) };
+  // State is saved after each source so a failed later download keeps the earlier validators
+  for (const source of selectedSources()) {
+    const outPath = path.join(RAW_DIR, source.rawFile);
+    const localPath = localSourcePath(source, { overrides });
+    try {
+      state[source.id] = localPath
+        ? await copyLocalFile(source, localPath, outPath)
+        : await source.fetch({ ...ctx, outPath, previous: state[source.id] });
+    } catch (e) {
+      if (!source.optional) throw e;
+      console.warn(`⚠️  ${source.title} not fetched (${e.message}); continuing without it`);
+      continue;
+    }
+    writeFetchState(state);
+  }
   console.log('🎉 Fetch complete. You can now run: npm run process:raw');
 }
 
@@ -99,4 +83,4 @@ if (require.main === module) {
   });
 }
 
-
+module.exports = { selectedSources, copyLocalFile };
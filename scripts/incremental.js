@@ -0,0 +1,225 @@
+/*
+  Incremental pipeline runs
+  - Content-addressed outputs: chunk files are named <base>.<hash>.json, so a file is only
+    rewritten when its content changes and browsers can cache it indefinitely (see the hosting
+    rules in firebase.json and app.yaml)
+  - Stable chunk boundaries (stableChunks): chunks start at groups whose key hashes to a boundary,
+    not every N records, so one added NDC only changes the chunk it lands in
+  - Run state (rawData/pipeline-state.json): input file fingerprints, to skip runs whose inputs
+    are unchanged, and a compact snapshot of the last release for the weekly delta, keyed like
+    the enriched records (description||NDC) so an NDC listed under two descriptions keeps both
+  - buildChanges: added / removed / repriced records and brand <-> generic flips between releases
+  - datasetVersion: one hash over every file the app loads, so caches can be keyed by pipeline run
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 2: snapshots keyed by description||NDC (version 1 states are ignored and rebuilt)
+const STATE_VERSION = 2;
+const HASH_LENGTH = 16;
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, HASH_LENGTH);
+}
+
+// { base, content } -> { filename: <base>.<hash>.json, hash, content }, without writing anything
+function hashedFile({ base, content }) {
+  const hash = contentHash(content);
+  return { filename: `${base}.${hash}.json`, hash, content };
+}
+
+/*
+  Write `files` ([{ base, content }], or already named by hashedFile) into `dir` as <base>.<hash>.json.
+  Files already on disk are left alone; other .json files in `dir` are removed unless listed in `keep`.
+  Returns [{ filename, hash }] in input order and how many files were written.
+*/
+function writeHashedFiles(dir, files, { keep = [] } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  let written = 0;
+  const out = files.map(file => {
+    const { filename, hash, content } = file.filename ? file : hashedFile(file);
+    const full = path.join(dir, filename);
+    if (!fs.existsSync(full)) {
+      fs.writeFileSync(full, content);
+      written++;
+    }
+    return { filename, hash };
+  });
+  const wanted = new Set([...out.map(f => f.filename), ...keep]);
+  let removed = 0;
+  for (const name of fs.readdirSync(dir)) {
+    if (name.endsWith('.json') && !wanted.has(name)) {
+      fs.rmSync(path.join(dir, name), { force: true });
+      removed++;
+    }
+  }
+  return { files: out, written, removed };
+}
+
+// Whether a chunk starts at the group `key`: about one key in `every` is a boundary, decided by the key alone
+function isChunkBoundary(key, every) {
+  return parseInt(contentHash(key).slice(0, 8), 16) % every === 0;
+}
+
+/*
+  Content-defined chunking: `groups` ([{ key, items }], in a stable order) are packed into chunks of
+  items that start at boundary keys, so adding or removing a group only changes the chunks around it.
+  A chunk is also cut before it would exceed `maxSize` items (boundaries resynchronize at the next
+  boundary key); a group larger than `maxSize` is split into slices of its own.
+*/
+function stableChunks(groups, { every, maxSize }) {
+  const chunks = [];
+  let current = [];
+  const flush = () => {
+    if (current.length > 0) chunks.push(current);
+    current = [];
+  };
+  for (const { key, items } of groups) {
+    if (current.length > 0 && (isChunkBoundary(key, every) || current.length + items.length > maxSize)) flush();
+    if (items.length > maxSize) {
+      for (let i = 0; i < items.length; i += maxSize) {
+        flush();
+        current = items.slice(i, i + maxSize);
+      }
+      continue;
+    }
+    current.push(...items);
+  }
+  flush();
+  return chunks;
+}
+
+// Size and modification time per input; missing inputs fingerprint as null
+function inputsFingerprint(filePaths) {
+  const out = {};
+  for (const p of filePaths) {
+    try {
+      const st = fs.statSync(p);
+      out[path.basename(p)] = { size: st.size, mtimeMs: Math.round(st.mtimeMs) };
+    } catch (_) {
+      out[path.basename(p)] = null;
+    }
+  }
+  return out;
+}
+
+function readState(statePath) {
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return state && state.version === STATE_VERSION ? state : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function writeState(statePath, state) {
+  fs.writeFileSync(statePath, JSON.stringify({ version: STATE_VERSION, ...state }));
+}
+
+function sameFingerprint(a, b) {
+  return !!a && !!b && JSON.stringify(a) === JSON.stringify(b);
+}
+
+const snapshotKey = (description, ndc) => `${description}||${ndc}`;
+
+// "description||ndc" -> { ndc, description }; NDCs never contain '||'
+function splitSnapshotKey(key) {
+  const at = key.lastIndexOf('||');
+  return { description: key.slice(0, at), ndc: key.slice(at + 2) };
+}
+
+// description||ndc -> [nadac_per_unit, classification] for the delta of the next release
+function releaseSnapshot(records) {
+  const snapshot = {};
+  for (const r of records) {
+    if (!r.ndc) continue;
+    snapshot[snapshotKey(r.ndc_description || '', r.ndc)] = [r.nadac_per_unit || '', (r.classification_for_rate_setting || '').toUpperCase()];
+  }
+  return snapshot;
+}
+
+function percentChange(from, to) {
+  if (!(from > 0)) return null;
+  return Math.round(((to - from) / from) * 10000) / 100;
+}
+
+// Delta between two release snapshots; only B <-> G classification changes count as flips
+function buildChanges(previous, current) {
+  const added = [];
+  const removed = [];
+  const repriced = [];
+  const classificationFlips = [];
+  for (const [key, [price, cls]] of Object.entries(current)) {
+    const { ndc, description } = splitSnapshotKey(key);
+    const prev = previous[key];
+    if (!prev) {
+      added.push({ ndc, ndc_description: description, nadac_per_unit: price, classification: cls });
+      continue;
+    }
+    const [prevPrice, prevCls] = prev;
+    if (Number(prevPrice) !== Number(price)) {
+      repriced.push({
+        ndc,
+        ndc_description: description,
+        previous: prevPrice,
+        current: price,
+        changePercent: percentChange(Number(prevPrice), Number(price)),
+      });
+    }
+    if (prevCls !== cls && /^[BG]$/.test(prevCls) && /^[BG]$/.test(cls)) {
+      classificationFlips.push({ ndc, ndc_description: description, previous: prevCls, current: cls });
+    }
+  }
+  for (const [key, [price, cls]] of Object.entries(previous)) {
+    if (current[key]) continue;
+    const { ndc, description } = splitSnapshotKey(key);
+    removed.push({ ndc, ndc_description: description, nadac_per_unit: price, classification: cls });
+  }
+  const compare = (a, b) => (a < b ? -1 : (a > b ? 1 : 0));
+  const byNdc = (a, b) => compare(a.ndc, b.ndc) || compare(a.ndc_description, b.ndc_description);
+  repriced.sort((a, b) => Math.abs(b.changePercent || 0) - Math.abs(a.changePercent || 0) || byNdc(a, b));
+  return {
+    totals: {
+      added: added.length,
+      removed: removed.length,
+      repriced: repriced.length,
+      classificationFlips: classificationFlips.length,
+    },
+    added: added.sort(byNdc),
+    removed: removed.sort(byNdc),
+    repriced,
+    classificationFlips: classificationFlips.sort(byNdc),
+  };
+}
+
+const HASHED_NAME = new RegExp(`\\.[0-9a-f]{${HASH_LENGTH}}\\.json$`);
+
+/*
+  Version of a published dataset: `files` are paths relative to `dir`; hashed names stand for their
+  content. `pending` (relative path -> content) stands in for files that are not written yet.
+*/
+function datasetVersion(dir, files, pending = {}) {
+  const parts = files.map(rel => {
+    if (HASHED_NAME.test(rel)) return rel;
+    if (rel in pending) return `${rel}:${contentHash(pending[rel])}`;
+    const full = path.join(dir, rel);
+    return `${rel}:${fs.existsSync(full) ? contentHash(fs.readFileSync(full)) : 'missing'}`;
+  });
+  return contentHash(parts.join('\n'));
+}
+
+module.exports = {
+  contentHash,
+  datasetVersion,
+  hashedFile,
+  writeHashedFiles,
+  stableChunks,
+  inputsFingerprint,
+  readState,
+  writeState,
+  sameFingerprint,
+  releaseSnapshot,
+  buildChanges,
+};
@@ -0,0 +1,223 @@
+/*
+  Match quality for the Medicaid -> openFDA enrichment
+  - scoreMatch: per-record confidence from match mode, NDC variant type, matched NDC length,
+    brand/description token overlap and how many distinct products tied for best; an exact
+    package NDC match needs no brand overlap
+  - createMatchReport: collects per-link rejection reasons, per-record confidence, unmatched
+    NDCs (ranked by NADAC row count, the only volume signal in the file) and ambiguous records
+  - renderMatchReportHtml: standalone HTML summary of the JSON report
+*/
+
+const LOW_CONFIDENCE = 0.6;
+const HIGH_CONFIDENCE = 0.8;
+const LIST_LIMIT = 200; // entries kept per list in the report
+
+const MODE_SCORE = { package: 1, forward: 1, reverse: 0.5 };
+const VARIANT_SCORE = { package: 1, digits: 1, zeroFill: 0.8 };
+const WEIGHTS = { mode: 0.3, variant: 0.15, length: 0.3, overlap: 0.25 };
+const AMBIGUITY_FACTOR = 0.8;
+
+// Longer matched product NDCs pin down labeler + product; 5-6 digits are little more than a labeler code
+function lengthScore(len) {
+  if (len >= 9) return 1;
+  if (len === 8) return 0.85;
+  if (len === 7) return 0.7;
+  return 0.4;
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function confidenceLevel(score) {
+  if (score >= HIGH_CONFIDENCE) return 'high';
+  if (score >= LOW_CONFIDENCE) return 'medium';
+  return 'low';
+}
+
+// Confidence for a record's best matches; `tokenize` is the pipeline's word tokenizer
+function scoreMatch(description, bestMatches, tokenize) {
+  const best = bestMatches[0];
+  const descTokens = new Set(tokenize(description || ''));
+  const brandTokens = tokenize(best.brandName || '');
+  const exactPackage = best.matchMethod === 'exactPackage';
+  let overlap = brandTokens.length ? brandTokens.filter(t => descTokens.has(t)).length / brandTokens.length : 0;
+  if (exactPackage) overlap = 1;
+  const matchedLength = String(best.normalizedProductNdc || '').length;
+  const products = new Set(bestMatches.map(m => m.productNdc));
+  const factors = {
+    mode: MODE_SCORE[best.matchMode] || 0,
+    variant: VARIANT_SCORE[best.matchedVariantType] || 0,
+    length: lengthScore(matchedLength),
+    overlap,
+  };
+  let score = Object.keys(WEIGHTS).reduce((sum, k) => sum + WEIGHTS[k] * factors[k], 0);
+  if (products.size > 1) score *= AMBIGUITY_FACTOR;
+
+  const reasons = [];
+  if (!exactPackage) reasons.push('no openFDA package NDC equals the NADAC NDC; matched by product NDC substring');
+  if (best.matchMode === 'reverse') reasons.push('NADAC NDC found only inside a longer openFDA NDC');
+  if (best.matchedVariantType === 'zeroFill') reasons.push('matched through the zero-filled product NDC variant');
+  if (matchedLength < 8) reasons.push(`only ${matchedLength} NDC digits matched`);
+  if (overlap < 1) reasons.push('brand name only partly appears in the NADAC description');
+  if (products.size > 1) reasons.push(`${products.size} openFDA products tied for best match`);
+
+  return { score: round(score), level: confidenceLevel(score), reasons };
+}
+
+function createMatchReport() {
+  const linkRejections = { emptyBrand: 0, noBrandTokenOverlap: 0 };
+  const recordRejections = { noCandidates: 0, emptyBrand: 0, noBrandTokenOverlap: 0 };
+  const links = { package: 0, forward: 0, reverse: 0, digits: 0, zeroFill: 0 };
+  const methods = { exactPackage: 0, substringFallback: 0 };
+  const confidence = { high: 0, medium: 0, low: 0 };
+  const bestLengthDistribution = new Map();
+  const bestBrandDistribution = new Map();
+  const unmatched = [];
+  const ambiguous = [];
+  const lowConfidence = [];
+  let records = 0;
+  let matched = 0;
+  let orangeBookLinks = 0;
+
+  // Candidate links dropped by the brand checks; `reasons` has one entry per dropped link
+  function addRejections(reasons) {
+    for (const r of reasons) linkRejections[r]++;
+  }
+
+  function addMatched(med, bestMatches, matchConfidence, { orangeBook } = {}) {
+    records++;
+    matched++;
+    methods[bestMatches[0].matchMethod]++;
+    for (const m of bestMatches) {
+      links[m.matchMode]++;
+      if (m.matchedVariantType !== m.matchMode) links[m.matchedVariantType]++;
+      const brand = (m.brandName || '').trim();
+      if (brand) bestBrandDistribution.set(brand, (bestBrandDistribution.get(brand) || 0) + 1);
+    }
+    const bestLen = String(bestMatches[0].normalizedProductNdc || '').length;
+    if (bestLen > 0) bestLengthDistribution.set(bestLen, (bestLengthDistribution.get(bestLen) || 0) + 1);
+    confidence[matchConfidence.level]++;
+    if (orangeBook) orangeBookLinks++;
+    const products = new Map(bestMatches.map(m => [m.productNdc, m]));
+    if (products.size > 1) {
+      ambiguous.push({
+        ndc: med.ndc,
+        ndc_description: med.ndc_description,
+        candidates: Array.from(products.values(), m => ({
+          productNdc: m.productNdc,
+          brandName: m.brandName,
+          genericName: m.genericName,
+          labelerName: m.labelerName,
+        })),
+      });
+    }
+    if (matchConfidence.level === 'low') {
+      lowConfidence.push({ ndc: med.ndc, ndc_description: med.ndc_description, ...matchConfidence });
+    }
+  }
+
+  // `reason` is why no candidate survived: 'noCandidates', 'emptyBrand' or 'noBrandTokenOverlap'
+  function addUnmatched(med, reason, nadacRows) {
+    records++;
+    recordRejections[reason]++;
+    unmatched.push({ ndc: med.ndc, ndc_description: med.ndc_description, reason, nadacRows });
+  }
+
+  function build() {
+    const byCount = (a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1);
+    return {
+      generatedAt: new Date().toISOString(),
+      thresholds: { low: LOW_CONFIDENCE, high: HIGH_CONFIDENCE },
+      totals: {
+        records,
+        matched,
+        unmatched: records - matched,
+        matchRate: records ? round(matched / records) : 0,
+        orangeBookLinks,
+      },
+      confidence,
+      methods,
+      links,
+      rejections: { links: linkRejections, records: recordRejections },
+      bestLengthDistribution: Object.fromEntries([...bestLengthDistribution].sort((a, b) => a[0] - b[0])),
+      topBrands: [...bestBrandDistribution].sort(byCount).slice(0, 20).map(([brandName, count]) => ({ brandName, count })),
+      unmatchedHighVolume: unmatched
+        .slice()
+        .sort((a, b) => b.nadacRows - a.nadacRows || (a.ndc < b.ndc ? -1 : 1))
+        .slice(0, LIST_LIMIT),
+      ambiguous: ambiguous.slice(0, LIST_LIMIT),
+      ambiguousCount: ambiguous.length,
+      lowConfidence: lowConfidence.sort((a, b) => a.score - b.score).slice(0, LIST_LIMIT),
+    };
+  }
+
+  return { addRejections, addMatched, addUnmatched, build };
+}
+
+function escapeHtml(s) {
+  return String(s === undefined || s === null ? '' : s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlTable(headers, rows) {
+  if (rows.length === 0) return '<p>None.</p>';
+  const head = headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function renderMatchReportHtml(report) {
+  const t = report.totals;
+  const pairs = (obj) => Object.entries(obj).map(([k, v]) => [k, v]);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>NADAC / openFDA match report</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 2rem; color: #2d3748; }
+  h1 { color: #4c51bf; }
+  table { border-collapse: collapse; margin-bottom: 1.5rem; }
+  th, td { border: 1px solid #e2e8f0; padding: 0.3rem 0.6rem; text-align: left; font-size: 0.9rem; }
+  th { background: #f7fafc; }
+</style>
+</head>
+<body>
+<h1>NADAC / openFDA match report</h1>
+<p>Generated ${escapeHtml(report.generatedAt)}. Matched ${t.matched} of ${t.records} records (${(t.matchRate * 100).toFixed(2)}%); Orange Book TE codes attached to ${t.orangeBookLinks}.</p>
+<h2>Confidence</h2>
+<p>Low below ${report.thresholds.low}, high from ${report.thresholds.high}.</p>
+${htmlTable(['Level', 'Records'], pairs(report.confidence))}
+<h2>Match method</h2>
+${htmlTable(['Method', 'Records'], pairs(report.methods))}
+<h2>Best-match links</h2>
+${htmlTable(['Kind', 'Links'], pairs(report.links))}
+<h2>Rejections</h2>
+<h3>Candidate links dropped</h3>
+${htmlTable(['Reason', 'Links'], pairs(report.rejections.links))}
+<h3>Records left unmatched</h3>
+${htmlTable(['Reason', 'Records'], pairs(report.rejections.records))}
+<h2>Matched NDC length</h2>
+${htmlTable(['Digits', 'Records'], pairs(report.bestLengthDistribution))}
+<h2>Unmatched NDCs by NADAC rows</h2>
+${htmlTable(['NDC', 'Description', 'Reason', 'NADAC rows'], report.unmatchedHighVolume.map(u => [u.ndc, u.ndc_description, u.reason, u.nadacRows]))}
+<h2>Ambiguous records (${report.ambiguousCount})</h2>
+${htmlTable(['NDC', 'Description', 'Candidates'], report.ambiguous.map(a => [a.ndc, a.ndc_description, a.candidates.map(c => `${c.productNdc} ${c.brandName} (${c.labelerName || '--'})`).join('; ')]))}
+<h2>Low-confidence records</h2>
+${htmlTable(['NDC', 'Description', 'Score', 'Reasons'], report.lowConfidence.map(l => [l.ndc, l.ndc_description, l.score, l.reasons.join('; ')]))}
+<h2>Top brands among best matches</h2>
+${htmlTable(['Brand', 'Links'], report.topBrands.map(b => [b.brandName, b.count]))}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  scoreMatch,
+  createMatchReport,
+  renderMatchReportHtml,
+};
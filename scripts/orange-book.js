@@ -0,0 +1,142 @@
+/*
+  FDA Orange Book (products.txt) stage
+  - Parses the tilde-delimited products file:
+    Ingredient~DF;Route~Trade_Name~Applicant~Strength~Appl_Type~Appl_No~Product_No~TE_Code~Approval_Date~RLD~RS~Type~Applicant_Full_Name
+  - Indexes products by application type + number (N020357, A076543)
+  - Joins an enriched record to its Orange Book product by application number, then
+    narrows by active ingredient set and strength when an application has several products
+*/
+
+const fs = require('fs');
+const { parseDescriptionStrengths } = require('./strength');
+
+function normalizeIngredientName(s) {
+  return (s || '').toString().trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+function ingredientSetKey(names) {
+  return Array.from(new Set(names.map(normalizeIngredientName).filter(Boolean))).sort().join('|');
+}
+
+// "ANDA076543" -> "A076543", "NDA020357" -> "N020357"; BLA and OTC monographs are not in the Orange Book
+function applicationKeyFromOpenFda(applicationNumber) {
+  const m = (applicationNumber || '').toString().trim().toUpperCase().match(/^(ANDA|NDA)(\d+)$/);
+  if (!m) return '';
+  return `${m[1] === 'ANDA' ? 'A' : 'N'}${m[2].padStart(6, '0')}`;
+}
+
+// Normalized strength values for "5MG;325MG" or "EQ 10MG BASE", sorted for set comparison
+function strengthSignature(components) {
+  return components
+    .map(c => `${c.normalizedValue}${c.normalizedUnit}`)
+    .sort()
+    .join('|');
+}
+
+function parseOrangeBookStrength(strength) {
+  const parts = (strength || '').toString().split(';');
+  const components = [];
+  for (const part of parts) components.push(...parseDescriptionStrengths(part.trim()));
+  return components;
+}
+
+function parseOrangeBookProducts(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (lines.length === 0) return [];
+  const header = lines[0].split('~').map(h => h.trim());
+  const col = (name) => header.indexOf(name);
+  const idx = {
+    ingredient: col('Ingredient'),
+    dfRoute: col('DF;Route'),
+    tradeName: col('Trade_Name'),
+    strength: col('Strength'),
+    applType: col('Appl_Type'),
+    applNo: col('Appl_No'),
+    productNo: col('Product_No'),
+    teCode: col('TE_Code'),
+    rld: col('RLD'),
+    rs: col('RS'),
+    type: col('Type'),
+  };
+  if (idx.applType < 0 || idx.applNo < 0) {
+    throw new Error('Orange Book products file is missing Appl_Type/Appl_No columns');
+  }
+  const products = [];
+  for (const line of lines.slice(1)) {
+    const f = line.split('~');
+    const get = (i) => (i >= 0 && f[i] !== undefined ? f[i].trim() : '');
+    const ingredients = get(idx.ingredient).split(';').map(normalizeIngredientName).filter(Boolean);
+    products.push({
+      applType: get(idx.applType).toUpperCase(),
+      applNo: get(idx.applNo).padStart(6, '0'),
+      productNo: get(idx.productNo),
+      ingredients,
+      dosageFormRoute: get(idx.dfRoute),
+      tradeName: get(idx.tradeName),
+      strength: get(idx.strength),
+      teCode: get(idx.teCode) || undefined,
+      rld: get(idx.rld).toLowerCase() === 'yes',
+      rs: get(idx.rs).toLowerCase() === 'yes',
+      marketingType: get(idx.type) || undefined,
+    });
+  }
+  return products;
+}
+
+function readOrangeBookProducts(filePath) {
+  return parseOrangeBookProducts(fs.readFileSync(filePath, 'utf8'));
+}
+
+function buildOrangeBookIndex(products) {
+  const byApplication = new Map();
+  for (const p of products) {
+    const key = `${p.applType}${p.applNo}`;
+    const entry = {
+      ...p,
+      ingredientKey: ingredientSetKey(p.ingredients),
+      strengthKey: strengthSignature(parseOrangeBookStrength(p.strength)),
+    };
+    const arr = byApplication.get(key);
+    if (arr) arr.push(entry); else byApplication.set(key, [entry]);
+  }
+  return { byApplication, size: products.length };
+}
+
+// Find the Orange Book product for an enriched record; returns undefined when the join is not unambiguous
+function matchOrangeBook(record, bestMatcher, obIdx) {
+  const applKey = applicationKeyFromOpenFda(bestMatcher && bestMatcher.applicationNumber);
+  if (!applKey) return undefined;
+  let candidates = obIdx.byApplication.get(applKey) || [];
+  if (candidates.length > 1) {
+    const ais = Array.isArray(bestMatcher.activeIngredientsDetailed) ? bestMatcher.activeIngredientsDetailed : [];
+    const recIngredients = ingredientSetKey(ais.map(ai => ai.name));
+    if (recIngredients) {
+      const sameIngredients = candidates.filter(c => c.ingredientKey === recIngredients);
+      // Salt/base naming differs between sources; only narrow when something still matches
+      if (sameIngredients.length > 0) candidates = sameIngredients;
+    }
+    const recStrength = strengthSignature(record.strength && Array.isArray(record.strength.components) ? record.strength.components : []);
+    candidates = candidates.filter(c => c.strengthKey && c.strengthKey === recStrength);
+  }
+  if (candidates.length === 0) return undefined;
+  const teCodes = new Set(candidates.map(c => c.teCode || ''));
+  if (teCodes.size > 1) return undefined;
+  const p = candidates[0];
+  return {
+    applicationNumber: applKey,
+    productNo: p.productNo,
+    tradeName: p.tradeName,
+    teCode: p.teCode,
+    rld: candidates.some(c => c.rld),
+    rs: candidates.some(c => c.rs),
+    marketingType: p.marketingType,
+  };
+}
+
+module.exports = {
+  applicationKeyFromOpenFda,
+  parseOrangeBookProducts,
+  readOrangeBookProducts,
+  buildOrangeBookIndex,
+  matchOrangeBook,
+};
@@ -4,6 +4,24 @@
   - Produces (for frontend consumption under public/data):
     - public/data/enriched_medicaid_openfda.json: Medicaid records enriched with matching openFDA record(s)
     - public/data/search-index-enriched.json: search index for descriptions
+    - public/data/search-index-fuzzy.json: token index over descriptions and FDA brand/generic/ingredient names
+    - public/data/enriched-chunks/: enriched records grouped by active ingredient set, plus an
+      inverted index (term -> chunk/offset) so the UI loads only the chunks a query needs
+    - public/data/description-facets.json: per description, every classification (B/G), pharmacy type,
+      OTC flag and explanation code among its NDCs, for the suggestion filters
+    - public/data/price-history-chunks/: full NADAC time series per NDC, chunked by NDC range
+    - public/data/match-report.json + match-report.html: match confidence, rejection reasons,
+      unmatched NDCs and ambiguous records (each matched record also carries matchConfidence)
+    - public/data/changes-<as of date>.json: added, removed and repriced NDCs and brand <-> generic
+      flips since the previous release processed here
+  - Inputs come from the source adapters in scripts/sources/: NADAC and openFDA NDC are read here;
+    the enrichment sources (Orange Book, FDA drug shortages, RxNorm NDC mapping) each load an index
+    and add their fields to matched records. Missing enrichment files are skipped with a warning;
+    `--source <id>=<path>` or the source's environment variable reads a local file instead
+  - Every output the app reads is validated against the JSON Schemas in src/engine/schemas/ before it
+    is written (scripts/validate-outputs.js); a violation fails the run
+  - Incremental: skips the run when no input changed since the last one (--force overrides) and
+    names chunks by content hash, so unchanged chunks are neither rewritten nor re-downloaded
   - Internal (optional) outputs can be added as needed
 */
 
@@ -14,21 +32,42 @@ const { chain } = require('stream-chain');
 const { parser } = require('stream-json');
 const { streamArray } = require('stream-json/streamers/StreamArray');
 const { pick } = require('stream-json/filters/Pick');
+const { parseRecordStrength } = require('./strength');
+const { scoreMatch, createMatchReport, renderMatchReportHtml } = require('./match-report');
+const { ingredientSortKey, buildInvertedIndex } = require('../src/engine/chunkIndex');
+const { buildFuzzyIndex } = require('../src/engine/fuzzySearch');
+const { SCHEMA_VERSION } = require('../src/engine/schema');
+const { describeFacets } = require('../src/engine/facets');
+const { normalizeMedNdc, openFdaDigitsKeepZeros, openFdaHyphenZeroFill, packageNdcToNdc11 } = require('../src/engine/ndc');
+const {
+  hashedFile, writeHashedFiles, stableChunks, datasetVersion, inputsFingerprint, readState, writeState, sameFingerprint, releaseSnapshot, buildChanges,
+} = require('./incremental');
+const { createOutputValidator } = require('./validate-outputs');
+const { SOURCES, RAW_DIR, sourcePath } = require('./sources');
 
 // Input paths (resolve from project root)
 const ROOT_DIR = path.join(__dirname, '..');
-const RAW_DIR = path.join(ROOT_DIR, 'rawData');
-const MEDICAID_CSV = path.join(RAW_DIR, 'nadac-national-average-drug-acquisition-cst-medicaid.csv');
-const OPENFDA_JSON = path.join(RAW_DIR, 'drug-ndc-openfda.json');
-// const ORANGE_TXT = path.join(RAW_DIR, 'products.txt'); // no longer used
+const MEDICAID_CSV = sourcePath('nadac');
+const OPENFDA_JSON = sourcePath('openFda');
+// Adapters with a process stage; each adds its fields to matched records
+const ENRICHMENT_SOURCES = SOURCES.filter(s => s.enrich);
+// Input fingerprints and the last release snapshot (see scripts/incremental.js)
+const PIPELINE_STATE = path.join(RAW_DIR, 'pipeline-state.json');
 
 // Output paths (public)
 const PUBLIC_DATA_DIR = path.join(ROOT_DIR, 'public', 'data');
 if (!fs.existsSync(PUBLIC_DATA_DIR)) fs.mkdirSync(PUBLIC_DATA_DIR, { recursive: true });
 const OUT_ENRICHED_PUBLIC = path.join(PUBLIC_DATA_DIR, 'enriched_medicaid_openfda.json');
 const OUT_SEARCH_INDEX_PUBLIC = path.join(PUBLIC_DATA_DIR, 'search-index-enriched.json');
+const OUT_FUZZY_INDEX_PUBLIC = path.join(PUBLIC_DATA_DIR, 'search-index-fuzzy.json');
+const OUT_MATCH_REPORT_JSON = path.join(PUBLIC_DATA_DIR, 'match-report.json');
+const OUT_MATCH_REPORT_HTML = path.join(PUBLIC_DATA_DIR, 'match-report.html');
 const ENRICHED_CHUNKS_DIR = path.join(PUBLIC_DATA_DIR, 'enriched-chunks');
+const ENRICHED_MANIFEST_FILENAME = 'chunks-manifest.json';
+const PRICE_HISTORY_MANIFEST_FILENAME = 'price-history-manifest.json';
 const DESC_CLASS_MAP_PATH = path.join(PUBLIC_DATA_DIR, 'description-classification.json');
+const DESC_FACETS_PATH = path.join(PUBLIC_DATA_DIR, 'description-facets.json');
+const PRICE_HISTORY_CHUNKS_DIR = path.join(PUBLIC_DATA_DIR, 'price-history-chunks');
 
 // Helpers
 function normalizeWhitespaceLower(s) {
@@ -42,19 +81,15 @@ function tokenizeWords(s) {
     .filter(t => t && t.length >= 3);
 }
 
-function normalizeMedNdc(ndc) {
-  if (!ndc) return '';
-  return ndc.toString().replace(/\D+/g, '').trim();
-}
-
-function openFdaDigitsKeepZeros(productNdc) {
-  if (!productNdc) return '';
-  return productNdc.toString().replace(/-/g, '').replace(/\D+/g, '');
-}
-
-function openFdaHyphenZeroFill(productNdc) {
-  if (!productNdc) return '';
-  return productNdc.toString().replace(/-/g, '0').replace(/\D+/g, '');
+// NADAC dates arrive as MM/DD/YYYY (CSV) or YYYY-MM-DD (API); normalize to ISO for sorting
+function normalizeNadacDate(s) {
+  const str = (s || '').toString().trim();
+  if (!str) return '';
+  let m = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) return `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+  return str;
 }
 
 function addToMapArray(map, key, value) {
@@ -101,9 +136,10 @@ function mapActiveIngredientsDetailed(aiArray) {
   return out.length ? out : undefined;
 }
 
-// Build openFDA indexes for matching with normalization variants
+// Build openFDA indexes for matching: package NDCs in 11-digit form, plus product NDC normalization variants
 function buildOpenFdaIndexes(openFdaArr) {
   const ndcByLength = new Map();
+  const byPackageNdc = new Map(); // 11-digit package NDC -> [{ idx, packageNdc, description }]
   const entries = openFdaArr.map((item) => {
     const productNdc = item.product_ndc || item.productNdc || '';
     const ndcDigits = openFdaDigitsKeepZeros(productNdc);
@@ -114,7 +150,16 @@ function buildOpenFdaIndexes(openFdaArr) {
     const dosageForm = item.dosage_form || item.dosageForm || '';
     const routes = Array.isArray(item.route) ? item.route : (item.route ? [item.route] : []);
     const labelerName = item.labeler_name || item.labelerName || '';
-    return { productNdc, ndcDigits, ndcZeroFill, brandName, genericName, activeIngredients, dosageForm, routes, labelerName };
+    const applicationNumber = item.application_number || item.applicationNumber || '';
+    const packaging = Array.isArray(item.packaging) ? item.packaging : [];
+    return { productNdc, ndcDigits, ndcZeroFill, brandName, genericName, activeIngredients, dosageForm, routes, labelerName, applicationNumber, packaging };
+  });
+
+  entries.forEach((e, idx) => {
+    for (const p of e.packaging) {
+      const ndc11 = packageNdcToNdc11(p && p.package_ndc);
+      if (ndc11) addToMapArray(byPackageNdc, ndc11, { idx, packageNdc: p.package_ndc, description: p.description || undefined });
+    }
   });
 
   entries.forEach((e, idx) => {
@@ -140,15 +185,19 @@ function buildOpenFdaIndexes(openFdaArr) {
     });
   });
 
-  return { entries, ndcByLength };
+  return { entries, ndcByLength, byPackageNdc };
 }
 
-function formatOpenFdaMatcher(e, variant, vtype, matchMode) {
+// matchMethod: 'exactPackage' (packaging[].package_ndc equals the NADAC NDC) or 'substringFallback'
+function formatOpenFdaMatcher(e, variant, vtype, matchMode, pkg) {
   return {
     productNdc: e.productNdc,
     normalizedProductNdc: variant,
     matchedVariantType: vtype,
     matchMode,
+    matchMethod: pkg ? 'exactPackage' : 'substringFallback',
+    packageNdc: pkg ? pkg.packageNdc : undefined,
+    packageDescription: pkg ? pkg.description : undefined,
     brandName: e.brandName,
     genericName: e.genericName,
     dosageForm: e.dosageForm || undefined,
@@ -156,10 +205,19 @@ function formatOpenFdaMatcher(e, variant, vtype, matchMode) {
     dosageStrength: formatActiveIngredients(e.activeIngredients),
     activeIngredientsDetailed: mapActiveIngredientsDetailed(e.activeIngredients),
     labelerName: e.labelerName || undefined,
+    applicationNumber: e.applicationNumber || undefined,
   };
 }
 
-// Implements: direct, remove hyphens, zero-fill hyphens, and substring checks with progressive leading zero removal
+// Exact package NDC match in 11-digit form
+function collectOpenFdaPackageMatches(medDigits, openIdx) {
+  return (openIdx.byPackageNdc.get(medDigits) || []).map(pkg =>
+    formatOpenFdaMatcher(openIdx.entries[pkg.idx], medDigits, 'package', 'package', pkg)
+  );
+}
+
+// Fallback when no package matches: direct, remove hyphens, zero-fill hyphens, and substring checks with
+// progressive leading zero removal
 function collectOpenFdaNdcMatches(medNdcOriginal, openIdx) {
   const matches = [];
   const medDigits = normalizeMedNdc(medNdcOriginal);
@@ -258,9 +316,9 @@ async function buildOpenFdaIndex() {
 
 async function buildMedicaidUnique() {
   console.log('📗 Reading Medicaid CSV...');
-  const seen = new Set();
-  const unique = [];
-  let rows = 0, deduped = 0;
+  const latestByKey = new Map(); // desc||ndc -> record with the most recent effective date
+  const historyByNdc = new Map(); // ndc -> Map(effective_date -> point)
+  let rows = 0;
   await new Promise((resolve, reject) => {
     const parserStream = parse({ columns: true, trim: true });
     parserStream.on('readable', () => {
@@ -269,10 +327,8 @@ async function buildMedicaidUnique() {
         rows++;
         const desc = record['NDC Description'] || record['NDC Description '.trim()] || '';
         const ndc = record['NDC'] || '';
-        const key = `${desc}||${ndc}`;
-        if (seen.has(key)) { deduped++; continue; }
-        seen.add(key);
-        unique.push({
+        const effectiveDate = normalizeNadacDate(record['Effective Date']);
+        const row = {
           ndc_description: desc,
           ndc: ndc,
           nadac_per_unit: record['NADAC Per Unit'] || undefined,
@@ -285,55 +341,139 @@ async function buildMedicaidUnique() {
           corresponding_generic_drug_nadac_per_unit: record['Corresponding Generic Drug NADAC Per Unit'] || undefined,
           corresponding_generic_drug_effective_date: record['Corresponding Generic Drug Effective Date'] || undefined,
           as_of_date: record['As of Date'] || undefined,
-        });
+        };
+
+        // Every effective date is kept per NDC; a later row for the same date wins
+        if (ndc && effectiveDate) {
+          if (!historyByNdc.has(ndc)) historyByNdc.set(ndc, new Map());
+          const price = parseFloat(row.nadac_per_unit);
+          historyByNdc.get(ndc).set(effectiveDate, {
+            effective_date: effectiveDate,
+            nadac_per_unit: Number.isFinite(price) ? price : null,
+            explanation_code: row.explanation_code,
+          });
+        }
+
+        // The enriched record reflects the most recent effective date seen for desc||ndc
+        const key = `${desc}||${ndc}`;
+        const prev = latestByKey.get(key);
+        if (!prev || effectiveDate > prev.date) latestByKey.set(key, { date: effectiveDate, row });
       }
     });
     parserStream.on('end', resolve);
     parserStream.on('error', reject);
     fs.createReadStream(MEDICAID_CSV).pipe(parserStream);
   });
-  console.log(`• Medicaid rows: ${rows}, unique: ${unique.length}, deduped: ${deduped}`);
-  return unique;
+  const unique = Array.from(latestByKey.values(), v => v.row);
+  const priceHistory = new Map();
+  for (const [ndc, byDate] of historyByNdc) {
+    priceHistory.set(ndc, Array.from(byDate.values()).sort((a, b) => a.effective_date.localeCompare(b.effective_date)));
+  }
+  console.log(`• Medicaid rows: ${rows}, unique: ${unique.length}, deduped: ${rows - unique.length}, NDCs with history: ${priceHistory.size}`);
+  return { unique, priceHistory };
+}
+
+// Per-NDC price history sorted by NDC so the UI can locate a chunk by range: content-hashed chunk
+// files and their manifest, not written yet.
+// NDC ranges cut at stable boundaries (about 2000 NDCs per chunk, at most 4000)
+function buildPriceHistoryChunks(priceHistory) {
+  const ndcs = [...priceHistory.keys()].sort();
+  const chunkSize = 4000; // most NDCs per chunk
+  const files = [];
+  const ranges = [];
+  for (const slice of stableChunks(ndcs.map(ndc => ({ key: ndc, items: [ndc] })), { every: 2000, maxSize: chunkSize })) {
+    const out = {};
+    for (const ndc of slice) out[ndc] = priceHistory.get(ndc);
+    files.push(hashedFile({ base: `price-history-chunk-${files.length + 1}`, content: JSON.stringify(out) }));
+    ranges.push({ count: slice.length, firstNdc: slice[0], lastNdc: slice[slice.length - 1] });
+  }
+  const manifest = {
+    total: ndcs.length,
+    chunkSize,
+    numberOfChunks: files.length,
+    chunks: files.map((f, i) => ({ filename: f.filename, hash: f.hash, ...ranges[i] })),
+  };
+  return { files, manifestContent: JSON.stringify(manifest, null, 2), filenames: [PRICE_HISTORY_MANIFEST_FILENAME, ...files.map(f => f.filename)] };
 }
 
-// Orange Book parsing removed
+// Writes chunks from buildPriceHistoryChunks into `dir` and removes stale ones. Returns the filenames, manifest included.
+function writePriceHistoryChunks({ files, manifestContent, filenames }, dir = PRICE_HISTORY_CHUNKS_DIR) {
+  const written = writeHashedFiles(dir, files, { keep: [PRICE_HISTORY_MANIFEST_FILENAME] });
+  fs.writeFileSync(path.join(dir, PRICE_HISTORY_MANIFEST_FILENAME), manifestContent);
+  console.log(`📈 Price history chunks: ${files.length} (${written.written} rewritten, ${written.removed} stale removed)`);
+  return filenames;
+}
 
-async function enrichMedicaidWithOpenFda(uniqueMed, openIdx) {
+// Records grouped by ingredient set ([{ key, items }]), groups and their records in a stable order
+function ingredientGroups(records) {
+  const byKey = new Map();
+  for (const r of records) {
+    const key = ingredientSortKey(r);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(r);
+  }
+  const compare = (a, b) => (a < b ? -1 : (a > b ? 1 : 0));
+  return [...byKey.keys()].sort(compare).map(key => ({
+    key,
+    items: byKey.get(key).sort((a, b) => compare(a.ndc, b.ndc) || compare(a.ndc_description, b.ndc_description)),
+  }));
+}
+
+// [{ source, index, attached }] for every enrichment source whose file is present
+async function loadEnrichmentSources() {
+  const loaded = [];
+  for (const source of ENRICHMENT_SOURCES) {
+    const filePath = sourcePath(source);
+    if (!fs.existsSync(filePath)) {
+      console.warn(`⚠️  ${source.title} file not found at ${filePath}; ${source.missingNote}`);
+      continue;
+    }
+    console.log(`📙 Loading ${source.title}...`);
+    const index = await source.load(filePath);
+    console.log(`• ${source.title}: ${source.summarize(index)}`);
+    loaded.push({ source, index, attached: 0 });
+  }
+  return loaded;
+}
+
+// Sets each enrichment source's fields on a matched record
+function applyEnrichment(rec, bestMatch, enrichers) {
+  for (const e of enrichers) {
+    const fields = e.source.enrich(rec, bestMatch, e.index) || {};
+    let attached = false;
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined) continue;
+      rec[key] = value;
+      attached = true;
+    }
+    if (attached) e.attached += 1;
+  }
+}
+
+async function enrichMedicaidWithOpenFda(uniqueMed, openIdx, enrichers, priceHistory, validator) {
   console.log('🔎 Matching Medicaid to openFDA by NDC...');
   const enriched = [];
-  let matchedCount = 0;
-  let zeroFillLinks = 0;
-  let digitsLinks = 0;
-  let forwardLinks = 0;
-  let reverseLinks = 0;
-  let removedEmptyBrandCount = 0;
-  let removedNoBrandTokenOverlap = 0;
-  let bestMatchRecords = 0;
-  const bestLengthDistribution = new Map(); // length -> records count
-  const bestBrandDistribution = new Map(); // brandName -> count across best matches
+  const report = createMatchReport();
   for (const med of uniqueMed) {
     const ndc = med.ndc || '';
-    let matches = collectOpenFdaNdcMatches(ndc, openIdx);
+    const packageMatches = collectOpenFdaPackageMatches(normalizeMedNdc(ndc), openIdx);
+    // Package matches are exact; only the substring fallback needs the brand checks below
+    const candidates = packageMatches.length > 0 ? [] : collectOpenFdaNdcMatches(ndc, openIdx);
     // Second-stage checks: non-empty brandName and token overlap with ndc_description
     const descTokens = new Set(tokenizeWords(med.ndc_description || ''));
-    const before = matches.length;
-    matches = matches.filter(m => {
+    const rejections = [];
+    let matches = packageMatches.length > 0 ? packageMatches : candidates.filter(m => {
       const hasBrand = (normalizeWhitespaceLower(m.brandName).length > 0);
-      if (!hasBrand) return false;
+      if (!hasBrand) {
+        rejections.push('emptyBrand');
+        return false;
+      }
       const brandTokens = tokenizeWords(m.brandName);
       const overlap = brandTokens.some(t => descTokens.has(t));
+      if (!overlap) rejections.push('noBrandTokenOverlap');
       return overlap;
     });
-    removedEmptyBrandCount += before - matches.length; // includes both empty brand and no-overlap removals together
-    // More granular accounting
-    if (before > 0 && matches.length < before) {
-      // Count specifically no-overlap removals where brand existed but no token overlap
-      // We recompute for removed items
-      const removed = before - matches.length;
-      // Roughly approximate: for each original match, if brand present but no token overlap
-      // To avoid recomputing original set, we accept aggregate removed count as no-overlap for reporting simplicity
-      removedNoBrandTokenOverlap += removed; // aggregate number of links removed
-    }
+    report.addRejections(rejections);
     // Keep only best matches (longest normalizedProductNdc length)
     if (matches.length > 0) {
       const lengths = matches.map(m => (m && m.normalizedProductNdc ? String(m.normalizedProductNdc).length : 0)).filter(L => L > 0);
@@ -344,72 +484,168 @@ async function enrichMedicaidWithOpenFda(uniqueMed, openIdx) {
 
     const hasMatch = matches.length > 0;
     if (hasMatch) {
-      matchedCount++;
-      zeroFillLinks += matches.filter(m => m.matchedVariantType === 'zeroFill').length;
-      digitsLinks += matches.filter(m => m.matchedVariantType === 'digits').length;
-      forwardLinks += matches.filter(m => m.matchMode === 'forward').length;
-      reverseLinks += matches.filter(m => m.matchMode === 'reverse').length;
-      // Best-match stats per record
-      bestMatchRecords++;
-      const bestLen = (matches[0] && matches[0].normalizedProductNdc) ? String(matches[0].normalizedProductNdc).length : 0;
-      if (bestLen > 0) bestLengthDistribution.set(bestLen, (bestLengthDistribution.get(bestLen) || 0) + 1);
-      for (const bm of matches) {
-        const brand = (bm.brandName || '').trim();
-        if (brand) bestBrandDistribution.set(brand, (bestBrandDistribution.get(brand) || 0) + 1);
-      }
-      enriched.push({ ...med, fdaMatches: matches });
+      const matchConfidence = scoreMatch(med.ndc_description, matches, tokenizeWords);
+      const rec = { ...med, fdaMatches: matches, strength: parseRecordStrength(med, matches[0]), matchConfidence };
+      applyEnrichment(rec, matches[0], enrichers);
+      report.addMatched(med, matches, matchConfidence, { orangeBook: rec.orangeBook });
+      enriched.push(rec);
     } else {
+      // A record with any branded candidate failed on token overlap; otherwise every candidate lacked a brand
+      let reason = 'noCandidates';
+      if (candidates.length > 0) reason = rejections.includes('noBrandTokenOverlap') ? 'noBrandTokenOverlap' : 'emptyBrand';
+      const history = priceHistory && priceHistory.get(ndc);
+      report.addUnmatched(med, reason, history ? history.length : 0);
       // Keep json short if no match
-      enriched.push({ ndc_description: med.ndc_description, ndc: med.ndc });
+      enriched.push({ ndc_description: med.ndc_description, ndc: med.ndc, strength: parseRecordStrength(med, null) });
     }
   }
   // Write public outputs
-  fs.writeFileSync(OUT_ENRICHED_PUBLIC, JSON.stringify(enriched));
   const descriptions = Array.from(new Set(enriched.map(r => r.ndc_description).filter(Boolean))).sort();
+  validator.checkRecords(enriched, 'Enriched records');
+  validator.check('searchIndex', { descriptions }, path.basename(OUT_SEARCH_INDEX_PUBLIC));
+  console.log('• Enriched records and search index match their schemas');
+  fs.writeFileSync(OUT_ENRICHED_PUBLIC, JSON.stringify(enriched));
   fs.writeFileSync(OUT_SEARCH_INDEX_PUBLIC, JSON.stringify({ descriptions }, null, 2));
-  console.log(`• Matched ${matchedCount}/${uniqueMed.length} (${uniqueMed.length ? +(matchedCount * 100 / uniqueMed.length).toFixed(2) : 0}%)`);
+  fs.writeFileSync(OUT_FUZZY_INDEX_PUBLIC, JSON.stringify(buildFuzzyIndex(enriched)));
+  const matchReport = report.build();
+  fs.writeFileSync(OUT_MATCH_REPORT_JSON, JSON.stringify(matchReport, null, 2));
+  fs.writeFileSync(OUT_MATCH_REPORT_HTML, renderMatchReportHtml(matchReport));
+  const { totals, confidence, rejections } = matchReport;
+  console.log(`• Matched ${totals.matched}/${totals.records} (${+(totals.matchRate * 100).toFixed(2)}%)`);
+  console.log(`• Confidence: ${confidence.high} high, ${confidence.medium} medium, ${confidence.low} low; ${matchReport.ambiguousCount} ambiguous`);
+  console.log(`• Links rejected: ${rejections.links.emptyBrand} empty brand, ${rejections.links.noBrandTokenOverlap} no brand/description overlap`);
+  for (const e of enrichers) console.log(`• ${e.source.title} attached: ${e.attached}/${totals.matched}`);
+  console.log('🧾 Wrote match report:', path.relative(ROOT_DIR, OUT_MATCH_REPORT_JSON), '+ HTML summary');
   return { enriched };
 }
 
+// Latest "As of Date" in the NADAC file, ISO formatted; names the weekly delta
+function releaseDate(records) {
+  let latest = '';
+  for (const r of records) {
+    const d = normalizeNadacDate(r.as_of_date);
+    if (d > latest) latest = d;
+  }
+  return latest || new Date().toISOString().slice(0, 10);
+}
+
+/*
+  Enriched chunks (+ inverted index and manifest), description classification map, description facets
+  and price history chunks under `dataDir`. All are built and validated first; the files are only
+  written once everything passed, chunks before the manifest that names them.
+*/
+function publishChunks({ enriched, medUnique, priceHistory, asOfDate }, validator, dataDir = PUBLIC_DATA_DIR) {
+  const chunksDir = path.join(dataDir, path.basename(ENRICHED_CHUNKS_DIR));
+  const historyChunks = buildPriceHistoryChunks(priceHistory);
+  // Small chunks of whole ingredient sets (a selection and its alternatives land in one chunk),
+  // cut at stable boundaries: about 32 ingredient sets per chunk, at most chunkSize records
+  const chunkSize = 1000;
+  const chunks = stableChunks(ingredientGroups(enriched), { every: 32, maxSize: chunkSize });
+  // Content-hashed names: unchanged chunks keep their file, and their browser cache entry
+  const chunkFiles = chunks.map((slice, i) => hashedFile({ base: `enriched-chunk-${i + 1}`, content: JSON.stringify(slice) }));
+  const invertedIndex = buildInvertedIndex(chunks);
+  const indexFile = hashedFile({ base: 'inverted-index', content: JSON.stringify(invertedIndex) });
+  validator.check('invertedIndex', invertedIndex, indexFile.filename);
+  const chunksMeta = chunkFiles.map((f, i) => ({ filename: f.filename, hash: f.hash, count: chunks[i].length }));
+  const descClassMap = {};
+  for (const r of enriched) {
+    const d = (r.ndc_description || '').toString();
+    const c = (r.classification_for_rate_setting || '').toString();
+    if (d && c && !descClassMap[d]) descClassMap[d] = c;
+  }
+  validator.check('descriptionClassification', descClassMap, path.basename(DESC_CLASS_MAP_PATH));
+  // From the NADAC rows: unmatched enriched records keep only description, NDC and strength
+  const descFacets = describeFacets(medUnique);
+  validator.check('descriptionFacets', descFacets, path.basename(DESC_FACETS_PATH));
+  const mapFiles = {
+    [path.basename(DESC_CLASS_MAP_PATH)]: JSON.stringify(descClassMap),
+    [path.basename(DESC_FACETS_PATH)]: JSON.stringify(descFacets),
+  };
+  // Every file the app may load for this run (relative to public/data); the service worker caches
+  // them together under datasetVersion so one cached dataset never mixes files from two runs
+  const datasetFiles = [
+    path.basename(OUT_SEARCH_INDEX_PUBLIC),
+    path.basename(OUT_FUZZY_INDEX_PUBLIC),
+    path.basename(DESC_CLASS_MAP_PATH),
+    path.basename(DESC_FACETS_PATH),
+    ...[...chunksMeta.map(c => c.filename), indexFile.filename].map(f => `enriched-chunks/${f}`),
+    ...historyChunks.filenames.map(f => `price-history-chunks/${f}`),
+  ];
+  const manifest = {
+    schemaVersion: SCHEMA_VERSION,
+    total: enriched.length,
+    asOfDate,
+    datasetVersion: datasetVersion(dataDir, datasetFiles, {
+      ...mapFiles,
+      [`price-history-chunks/${PRICE_HISTORY_MANIFEST_FILENAME}`]: historyChunks.manifestContent,
+    }),
+    chunkSize,
+    numberOfChunks: chunksMeta.length,
+    invertedIndex: indexFile.filename,
+    invertedIndexHash: indexFile.hash,
+    chunks: chunksMeta,
+    datasetFiles,
+  };
+  validator.check('chunkManifest', manifest, ENRICHED_MANIFEST_FILENAME);
+
+  writePriceHistoryChunks(historyChunks, path.join(dataDir, path.basename(PRICE_HISTORY_CHUNKS_DIR)));
+  const written = writeHashedFiles(chunksDir, [...chunkFiles, indexFile], { keep: [ENRICHED_MANIFEST_FILENAME] });
+  for (const [rel, content] of Object.entries(mapFiles)) fs.writeFileSync(path.join(dataDir, rel), content);
+  fs.writeFileSync(path.join(chunksDir, ENRICHED_MANIFEST_FILENAME), JSON.stringify(manifest, null, 2));
+  console.log(`📦 Enriched chunks: ${chunksMeta.length} (${written.written} files rewritten, ${written.removed} stale removed); wrote classification map and description facets`);
+  return manifest;
+}
+
+// Delta against the release recorded by the previous run; a rerun of the same release keeps its delta
+function writeChanges(previousState, snapshot, asOfDate) {
+  if (!previousState || !previousState.snapshot) {
+    console.log('🗓️  No previous release recorded; skipping the changes delta');
+    return;
+  }
+  if (previousState.asOfDate === asOfDate) {
+    console.log(`🗓️  Same release as the previous run (${asOfDate}); keeping its changes delta`);
+    return;
+  }
+  const changes = {
+    generatedAt: new Date().toISOString(),
+    asOfDate,
+    previousAsOfDate: previousState.asOfDate,
+    ...buildChanges(previousState.snapshot, snapshot),
+  };
+  const out = path.join(PUBLIC_DATA_DIR, `changes-${asOfDate}.json`);
+  fs.writeFileSync(out, JSON.stringify(changes, null, 2));
+  const t = changes.totals;
+  console.log(`🗓️  Changes since ${previousState.asOfDate}: ${t.added} added, ${t.removed} removed, ${t.repriced} repriced, ${t.classificationFlips} brand/generic flips`);
+  console.log('   Wrote', path.relative(ROOT_DIR, out));
+}
+
 async function main() {
-  const openIdx = await buildOpenFdaIndex();
-  const medUnique = await buildMedicaidUnique();
-  // Orange Book is not used in this pipeline
-  const { enriched } = await enrichMedicaidWithOpenFda(medUnique, openIdx);
+  const force = process.argv.includes('--force');
+  const previousState = readState(PIPELINE_STATE);
+  const inputs = inputsFingerprint(SOURCES.map(s => sourcePath(s)));
+  if (!force && previousState && sameFingerprint(previousState.inputs, inputs)
+    && fs.existsSync(path.join(ENRICHED_CHUNKS_DIR, ENRICHED_MANIFEST_FILENAME))) {
+    console.log('✅ Inputs unchanged since the last run; nothing to do (use --force to rebuild)');
+    return;
+  }
 
-  // Chunk enriched into public/data/enriched-chunks and build description-classification map
+  const openIdx = await buildOpenFdaIndex();
+  const { unique: medUnique, priceHistory } = await buildMedicaidUnique();
+  const enrichers = await loadEnrichmentSources();
+  const validator = createOutputValidator();
+  const { enriched } = await enrichMedicaidWithOpenFda(medUnique, openIdx, enrichers, priceHistory, validator);
+  const asOfDate = releaseDate(medUnique);
+  const snapshot = releaseSnapshot(medUnique);
+  writeChanges(previousState, snapshot, asOfDate);
+
+  // A schema violation fails the run before any of these files is written
   try {
-    if (fs.existsSync(ENRICHED_CHUNKS_DIR)) {
-      fs.rmSync(ENRICHED_CHUNKS_DIR, { recursive: true, force: true });
-    }
-    fs.mkdirSync(ENRICHED_CHUNKS_DIR, { recursive: true });
-    const chunkSize = 4000; // fewer, larger chunks for faster parallel loads
-    const chunksMeta = [];
-    for (let i = 0; i < enriched.length; i += chunkSize) {
-      const slice = enriched.slice(i, i + chunkSize);
-      const fname = `enriched-chunk-${chunksMeta.length + 1}.json`;
-      fs.writeFileSync(path.join(ENRICHED_CHUNKS_DIR, fname), JSON.stringify(slice));
-      chunksMeta.push({ filename: fname, count: slice.length });
-    }
-    const manifest = {
-      total: enriched.length,
-      chunkSize,
-      numberOfChunks: chunksMeta.length,
-      chunks: chunksMeta,
-    };
-    fs.writeFileSync(path.join(ENRICHED_CHUNKS_DIR, 'chunks-manifest.json'), JSON.stringify(manifest, null, 2));
-    const descClassMap = {};
-    for (const r of enriched) {
-      const d = (r.ndc_description || '').toString();
-      const c = (r.classification_for_rate_setting || '').toString();
-      if (d && c && !descClassMap[d]) descClassMap[d] = c;
-    }
-    fs.writeFileSync(DESC_CLASS_MAP_PATH, JSON.stringify(descClassMap));
-    console.log('📦 Wrote enriched chunks and classification map:', chunksMeta.length, 'chunks');
+    publishChunks({ enriched, medUnique, priceHistory, asOfDate }, validator);
   } catch (e) {
     console.error('Failed to write enriched chunks:', e);
     process.exit(1);
   }
+  writeState(PIPELINE_STATE, { inputs, asOfDate, snapshot });
   console.log('✅ Raw processing complete. Outputs written to public/data/');
 }
 
@@ -420,4 +656,4 @@ if (require.main === module) {
   });
 }
 
-
+module.exports = { buildPriceHistoryChunks, writePriceHistoryChunks, publishChunks };
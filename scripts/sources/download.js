@@ -0,0 +1,149 @@
+/*
+  HTTP helpers shared by the source adapters
+  - Conditional downloads: ETag / Last-Modified from the previous fetch are sent back, and a 304
+    means the local copy is current
+  - Files are written to <name>.part and renamed when complete; validators are only returned after
+    the rename, so fetch-state.json never describes a partial file
+*/
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const unzipper = require('unzipper');
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+// Resolves with the response; a 304 (only possible with conditional headers) resolves too
+function httpsGet(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    https.get(url, { headers }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.statusCode !== 304 && res.headers.location) {
+        // follow redirect
+        res.resume();
+        return resolve(httpsGet(res.headers.location, headers));
+      }
+      if (res.statusCode !== 200 && res.statusCode !== 304) {
+        res.resume();
+        return reject(new Error(`GET ${url} failed: ${res.statusCode}`));
+      }
+      resolve(res);
+    }).on('error', reject);
+  });
+}
+
+async function getJson(url) {
+  const res = await httpsGet(url);
+  const chunks = [];
+  for await (const c of res) chunks.push(c);
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+// Validators from a previous download of `url`, unless forced or the extracted output is gone
+function conditionalHeaders(previous, url, outputPath, force) {
+  if (force || !previous || previous.url !== url || !fs.existsSync(outputPath)) return {};
+  const headers = {};
+  if (previous.etag) headers['If-None-Match'] = previous.etag;
+  if (previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+  return headers;
+}
+
+/*
+  Runs `pipeInto(ws, resolve, reject)` with a write stream on `<destPath>.part` and renames the file
+  to `destPath` once it resolves; a rejection closes the stream and removes the partial file
+*/
+async function writeAtomically(destPath, pipeInto) {
+  const partPath = `${destPath}.part`;
+  const ws = fs.createWriteStream(partPath);
+  try {
+    await new Promise((resolve, reject) => {
+      ws.on('error', reject);
+      pipeInto(ws, resolve, reject);
+    });
+  } catch (e) {
+    ws.destroy();
+    fs.rmSync(partPath, { force: true });
+    throw e;
+  }
+  fs.renameSync(partPath, destPath);
+}
+
+/*
+  Downloads `url` unless the server reports it unchanged; returns the new state entry, or null when
+  unchanged. The file only replaces `destPath` once the whole body arrived, so an interrupted
+  download never leaves a truncated file for the next run to keep with a 304.
+*/
+async function downloadToFile(url, destPath, headers = {}) {
+  ensureDir(path.dirname(destPath));
+  const res = await httpsGet(url, headers);
+  if (res.statusCode === 304) {
+    res.resume();
+    return null;
+  }
+  await writeAtomically(destPath, (ws, resolve, reject) => {
+    const interrupted = () => reject(new Error(`Download of ${url} was interrupted`));
+    res.on('error', reject);
+    res.on('aborted', interrupted);
+    ws.on('finish', () => (res.complete ? resolve() : interrupted()));
+    res.pipe(ws);
+  });
+  return {
+    url,
+    etag: res.headers.etag || undefined,
+    lastModified: res.headers['last-modified'] || undefined,
+    fetchedAt: new Date().toISOString(),
+  };
+}
+
+// Writes the first entry of `zipPath` accepted by `matchEntry(entryPath)` to `outPath`, then deletes the zip
+async function extractZipEntry(zipPath, outPath, matchEntry) {
+  await writeAtomically(outPath, (ws, resolve, reject) => {
+    let found = false;
+    fs.createReadStream(zipPath)
+      .pipe(unzipper.Parse())
+      .on('entry', (entry) => {
+        if (found || !matchEntry(entry.path)) {
+          entry.autodrain();
+          return;
+        }
+        found = true;
+        entry.on('error', reject);
+        ws.on('finish', resolve);
+        entry.pipe(ws);
+      })
+      .on('error', reject)
+      .on('close', () => {
+        if (!found) reject(new Error(`${path.basename(zipPath)} holds no ${path.basename(outPath)}`));
+      });
+  });
+  console.log('✅ Saved:', outPath);
+  try { fs.unlinkSync(zipPath); } catch (_) {}
+}
+
+/*
+  Conditional download of a zip holding one data file: skipped when the server reports it unchanged.
+  Returns the new state entry, or `previous` when nothing changed.
+*/
+async function fetchZippedFile({ url, outPath, previous, force, matchEntry, title }) {
+  console.log(`⬇️  Downloading ${title} ZIP:`, url);
+  const tmpZip = `${outPath}.zip`;
+  const fetched = await downloadToFile(url, tmpZip, conditionalHeaders(previous, url, outPath, force));
+  if (!fetched) {
+    console.log(`⏭️  ${title} not modified; keeping`, outPath);
+    return previous;
+  }
+  console.log(`📦 Extracting ${path.basename(outPath)} from ZIP...`);
+  await extractZipEntry(tmpZip, outPath, matchEntry);
+  return fetched;
+}
+
+module.exports = {
+  ensureDir,
+  httpsGet,
+  getJson,
+  conditionalHeaders,
+  downloadToFile,
+  extractZipEntry,
+  fetchZippedFile,
+};
@@ -0,0 +1,77 @@
+/*
+  FDA drug shortages source (openFDA drug/shortages download: one JSON file with a `results` array)
+  - Each entry names a package NDC ("0409-4888-02"; some only under openfda.package_ndc) and its
+    shortage status: Current, To Be Discontinued or Resolved
+  - Process stage: `shortage: { status, updateDate, availability, reason }` on matched records whose
+    NDC is listed; with several entries for one NDC the most recently updated wins
+*/
+
+const fs = require('fs');
+const { fetchZippedFile } = require('./download');
+const { packageNdcToNdc11 } = require('../../src/engine/ndc');
+
+const SHORTAGES_ZIP_URL = 'https://download.open.fda.gov/drug/shortages/drug-shortages-0001-of-0001.json.zip';
+
+// "03/14/2024" -> "2024-03-14"; ISO dates pass through
+function isoDate(s) {
+  const v = (s || '').toString().trim();
+  const m = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) return `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+  return /^\d{4}-\d{2}-\d{2}/.test(v) ? v.slice(0, 10) : '';
+}
+
+function entryNdcs(entry) {
+  const listed = [entry.package_ndc, ...((entry.openfda && entry.openfda.package_ndc) || [])];
+  return Array.from(new Set(listed.map(packageNdcToNdc11).filter(Boolean)));
+}
+
+function text(v) {
+  const s = (v === undefined || v === null ? '' : String(v)).trim();
+  return s || undefined;
+}
+
+// Drops empty fields so records only carry what the feed lists
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+// ndc11 -> shortage, from the parsed download (or a bare array of entries, as in the fixtures)
+function buildShortageIndex(data) {
+  const entries = Array.isArray(data) ? data : (data && Array.isArray(data.results) ? data.results : []);
+  const byNdc = new Map();
+  for (const entry of entries) {
+    const status = text(entry.status);
+    if (!status) continue;
+    const shortage = compact({
+      status,
+      updateDate: isoDate(entry.update_date || entry.initial_posting_date) || undefined,
+      availability: text(entry.availability),
+      reason: text(entry.shortage_reason),
+    });
+    for (const ndc of entryNdcs(entry)) {
+      const prev = byNdc.get(ndc);
+      if (!prev || (shortage.updateDate || '') > (prev.updateDate || '')) byNdc.set(ndc, shortage);
+    }
+  }
+  return { byNdc, entries: entries.length };
+}
+
+module.exports = {
+  id: 'fdaShortages',
+  title: 'FDA drug shortages',
+  rawFile: 'fda-drug-shortages.json',
+  envVar: 'FDA_SHORTAGES_FILE',
+  optional: true,
+  fetch: ({ outPath, previous, force }) => fetchZippedFile({
+    url: SHORTAGES_ZIP_URL,
+    outPath,
+    previous,
+    force,
+    title: 'FDA drug shortages',
+    matchEntry: (entryPath) => entryPath.toLowerCase().endsWith('.json'),
+  }),
+  load: (filePath) => buildShortageIndex(JSON.parse(fs.readFileSync(filePath, 'utf8'))),
+  summarize: (idx) => `${idx.entries} entries, ${idx.byNdc.size} NDCs`,
+  missingNote: 'shortage badges will not be shown',
+  enrich: (rec, bestMatch, idx) => ({ shortage: idx.byNdc.get(rec.ndc) }),
+};
@@ -0,0 +1,75 @@
+/*
+  Source adapters for fetch-sources.js and raw-process.js
+  - One module per dataset, listed in SOURCES in fetch order:
+    {
+      id,          // key in rawData/fetch-state.json and in --source <id>=<path>
+      title,
+      rawFile,     // file under rawData/ that fetch writes and process reads
+      envVar,      // environment variable that points the source at a local file instead
+      optional,    // a failed fetch warns instead of failing the run
+      fetch(ctx),  // ctx: { outPath, previous, force, sourcePath(id) }; resolves with the new
+                   // fetch-state entry (`previous` when nothing changed)
+      // Enrichment sources only (process stage):
+      load(filePath),               // -> index
+      summarize(index),             // -> short description for the log
+      missingNote,                  // what is lost when the file is absent
+      enrich(rec, bestMatch, index) // -> fields to set on a matched record (undefined ones are skipped)
+    }
+  - NADAC and openFDA NDC are the base inputs (process reads them itself); the rest enrich matched records
+  - Local files (fixtures, offline runs): `--source <id>=<path>` on either script, or the source's
+    environment variable
+*/
+
+const path = require('path');
+
+const SOURCES = [
+  require('./nadac'),
+  require('./openfda-ndc'),
+  require('./orange-book'),
+  require('./fda-shortages'),
+  require('./rxnorm'),
+];
+
+const RAW_DIR = path.join(__dirname, '..', '..', 'rawData');
+
+// --source id=path pairs from the command line
+function sourceOverrides(argv = process.argv) {
+  const out = {};
+  argv.forEach((arg, i) => {
+    const value = arg === '--source' ? argv[i + 1] : (arg.startsWith('--source=') ? arg.slice('--source='.length) : null);
+    if (!value) return;
+    const eq = value.indexOf('=');
+    if (eq <= 0) throw new Error(`Expected --source <id>=<path>, got "${value}"`);
+    const id = value.slice(0, eq);
+    if (!SOURCES.some(s => s.id === id)) throw new Error(`Unknown source "${id}" (known: ${SOURCES.map(s => s.id).join(', ')})`);
+    out[id] = path.resolve(value.slice(eq + 1));
+  });
+  return out;
+}
+
+function sourceById(id) {
+  const source = SOURCES.find(s => s.id === id);
+  if (!source) throw new Error(`Unknown source "${id}"`);
+  return source;
+}
+
+// Local file given for a source on the command line or in its environment variable, if any
+function localSourcePath(source, { overrides = sourceOverrides(), env = process.env } = {}) {
+  if (overrides[source.id]) return overrides[source.id];
+  return source.envVar && env[source.envVar] ? path.resolve(env[source.envVar]) : null;
+}
+
+// File the process stage reads for a source: the local override, else the fetched copy in rawData/
+function sourcePath(source, options = {}) {
+  const s = typeof source === 'string' ? sourceById(source) : source;
+  return localSourcePath(s, options) || path.join(options.rawDir || RAW_DIR, s.rawFile);
+}
+
+module.exports = {
+  SOURCES,
+  RAW_DIR,
+  sourceOverrides,
+  sourceById,
+  localSourcePath,
+  sourcePath,
+};
@@ -0,0 +1,43 @@
+/*
+  NADAC (Medicaid) source: the weekly NADAC CSV, found through the data.medicaid.gov metastore
+  - The metastore says when the dataset last changed; the same URL and date need no request at all
+  - A base input of raw-process.js (every enriched record is a NADAC row), so it has no process stage
+*/
+
+const fs = require('fs');
+const { getJson, conditionalHeaders, downloadToFile } = require('./download');
+
+const MEDICAID_META_URL = 'https://data.medicaid.gov/api/1/metastore/schemas/dataset/items';
+
+async function fetchLatestNADAC({ outPath, previous, force }) {
+  console.log('🔎 Fetching Medicaid datasets metadata...');
+  const meta = await getJson(MEDICAID_META_URL);
+  const items = Array.isArray(meta) ? meta : [];
+  const nadacItems = items.filter((it) => String(it.title || '').startsWith('NADAC (National Average Drug Acquisition Cost)'));
+  if (nadacItems.length === 0) throw new Error('No NADAC items found in Medicaid metadata');
+  nadacItems.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+  const latest = nadacItems[0];
+  const dist = Array.isArray(latest.distribution) ? latest.distribution : [];
+  const csv = dist.find((d) => String(d.format || '').toLowerCase() === 'csv' && d.downloadURL);
+  if (!csv) throw new Error('No CSV distribution found for latest NADAC item');
+  if (!force && previous && previous.url === csv.downloadURL && previous.modified === latest.modified && fs.existsSync(outPath)) {
+    console.log(`⏭️  NADAC unchanged since ${latest.modified}; skipping download`);
+    return previous;
+  }
+  console.log('⬇️  Downloading NADAC CSV:', csv.downloadURL);
+  const fetched = await downloadToFile(csv.downloadURL, outPath, conditionalHeaders(previous, csv.downloadURL, outPath, force));
+  if (!fetched) {
+    console.log('⏭️  NADAC CSV not modified; keeping', outPath);
+    return { ...previous, modified: latest.modified };
+  }
+  console.log('✅ Saved:', outPath);
+  return { ...fetched, modified: latest.modified };
+}
+
+module.exports = {
+  id: 'nadac',
+  title: 'NADAC',
+  rawFile: 'nadac-national-average-drug-acquisition-cst-medicaid.csv',
+  envVar: 'NADAC_CSV',
+  fetch: fetchLatestNADAC,
+};
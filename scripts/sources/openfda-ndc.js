@@ -0,0 +1,23 @@
+/*
+  openFDA NDC directory source (drug-ndc zip, one JSON file with a `results` array)
+  - A base input of raw-process.js (matched by NDC), so it has no process stage
+*/
+
+const { fetchZippedFile } = require('./download');
+
+const OPENFDA_ZIP_URL = 'https://download.open.fda.gov/drug/ndc/drug-ndc-0001-of-0001.json.zip';
+
+module.exports = {
+  id: 'openFda',
+  title: 'openFDA NDC',
+  rawFile: 'drug-ndc-openfda.json',
+  envVar: 'OPENFDA_NDC_JSON',
+  fetch: ({ outPath, previous, force }) => fetchZippedFile({
+    url: OPENFDA_ZIP_URL,
+    outPath,
+    previous,
+    force,
+    title: 'openFDA NDC',
+    matchEntry: (entryPath) => entryPath.toLowerCase().endsWith('.json'),
+  }),
+};
@@ -0,0 +1,30 @@
+/*
+  FDA Orange Book source (products.txt from the Orange Book data files zip)
+  - Process stage: TE code, RLD/RS flags per matched record, joined on the openFDA application
+    number (see scripts/orange-book.js)
+*/
+
+const path = require('path');
+const { fetchZippedFile } = require('./download');
+const { readOrangeBookProducts, buildOrangeBookIndex, matchOrangeBook } = require('../orange-book');
+
+const ORANGE_BOOK_ZIP_URL = 'https://www.fda.gov/media/76860/download?attachment';
+
+module.exports = {
+  id: 'orangeBook',
+  title: 'Orange Book',
+  rawFile: 'products.txt',
+  envVar: 'ORANGE_BOOK_PRODUCTS',
+  fetch: ({ outPath, previous, force }) => fetchZippedFile({
+    url: ORANGE_BOOK_ZIP_URL,
+    outPath,
+    previous,
+    force,
+    title: 'Orange Book',
+    matchEntry: (entryPath) => path.basename(entryPath).toLowerCase() === 'products.txt',
+  }),
+  load: (filePath) => buildOrangeBookIndex(readOrangeBookProducts(filePath)),
+  summarize: (obIdx) => `${obIdx.size} products, ${obIdx.byApplication.size} applications`,
+  missingNote: 'TE codes will not be attached',
+  enrich: (rec, bestMatch, obIdx) => ({ orangeBook: matchOrangeBook(rec, bestMatch, obIdx) }),
+};
@@ -0,0 +1,139 @@
+/*
+  RxNorm NDC -> RxCUI source, built from the RxNav `ndcstatus` API
+  - Fetch: one ndcstatus lookup per NDC in the NADAC CSV (fetched first), a few at a time; NDCs
+    already in the previous file are not looked up again unless --force
+  - Failed lookups are retried one at a time and left out when they fail again; the file is saved
+    every few hundred batches and when the fetch stops, so a rerun only looks up what is missing
+  - File: { source, fetchedAt, ndcStatus: [{ ndc11, status, rxcui, conceptName }] }; a bare array of
+    those entries, or of raw `{ ndcStatus: {...} }` responses, reads the same
+  - Process stage: `rxnorm: { rxcui, name }` on matched records with a concept; the UI groups
+    products by clinical drug from the name (src/engine/rxnorm.js)
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse');
+const { getJson, ensureDir } = require('./download');
+const { normalizeMedNdc } = require('../../src/engine/ndc');
+
+const NDC_STATUS_URL = 'https://rxnav.nlm.nih.gov/REST/ndcstatus.json?ndc=';
+const LOOKUP_BATCH = 4; // concurrent lookups; RxNav allows about 20 requests per second
+const BATCH_PAUSE_MS = 250;
+const SAVE_EVERY = 250; // batches between partial saves
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function statusEntries(data) {
+  const list = Array.isArray(data) ? data : (data && Array.isArray(data.ndcStatus) ? data.ndcStatus : []);
+  return list.map(e => (e && e.ndcStatus ? e.ndcStatus : e)).filter(Boolean);
+}
+
+// ndc11 -> { rxcui, name }; NDCs RxNav does not know (no rxcui) are left out
+function buildRxNormIndex(data) {
+  const byNdc = new Map();
+  for (const e of statusEntries(data)) {
+    const ndc = normalizeMedNdc(e.ndc11);
+    const rxcui = (e.rxcui || '').toString().trim();
+    if (ndc.length !== 11 || !/^\d+$/.test(rxcui)) continue;
+    const name = (e.conceptName || '').toString().trim();
+    byNdc.set(ndc, name ? { rxcui, name } : { rxcui });
+  }
+  return { byNdc };
+}
+
+function readNadacNdcs(csvPath) {
+  return new Promise((resolve, reject) => {
+    const ndcs = new Set();
+    fs.createReadStream(csvPath)
+      .pipe(parse({ columns: true, trim: true }))
+      .on('data', (row) => {
+        const ndc = normalizeMedNdc(row['NDC']);
+        if (ndc.length === 11) ndcs.add(ndc);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Array.from(ndcs).sort()));
+  });
+}
+
+async function lookupNdc(ndc) {
+  const body = await getJson(`${NDC_STATUS_URL}${ndc}`);
+  const s = (body && body.ndcStatus) || {};
+  return { ndc11: ndc, status: s.status || 'UNKNOWN', rxcui: s.rxcui || '', conceptName: s.conceptName || '' };
+}
+
+// Looks up a batch together, then retries the failed NDCs one at a time; returns the NDCs that still failed
+async function lookupBatch(batch, known) {
+  const settled = await Promise.allSettled(batch.map(lookupNdc));
+  const failed = [];
+  settled.forEach((r, i) => {
+    if (r.status === 'fulfilled') known.set(r.value.ndc11, r.value);
+    else failed.push(batch[i]);
+  });
+  const skipped = [];
+  for (const ndc of failed) {
+    await sleep(BATCH_PAUSE_MS);
+    try {
+      known.set(ndc, await lookupNdc(ndc));
+    } catch (e) {
+      console.warn(`⚠️  RxNav lookup for ${ndc} failed twice; skipping (${e.message})`);
+      skipped.push(ndc);
+    }
+  }
+  return skipped;
+}
+
+// Only NDCs still in NADAC are kept, so the file does not grow with every release
+function saveStatus(outPath, ndcs, known, fetchedAt) {
+  ensureDir(path.dirname(outPath));
+  const ndcStatus = ndcs.filter(ndc => known.has(ndc)).map(ndc => known.get(ndc));
+  const partPath = `${outPath}.part`;
+  fs.writeFileSync(partPath, JSON.stringify({ source: 'RxNav ndcstatus', fetchedAt, ndcStatus }));
+  fs.renameSync(partPath, outPath);
+}
+
+async function fetchRxNorm({ outPath, previous, force, sourcePath }) {
+  const nadacCsv = sourcePath('nadac');
+  if (!fs.existsSync(nadacCsv)) throw new Error(`RxNorm lookups need the NADAC CSV (${nadacCsv})`);
+  const known = new Map();
+  if (!force && fs.existsSync(outPath)) {
+    for (const e of statusEntries(JSON.parse(fs.readFileSync(outPath, 'utf8')))) known.set(normalizeMedNdc(e.ndc11), e);
+  }
+  const ndcs = await readNadacNdcs(nadacCsv);
+  const missing = ndcs.filter(ndc => !known.has(ndc));
+  if (missing.length === 0) {
+    console.log(`⏭️  RxNorm: all ${ndcs.length} NADAC NDCs already looked up; keeping`, outPath);
+    return previous;
+  }
+  console.log(`🔎 RxNav ndcstatus lookups: ${missing.length} of ${ndcs.length} NADAC NDCs...`);
+  const fetchedAt = new Date().toISOString();
+  const skipped = [];
+  try {
+    for (let i = 0; i < missing.length; i += LOOKUP_BATCH) {
+      skipped.push(...await lookupBatch(missing.slice(i, i + LOOKUP_BATCH), known));
+      if ((i / LOOKUP_BATCH) % SAVE_EVERY === 0) {
+        console.log(`• ${Math.min(i + LOOKUP_BATCH, missing.length)}/${missing.length}`);
+        if (i > 0) saveStatus(outPath, ndcs, known, fetchedAt);
+      }
+      await sleep(BATCH_PAUSE_MS);
+    }
+  } finally {
+    // Whatever was looked up is kept, also when the fetch stops early
+    saveStatus(outPath, ndcs, known, fetchedAt);
+  }
+  if (skipped.length) console.log(`⚠️  ${skipped.length} NDCs skipped after failed lookups; rerun to retry them`);
+  console.log('✅ Saved:', outPath);
+  return { url: NDC_STATUS_URL, fetchedAt, lookups: missing.length - skipped.length, skipped: skipped.length };
+}
+
+module.exports = {
+  id: 'rxnorm',
+  title: 'RxNorm NDC mapping',
+  rawFile: 'rxnorm-ndc.json',
+  envVar: 'RXNORM_NDC_FILE',
+  optional: true,
+  fetch: fetchRxNorm,
+  load: (filePath) => buildRxNormIndex(JSON.parse(fs.readFileSync(filePath, 'utf8'))),
+  summarize: (idx) => `${idx.byNdc.size} NDCs with an RxCUI`,
+  missingNote: 'products will not be grouped by clinical drug',
+  enrich: (rec, bestMatch, idx) => ({ rxnorm: idx.byNdc.get(rec.ndc) }),
+};
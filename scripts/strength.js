@@ -0,0 +1,184 @@
+/*
+  Strength parsing for openFDA active ingredient strengths and NADAC descriptions
+  - "500 mg/1"         -> 500 mg per dosage unit
+  - "250 mg/5mL"       -> 250 mg per 5 mL (normalized to 50 mg/mL)
+  - "10 MG/5 ML"       -> same as above, from a NADAC description
+  - "5-325 MG"         -> two components (combination product)
+  - "0.1%", "100 [iU]/mL", "40 [USP'U]/mL"
+  - "0.05 mg/d", "25 ug/h", "4.6 MG/24HR" -> per-time rates (normalized to mg/h), never equal to
+    a plain "0.05 mg" per dosage unit
+  - "CEFDINIR 250 MG/5 ML SUSP 100 ML" -> the trailing bare volume is the package size, not a strength
+  Units are canonicalized to mg, mcg, g, mL, %, units and mEq; mass is normalized to mg
+  and volume to mL so that equal strengths compare equal across spellings. Same-dimension
+  ratios such as "1 g/100g" normalize to a percentage.
+*/
+
+const NUM = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?|\\.\\d+';
+
+// Raw unit spelling -> canonical unit
+const UNIT_ALIASES = {
+  mg: 'mg',
+  mcg: 'mcg',
+  ug: 'mcg',
+  'µg': 'mcg',
+  g: 'g',
+  gm: 'g',
+  gram: 'g',
+  kg: 'kg',
+  ml: 'mL',
+  l: 'L',
+  '%': '%',
+  unit: 'units',
+  units: 'units',
+  u: 'units',
+  iu: 'units',
+  '[iu]': 'units',
+  "[usp'u]": 'units',
+  '[usp_u]': 'units',
+  '[hp_x]': 'units',
+  meq: 'mEq',
+  '[meq]': 'mEq',
+};
+
+// Time units, only valid as the denominator of a rate ("/24 h", "/day")
+const TIME_ALIASES = {
+  h: 'h',
+  hr: 'h',
+  hrs: 'h',
+  hour: 'h',
+  d: 'd',
+  day: 'd',
+};
+
+// Canonical unit -> [normalized unit, factor]
+const NORMALIZE = {
+  mg: ['mg', 1],
+  mcg: ['mg', 0.001],
+  g: ['mg', 1000],
+  kg: ['mg', 1000000],
+  mL: ['mL', 1],
+  L: ['mL', 1000],
+  '%': ['%', 1],
+  units: ['units', 1],
+  mEq: ['mEq', 1],
+  h: ['h', 1],
+  d: ['h', 24],
+};
+
+function canonicalUnit(raw) {
+  if (!raw) return null;
+  const key = raw.toString().trim().toLowerCase();
+  return UNIT_ALIASES[key] || null;
+}
+
+function canonicalPerUnit(raw) {
+  return canonicalUnit(raw) || (raw ? TIME_ALIASES[raw.toString().trim().toLowerCase()] || null : null);
+}
+
+function parseNumber(s) {
+  return parseFloat((s || '').toString().replace(/,/g, ''));
+}
+
+function roundValue(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+// Build one component from its parts; per* describes the denominator ("/5 mL", "/1")
+function makeComponent(ingredient, value, unit, perValue, perUnit) {
+  if (!Number.isFinite(value) || !unit) return null;
+  const [nUnit, factor] = NORMALIZE[unit];
+  let normalizedValue = value * factor;
+  let normalizedUnit = nUnit;
+  const hasPerUnit = perUnit && NORMALIZE[perUnit];
+  if (hasPerUnit) {
+    const [dUnit, dFactor] = NORMALIZE[perUnit];
+    const denom = (Number.isFinite(perValue) ? perValue : 1) * dFactor;
+    if (denom > 0) {
+      normalizedValue = normalizedValue / denom;
+      normalizedUnit = `${nUnit}/${dUnit}`;
+      // Same-dimension ratios (1 g/100 g) are percentages
+      if (nUnit === dUnit) {
+        normalizedValue *= 100;
+        normalizedUnit = '%';
+      }
+    }
+  }
+  const perText = hasPerUnit
+    ? `/${Number.isFinite(perValue) && perValue !== 1 ? `${perValue} ` : ''}${perUnit}`
+    : '';
+  return {
+    ingredient: ingredient || null,
+    value,
+    unit,
+    perValue: hasPerUnit ? (Number.isFinite(perValue) ? perValue : 1) : null,
+    perUnit: hasPerUnit ? perUnit : null,
+    normalizedValue: roundValue(normalizedValue),
+    normalizedUnit,
+    display: `${value} ${unit}${perText}`,
+  };
+}
+
+// Parse a single openFDA strength such as "250 mg/5mL" or "500 mg/1"
+function parseOpenFdaStrength(strength, ingredient) {
+  const str = (strength || '').toString().trim();
+  if (!str) return null;
+  const m = str.match(new RegExp(`^(${NUM})\\s*([^\\s/\\d]+)\\s*(?:/\\s*(${NUM})?\\s*([^\\s\\d]*))?$`, 'i'));
+  if (!m) return null;
+  const unit = canonicalUnit(m[2]);
+  if (!unit) return null;
+  const perValue = m[3] !== undefined ? parseNumber(m[3]) : null;
+  const perUnit = canonicalPerUnit(m[4]);
+  return makeComponent(ingredient, parseNumber(m[1]), unit, perValue, perUnit);
+}
+
+// Dosage form words after which a bare volume is the package size ("SUSP 100 ML")
+const PACKAGE_FORM_WORDS = /\b(?:SUSP|SUSPENSION|SOLN|SOLUTION|SOL|SYRUP|SYRP|ELIXIR|ELIX|LIQUID|LIQ|DROPS?|VIAL|BOTTLE|LOTION|LOTN|GEL|CREAM|CRM|OINTMENT|OINT|SPRAY|EMULSION|ENEMA|PEN|SYRINGE|SYRN)\b/i;
+
+// Parse strengths embedded in a NADAC description, e.g. "AMOXICILLIN 250 MG/5 ML SUSP"
+function parseDescriptionStrengths(description) {
+  const str = (description || '').toString();
+  const re = new RegExp(
+    `(?:^|[\\s(])((?:${NUM})(?:\\s*-\\s*(?:${NUM}))*)\\s*(MG|MCG|GM|G|ML|%|UNITS?|IU|MEQ)(?![A-Z])(?:\\s*/\\s*(${NUM})?\\s*(ML|GM|G|L|HRS?|H|DAY|D)(?![A-Z]))?`,
+    'gi'
+  );
+  const out = [];
+  let m;
+  while ((m = re.exec(str)) !== null) {
+    const unit = canonicalUnit(m[2]);
+    if (!unit) continue;
+    const perValue = m[3] !== undefined ? parseNumber(m[3]) : null;
+    const perUnit = canonicalPerUnit(m[4]);
+    // A bare volume after another strength or a dosage form word is the package size
+    const packageVolume = NORMALIZE[unit][0] === 'mL' && !perUnit
+      && (out.length > 0 || PACKAGE_FORM_WORDS.test(str.slice(0, m.index)));
+    if (packageVolume) continue;
+    for (const part of m[1].split('-')) {
+      const c = makeComponent(null, parseNumber(part), unit, perValue, perUnit);
+      if (c) out.push(c);
+    }
+  }
+  return out;
+}
+
+// Structured strength for an enriched record: prefer FDA ingredients, fall back to the description
+function parseRecordStrength(record, bestMatcher) {
+  const ais = bestMatcher && Array.isArray(bestMatcher.activeIngredientsDetailed) ? bestMatcher.activeIngredientsDetailed : [];
+  const fromFda = ais
+    .map(ai => parseOpenFdaStrength(ai.strength, ai.name ? ai.name.toString().trim().toUpperCase() : null))
+    .filter(Boolean);
+  if (fromFda.length > 0 && fromFda.length === ais.length) {
+    return { source: 'fda', components: fromFda, display: fromFda.map(c => c.display).join(' / ') };
+  }
+  const fromDesc = parseDescriptionStrengths(record && record.ndc_description);
+  if (fromDesc.length > 0) {
+    return { source: 'description', components: fromDesc, display: fromDesc.map(c => c.display).join(' / ') };
+  }
+  return undefined;
+}
+
+module.exports = {
+  canonicalUnit,
+  parseOpenFdaStrength,
+  parseDescriptionStrengths,
+  parseRecordStrength,
+};
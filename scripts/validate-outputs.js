@@ -0,0 +1,101 @@
+/*
+  Schema validation for the pipeline outputs (schemas in src/engine/schemas/)
+  - createOutputValidator(): used by raw-process.js before it writes each output; throws with the
+    violations so the run fails instead of publishing data the app cannot read
+  - validateDataDir(dir): checks files already on disk (the manifest, every chunk it lists, the
+    inverted index, the search index, the classification map and the description facets); run as
+    `npm run validate:data [dir]`
+*/
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { SCHEMAS } = require('../src/engine/schema');
+
+const ERROR_LIMIT = 20; // violations listed per output
+
+function createOutputValidator() {
+  const ajv = new Ajv({ allErrors: true });
+  const validators = Object.fromEntries(Object.entries(SCHEMAS).map(([kind, schema]) => [kind, ajv.compile(schema)]));
+
+  // Violations of `data` against the schema for `kind`, as "<label><path>: <message>" lines
+  function violations(kind, data, label) {
+    const validate = validators[kind];
+    if (!validate) throw new Error(`Unknown output kind: ${kind}`);
+    if (validate(data)) return [];
+    return validate.errors.map(e => `${label}${e.dataPath}: ${e.message}${e.params && e.params.additionalProperty ? ` (${e.params.additionalProperty})` : ''}`);
+  }
+
+  // Each record is checked on its own so a bad one is reported by NDC
+  function recordViolations(records, label) {
+    const out = [];
+    (records || []).forEach((rec, i) => {
+      if (out.length >= ERROR_LIMIT) return;
+      const ndc = rec && rec.ndc ? ` [NDC ${rec.ndc}]` : '';
+      out.push(...violations('enrichedRecord', rec, `${label}[${i}]`).map(v => `${v}${ndc}`));
+    });
+    return out;
+  }
+
+  function fail(label, errors) {
+    if (errors.length === 0) return;
+    const shown = errors.slice(0, ERROR_LIMIT);
+    const more = errors.length > shown.length ? `\n  ...and ${errors.length - shown.length} more` : '';
+    throw new Error(`${label} does not match its schema:\n  ${shown.join('\n  ')}${more}`);
+  }
+
+  return {
+    violations,
+    recordViolations,
+    check: (kind, data, label) => fail(label, violations(kind, data, label)),
+    checkRecords: (records, label) => fail(label, recordViolations(records, label)),
+  };
+}
+
+function validateDataDir(dataDir) {
+  const validator = createOutputValidator();
+  const readJson = (rel) => JSON.parse(fs.readFileSync(path.join(dataDir, rel), 'utf8'));
+  const errors = [];
+  const manifestRel = 'enriched-chunks/chunks-manifest.json';
+  const manifest = readJson(manifestRel);
+  errors.push(...validator.violations('chunkManifest', manifest, manifestRel));
+  for (const ch of manifest.chunks || []) {
+    const rel = `enriched-chunks/${ch.filename}`;
+    const records = readJson(rel);
+    if (!Array.isArray(records)) {
+      errors.push(`${rel}: not an array of records`);
+      continue;
+    }
+    if (records.length !== ch.count) errors.push(`${rel}: holds ${records.length} records, the manifest lists ${ch.count}`);
+    errors.push(...validator.recordViolations(records, rel));
+  }
+  if (manifest.invertedIndex) {
+    const rel = `enriched-chunks/${manifest.invertedIndex}`;
+    errors.push(...validator.violations('invertedIndex', readJson(rel), rel));
+  }
+  errors.push(...validator.violations('searchIndex', readJson('search-index-enriched.json'), 'search-index-enriched.json'));
+  errors.push(...validator.violations('descriptionClassification', readJson('description-classification.json'), 'description-classification.json'));
+  // Optional: older outputs have no facets
+  if (fs.existsSync(path.join(dataDir, 'description-facets.json'))) {
+    errors.push(...validator.violations('descriptionFacets', readJson('description-facets.json'), 'description-facets.json'));
+  }
+  return errors;
+}
+
+if (require.main === module) {
+  const dataDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'public', 'data'));
+  try {
+    const errors = validateDataDir(dataDir);
+    if (errors.length > 0) {
+      console.error(`❌ ${errors.length} schema violation(s) in ${dataDir}:`);
+      errors.slice(0, ERROR_LIMIT * 5).forEach(e => console.error(`  ${e}`));
+      process.exit(1);
+    }
+    console.log(`✅ ${dataDir} matches the output schemas`);
+  } catch (e) {
+    console.error('❌ Could not validate outputs:', e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { createOutputValidator, validateDataDir };
@@ -0,0 +1,173 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createApp } = require('..');
+const { loadDataset } = require('../dataset');
+
+const { SCHEMA_VERSION } = require('../../src/engine');
+
+const FIXTURES = path.join(__dirname, '..', '..', 'src', 'engine', '__fixtures__');
+
+let dataDir;
+let server;
+let baseUrl;
+
+// The fixture chunks laid out like public/data
+beforeAll(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'query-api-'));
+  const chunksDir = path.join(dataDir, 'enriched-chunks');
+  fs.mkdirSync(chunksDir);
+  for (const name of fs.readdirSync(FIXTURES).filter(n => n.endsWith('.json'))) {
+    fs.copyFileSync(path.join(FIXTURES, name), path.join(chunksDir, name));
+  }
+  server = http.createServer(createApp(loadDataset(dataDir)));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Status, headers and raw body of a request
+function request(urlPath, { method = 'GET', headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${urlPath}`, { method, headers }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (c) => { body += c; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function get(urlPath, method = 'GET') {
+  const { status, body } = await request(urlPath, { method });
+  return { status, body: JSON.parse(body) };
+}
+
+describe('GET /drugs/search', () => {
+  it('finds descriptions by substring with their NDCs', async () => {
+    const { status, body } = await get('/drugs/search?q=metformin%20hcl%20500%20mg%20tab');
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ query: 'metformin hcl 500 mg tab', filter: 'all', page: 1, total: 1 });
+    expect(body.results[0].ndc_description).toBe('METFORMIN HCL 500 MG TABLET');
+    expect(body.results[0].ndcs).toEqual(expect.arrayContaining(['00093104801', '65862000899']));
+  });
+
+  it('applies the drug filter and paginates', async () => {
+    const branded = await get('/drugs/search?q=500&filter=branded');
+    expect(branded.body.results.map(r => r.ndc_description)).toEqual(['GLUCOPHAGE 500 MG TABLET', 'GLUMETZA ER 500 MG TABLET']);
+    const page2 = await get('/drugs/search?q=metformin&pageSize=2&page=2');
+    expect(page2.body).toMatchObject({ page: 2, pageSize: 2, totalPages: Math.ceil(page2.body.total / 2) });
+    expect(page2.body.results).toHaveLength(2);
+  });
+
+  it.each([
+    ['/drugs/search?q=m', 'q must be at least 2 characters'],
+    ['/drugs/search?q=metformin&filter=cheap', 'filter must be one of all, branded, generic'],
+    ['/drugs/search?q=metformin&page=0', 'page must be a positive integer'],
+    ['/drugs/search?q=metformin&pageSize=101', 'pageSize must be an integer between 1 and 100'],
+  ])('rejects %s', async (urlPath, message) => {
+    expect(await get(urlPath)).toEqual({ status: 400, body: { error: { status: 400, message } } });
+  });
+});
+
+describe('GET /drugs/ndc/:ndc', () => {
+  it('looks up any NDC form', async () => {
+    for (const ndc of ['00087606005', '0087-6060-05', '00087-6060-05']) {
+      const { status, body } = await get(`/drugs/ndc/${ndc}`);
+      expect(status).toBe(200);
+      expect(body.ndc).toBe('00087606005');
+      expect(body.records[0].ndc_description).toBe('GLUCOPHAGE 500 MG TABLET');
+    }
+  });
+
+  it('answers unknown NDCs with 404 and malformed ones with 400', async () => {
+    expect((await get('/drugs/ndc/12345-6789-01')).status).toBe(404);
+    const bad = await get('/drugs/ndc/not-an-ndc');
+    expect(bad.status).toBe(400);
+    expect(await get('/drugs/ndc/%E0%A4%A')).toEqual(bad);
+  });
+});
+
+describe('GET /drugs/:ndc/alternatives', () => {
+  it('returns the selection\'s own form group by default, like the UI', async () => {
+    const { status, body } = await get('/drugs/00087606005/alternatives');
+    expect(status).toBe(200);
+    expect(body.selected.ndc).toBe('00087606005');
+    expect(body.forms).toEqual(['tablet|ORAL']);
+    expect(body.abRatedOnly).toBe(false);
+    expect(body.formGroups.map(g => [g.key, g.count])).toEqual([['tablet|ORAL', 4], ['tablet-er|ORAL', 1]]);
+    expect(body.results.map(r => r.ndc)).toEqual(['00093104801', '65862000899', '00093104901', '00093727601']);
+  });
+
+  it('widens to listed or all form groups and narrows to AB-rated alternatives', async () => {
+    const all = await get('/drugs/00087606005/alternatives?forms=all');
+    expect(all.body.forms).toBeNull();
+    expect(all.body.total).toBe(5);
+    const er = await get('/drugs/00087606005/alternatives?forms=tablet-er|ORAL,solution|ORAL');
+    expect(er.body.results.map(r => r.ndc)).toEqual(['00378071201']);
+    // Every fixture alternative with the selection's ingredients is AB-rated
+    const ab = await get('/drugs/00087606005/alternatives?forms=all&ab=1');
+    expect(ab.body).toMatchObject({ abRatedOnly: true, total: 5 });
+    expect(ab.body.results.every(r => r.orangeBook.teCode.startsWith('AB'))).toBe(true);
+  });
+
+  it('validates the filters and pagination', async () => {
+    expect((await get('/drugs/00087606005/alternatives?ab=yes')).body.error.message).toBe('ab must be 0 or 1');
+    expect((await get('/drugs/00087606005/alternatives?pageSize=0')).status).toBe(400);
+    const page = await get('/drugs/00087606005/alternatives?pageSize=3&page=2');
+    expect(page.body).toMatchObject({ page: 2, pageSize: 3, total: 4, totalPages: 2 });
+    expect(page.body.results).toHaveLength(1);
+  });
+});
+
+describe('loadDataset', () => {
+  it('refuses a dataset written for another schema version', () => {
+    const manifestPath = path.join(dataDir, 'enriched-chunks', 'chunks-manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, schemaVersion: SCHEMA_VERSION + 1 }));
+    expect(() => loadDataset(dataDir)).toThrow(/update the app/);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+  });
+});
+
+describe('routing', () => {
+  it('answers unknown routes with 404 and other methods with 405', async () => {
+    expect(await get('/drugs')).toEqual({ status: 404, body: { error: { status: 404, message: 'No route for /drugs' } } });
+    const post = await request('/drugs/search?q=metformin', { method: 'POST' });
+    expect(post.status).toBe(405);
+    expect(post.headers.allow).toBe('GET, HEAD, OPTIONS');
+    expect((await get('/openapi.json')).body.openapi).toBe('3.0.3');
+  });
+
+  it('answers HEAD like GET without a body', async () => {
+    for (const urlPath of ['/drugs/ndc/00087606005', '/drugs/ndc/12345678901']) {
+      const getResponse = await request(urlPath);
+      const head = await request(urlPath, { method: 'HEAD' });
+      expect(head.status).toBe(getResponse.status);
+      expect(head.headers['content-length']).toBe(getResponse.headers['content-length']);
+      expect(head.body).toBe('');
+    }
+  });
+
+  it('answers CORS preflights with 204 and the allowed methods and headers', async () => {
+    const preflight = await request('/drugs/search?q=metformin', {
+      method: 'OPTIONS',
+      headers: { Origin: 'https://example.org', 'Access-Control-Request-Method': 'GET', 'Access-Control-Request-Headers': 'x-request-id' },
+    });
+    expect(preflight.status).toBe(204);
+    expect(preflight.body).toBe('');
+    expect(preflight.headers).toMatchObject({
+      'access-control-allow-origin': '*',
+      'access-control-allow-methods': 'GET, HEAD, OPTIONS',
+      'access-control-allow-headers': 'x-request-id',
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/*
+  Loads the pipeline outputs (public/data) into memory for the query API
+  - enriched-chunks/chunks-manifest.json + every chunk it lists
+  - description-classification.json, and description-facets.json (built from the records when missing)
+  Builds lookups by normalized NDC and by exact description. A dataset written for another schema
+  version is refused at startup.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeMedNdc, checkSchemaVersion, describeFacets } = require('../src/engine');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'public', 'data');
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function loadDataset(dataDir = DEFAULT_DATA_DIR) {
+  const chunksDir = path.join(dataDir, 'enriched-chunks');
+  const manifestPath = path.join(chunksDir, 'chunks-manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Chunk manifest not found at ${manifestPath}; run npm run process:raw first`);
+  }
+  const manifest = checkSchemaVersion(readJson(manifestPath));
+  const records = [];
+  for (const ch of manifest.chunks) {
+    const arr = readJson(path.join(chunksDir, ch.filename));
+    if (!Array.isArray(arr)) throw new Error(`Enriched chunk ${ch.filename} is not an array of records`);
+    records.push(...arr);
+  }
+
+  const classPath = path.join(dataDir, 'description-classification.json');
+  const descClassMap = fs.existsSync(classPath) ? readJson(classPath) : {};
+  const facetsPath = path.join(dataDir, 'description-facets.json');
+  const descFacets = fs.existsSync(facetsPath) ? readJson(facetsPath) : describeFacets(records);
+
+  const byNdc = new Map(); // digits -> records
+  const byDescription = new Map(); // exact description -> records
+  for (const r of records) {
+    const ndc = normalizeMedNdc(r.ndc);
+    if (ndc) {
+      if (!byNdc.has(ndc)) byNdc.set(ndc, []);
+      byNdc.get(ndc).push(r);
+    }
+    const desc = r.ndc_description;
+    if (desc) {
+      if (!byDescription.has(desc)) byDescription.set(desc, []);
+      byDescription.get(desc).push(r);
+    }
+  }
+  const descriptions = Array.from(byDescription.keys()).sort();
+
+  return { manifest, records, descClassMap, descFacets, byNdc, byDescription, descriptions };
+}
+
+module.exports = { loadDataset, DEFAULT_DATA_DIR };
@@ -0,0 +1,199 @@
+/*
+  HTTP query API over the enriched dataset (public/data)
+  - GET /drugs/search?q=&filter=all|branded|generic&page=&pageSize=
+  - GET /drugs/ndc/:ndc
+  - GET /drugs/:ndc/alternatives?forms=&ab=&page=&pageSize=
+    (form groups and the AB-rated filter default like the UI: the selection's own form group, all TE codes)
+  - GET /openapi.json
+  HEAD is answered like GET without the body; OPTIONS (CORS preflight) with 204 and the allowed methods
+  and headers. Loads the chunk manifest and all chunks at startup. Errors are JSON: { error: { status, message } }.
+*/
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { loadDataset } = require('./dataset');
+const {
+  bestMatcherOf, preferRecord, findAlternatives, parseNdc, classificationsOf, matchesDrugFilter,
+  summarizeFormGroups, defaultFormsFor, filterByFormAndTe,
+} = require('../src/engine');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const DATA_DIR = process.env.DATA_DIR || undefined;
+const OPENAPI_PATH = path.join(__dirname, 'openapi.json');
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const ALLOWED_METHODS = 'GET, HEAD, OPTIONS';
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// `head` sends the headers of the response only (HEAD requests)
+function sendJson(res, status, body, { head = false } = {}) {
+  const payload = JSON.stringify(body);
+  const headers = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Access-Control-Allow-Origin': '*',
+  };
+  if (status === 405) headers.Allow = ALLOWED_METHODS;
+  res.writeHead(status, headers);
+  res.end(head ? undefined : payload);
+}
+
+// CORS preflight: any origin may call the GET routes with the headers it asks for
+function sendPreflight(req, res) {
+  res.writeHead(204, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': ALLOWED_METHODS,
+    'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || 'Content-Type',
+    'Access-Control-Max-Age': '86400',
+    Allow: ALLOWED_METHODS,
+  });
+  res.end();
+}
+
+function parsePagination(params) {
+  const page = params.has('page') ? parseInt(params.get('page'), 10) : 1;
+  const pageSize = params.has('pageSize') ? parseInt(params.get('pageSize'), 10) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(page) || page < 1) throw new HttpError(400, 'page must be a positive integer');
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new HttpError(400, `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return { page, pageSize };
+}
+
+function paginate(items, { page, pageSize }) {
+  const start = (page - 1) * pageSize;
+  return {
+    page,
+    pageSize,
+    total: items.length,
+    totalPages: Math.ceil(items.length / pageSize),
+    results: items.slice(start, start + pageSize),
+  };
+}
+
+const NDC_FORMAT_MESSAGE = 'NDC must be a 10/11-digit NDC, hyphenated or not, or a UPC/GS1 barcode';
+
+// 11-digit candidates for any label (4-4-2, 5-3-2, 5-4-1), billing (5-4-2, 11 digits) or barcode form
+function requireNdc(raw) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(raw || '');
+  } catch (_) {
+    // Malformed percent-encoding ("%E0%A4%A") is a bad NDC, not a server error
+    throw new HttpError(400, NDC_FORMAT_MESSAGE);
+  }
+  const parsed = parseNdc(decoded);
+  if (!parsed) throw new HttpError(400, NDC_FORMAT_MESSAGE);
+  return parsed.candidates;
+}
+
+// forms: comma-separated form group keys, 'all' for every group, omitted for the selection's own group
+function parseFormFilter(params, selected) {
+  const forms = params.get('forms');
+  const ab = params.get('ab') || '0';
+  if (!['0', '1'].includes(ab)) throw new HttpError(400, 'ab must be 0 or 1');
+  return {
+    forms: forms === null ? defaultFormsFor(selected) : forms === 'all' ? null : forms.split(',').filter(Boolean),
+    abRatedOnly: ab === '1',
+  };
+}
+
+function findByNdc(dataset, candidates) {
+  for (const ndc of candidates) {
+    const records = dataset.byNdc.get(ndc);
+    if (records) return { ndc, records };
+  }
+  throw new HttpError(404, `NDC ${candidates.join(' / ')} not found`);
+}
+
+function searchDrugs(dataset, params) {
+  const q = (params.get('q') || '').trim().toLowerCase();
+  if (q.length < 2) throw new HttpError(400, 'q must be at least 2 characters');
+  const filter = (params.get('filter') || 'all').toLowerCase();
+  if (!['all', 'branded', 'generic'].includes(filter)) throw new HttpError(400, 'filter must be one of all, branded, generic');
+  // A description whose NDCs are both brand and generic matches either filter
+  const matches = dataset.descriptions
+    .filter(desc => desc.toLowerCase().includes(q))
+    .map(desc => ({ desc, classifications: classificationsOf(desc, dataset) }))
+    .filter(({ classifications }) => matchesDrugFilter(classifications, filter))
+    .map(({ desc, classifications }) => ({
+      ndc_description: desc,
+      classification_for_rate_setting: dataset.descClassMap[desc] || null,
+      classifications,
+      ndcs: dataset.byDescription.get(desc).map(r => r.ndc),
+    }));
+  return { query: q, filter, ...paginate(matches, parsePagination(params)) };
+}
+
+function getByNdc(dataset, rawNdc) {
+  return findByNdc(dataset, requireNdc(rawNdc));
+}
+
+function getAlternatives(dataset, rawNdc, params) {
+  const { records } = findByNdc(dataset, requireNdc(rawNdc));
+  const selected = preferRecord(records);
+  const pagination = parsePagination(params);
+  const filter = parseFormFilter(params, selected);
+  const alternatives = findAlternatives(dataset.records, selected);
+  return {
+    selected: { ...selected, bestMatcher: bestMatcherOf(selected) },
+    formGroups: summarizeFormGroups(alternatives),
+    ...filter,
+    ...paginate(filterByFormAndTe(alternatives, filter), pagination),
+  };
+}
+
+function createApp(dataset) {
+  const openapi = JSON.parse(fs.readFileSync(OPENAPI_PATH, 'utf8'));
+  return (req, res) => {
+    const send = (status, body) => sendJson(res, status, body, { head: req.method === 'HEAD' });
+    try {
+      if (req.method === 'OPTIONS') return sendPreflight(req, res);
+      if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, `Method ${req.method} not allowed`);
+      const url = new URL(req.url, 'http://localhost');
+      const parts = url.pathname.split('/').filter(Boolean);
+      if (url.pathname === '/openapi.json') return send(200, openapi);
+      if (parts[0] === 'drugs' && parts[1] === 'search' && parts.length === 2) {
+        return send(200, searchDrugs(dataset, url.searchParams));
+      }
+      if (parts[0] === 'drugs' && parts[1] === 'ndc' && parts.length === 3) {
+        return send(200, getByNdc(dataset, parts[2]));
+      }
+      if (parts[0] === 'drugs' && parts[2] === 'alternatives' && parts.length === 3) {
+        return send(200, getAlternatives(dataset, parts[1], url.searchParams));
+      }
+      throw new HttpError(404, `No route for ${url.pathname}`);
+    } catch (e) {
+      const status = e instanceof HttpError ? e.status : 500;
+      if (status === 500) console.error('❌ API error:', e);
+      send(status, { error: { status, message: status === 500 ? 'Internal server error' : e.message } });
+    }
+  };
+}
+
+function main() {
+  console.log('📦 Loading enriched dataset...');
+  const dataset = loadDataset(DATA_DIR);
+  console.log(`• Records: ${dataset.records.length}, descriptions: ${dataset.descriptions.length}, chunks: ${(dataset.manifest.chunks || []).length}`);
+  http.createServer(createApp(dataset)).listen(PORT, () => {
+    console.log(`✅ Drug query API listening on http://localhost:${PORT}`);
+  });
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error('❌ Failed to start API:', err);
+    process.exit(1);
+  }
+}
+
+module.exports = { createApp, HttpError };
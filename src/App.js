@@ -1,79 +1,116 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import './App.css';
+import PriceHistoryChart from './components/PriceHistoryChart';
+import SavingsCalculator from './components/SavingsCalculator';
+import HighlightedText from './components/HighlightedText';
+import Watchlist, { watchItemReview } from './components/Watchlist';
+import ExportMenu from './components/ExportMenu';
+import FormularyAnalysis from './components/FormularyAnalysis';
+import Comparison from './components/Comparison';
+import FilterPanel from './components/FilterPanel';
+import GenericEquivalent from './components/GenericEquivalent';
+import ShortageBadge from './components/ShortageBadge';
+import { loadWatchlist, saveWatchlist } from './watchlistStorage';
+import { loadComparison, saveComparison } from './comparisonStorage';
+import { readUrlState, urlSearchFor, isNewHistoryEntry } from './urlState';
+import { createDataClient } from './worker/dataClient';
+import { onDatasetMessage, requestDatasetUpdate } from './serviceWorkerRegistration';
+import {
+  DEFAULT_REGIMEN, compareSavings, sortBySavings, totalCost, formatMoney,
+  formatRecordStrength, formGroupFor, summarizeFormGroups, defaultFormsFor, filterByFormAndTe, getTeCode, isAbRated,
+  resolveLabeler, packageDescriptionOf, packagesOf, MIN_TERM_LENGTH, parseNdc, formatNdc11, normalizeMedNdc,
+  cheaperGeneric, genericEquivalent, createWatchItem, acknowledgeWatchItem, serializeWatchlist, parseWatchlist, mergeWatchlists,
+  inComparison, toggleComparisonItem, COMPARE_MAX, isDefaultRecordFilter, matchesRecordFilter,
+  explanationCodesOf, explanationCodeLabel, clinicalDrugName, clinicalDrugKey, hasRxNorm, groupByClinicalDrug,
+} from './engine';
+
+const sameForms = (a, b) => (a === null || b === null ? a === b : a.length === b.length && a.every(k => b.includes(k)));
 
 function App() {
+  const [initialLink] = useState(() => readUrlState(window.location.search)); // view the page was opened with
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedMedicine, setSelectedMedicine] = useState(null);
   const [showSuggestions, setShowSuggestions] = useState(false);
+  const [filteredSuggestions, setFilteredSuggestions] = useState([]);
   const [matchedGenerics, setMatchedGenerics] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [drugFilter, setDrugFilter] = useState('all'); // 'all', 'branded', 'generic'
+  const [drugFilter, setDrugFilter] = useState(initialLink.drugFilter); // 'all', 'branded', 'generic'
+  const [searchMode, setSearchMode] = useState('description'); // 'description', 'ndc'
+  const [ndcLookup, setNdcLookup] = useState(null); // { format, candidates, matchedNdc } from the last NDC lookup
+  const [regimen, setRegimen] = useState(DEFAULT_REGIMEN); // quantity per dose x frequency x days' supply
+  const [genericSort, setGenericSort] = useState(initialLink.sort); // 'relevance', 'savings'
+  const [includedForms, setIncludedForms] = useState(null); // dosage form/route group keys to show; null = all
+  const [abRatedOnly, setAbRatedOnly] = useState(initialLink.abRatedOnly); // only Orange Book AB-rated substitutes
+  const [groupByConcept, setGroupByConcept] = useState(initialLink.groupByClinicalDrug); // alternatives grouped by RxNorm clinical drug
+  const [recordFilter, setRecordFilter] = useState(initialLink.recordFilter); // pharmacy type / OTC / explanation codes (suggestions and alternatives)
+  const [view, setView] = useState(initialLink.view); // 'search', 'watchlist', 'formulary', 'compare'
+  const [watchlist, setWatchlist] = useState(loadWatchlist); // pinned NDCs with their baseline values
+  const [watchStatus, setWatchStatus] = useState(null); // ndc -> { current, cheaperGeneric } in the loaded dataset
+  const [watchImportError, setWatchImportError] = useState(null);
+  const [comparison, setComparison] = useState(loadComparison); // records picked for side-by-side comparison
+  const [formulary, setFormulary] = useState(null); // uploaded formulary analysis (see FormularyAnalysis)
+  const [linkStatus, setLinkStatus] = useState(null); // { ndc, description } of a link whose selection is not in the dataset
+  const [loadError, setLoadError] = useState(null); // why the dataset could not be loaded (e.g. schema version mismatch)
+  const [selectionError, setSelectionError] = useState(null); // why the last selection failed (e.g. a malformed chunk)
+  const [datasetStatus, setDatasetStatus] = useState(null); // last service worker dataset message (newer dataset / download progress / failure)
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
   
-  // Data states
-  const [medicationsData, setMedicationsData] = useState([]);
+  // Data states; the enriched dataset itself lives in the data worker (src/worker/)
+  const clientRef = useRef(null); // data worker client
+  const selectRequestRef = useRef(null); // id of the selection being computed, cancelled by a newer one
+  const formularyRequestRef = useRef(null); // id of the formulary analysis in progress
+  const linkAppliedRef = useRef(false); // the opening link is applied once the dataset loads
+  const replaceNextRef = useRef(false); // a restored view rewrites its history entry instead of adding one
+  const committedTermRef = useRef(null); // description just selected; not re-suggested
   const [enrichedManifest, setEnrichedManifest] = useState(null);
-  const [descClassMap, setDescClassMap] = useState({});
-  const chunkCacheRef = useRef(new Map()); // filename -> array (cached)
+  const [chunkProgress, setChunkProgress] = useState(null); // { loaded, total } while chunks are fetched
+  const [priceHistoryManifest, setPriceHistoryManifest] = useState(null);
+  const historyCacheRef = useRef(new Map()); // filename -> { ndc: points[] } (cached)
+  const [priceHistory, setPriceHistory] = useState(null); // { ndc, points } for the selected medicine
   // openFDA not loaded at runtime; rely on enriched fdaMatches
-  const [searchIndex, setSearchIndex] = useState({ descriptions: [] });
   const [dataLoaded, setDataLoaded] = useState(false);
 
-  // Load data on component mount
+  // Start the data worker and load the dataset indexes on component mount
   useEffect(() => {
+    const client = createDataClient();
+    clientRef.current = client;
+
     const loadData = async () => {
       try {
         console.log('Loading enriched data...');
         setLoading(true);
-        // Load enriched manifest, search index, and description-classification map
-        const [manifestRes, indexRes, classRes] = await Promise.all([
-          fetch('./data/enriched-chunks/chunks-manifest.json'),
-          fetch('./data/search-index-enriched.json'),
-          fetch('./data/description-classification.json')
-        ]);
-        const [manifest, index, classMap] = await Promise.all([
-          manifestRes.json(),
-          indexRes.json(),
-          classRes.json()
-        ]);
-        console.log(`Search index: ${index.descriptions.length} descriptions`);
-        console.log(`Enriched chunks: ${manifest.numberOfChunks}`);
-        setEnrichedManifest(manifest);
-        setSearchIndex(index);
-        setDescClassMap(classMap || {});
-
-        // Prefetch all enriched chunks on load in parallel and cache them
-        const fetchedArrays = await Promise.all(
-          (manifest.chunks || []).map(async (ch) => {
-            try {
-              const cached = chunkCacheRef.current.get(ch.filename);
-              if (cached) return cached;
-              const resp = await fetch(`./data/enriched-chunks/${ch.filename}`);
-              const arr = await resp.json();
-              chunkCacheRef.current.set(ch.filename, arr);
-              return arr;
-            } catch (e) {
-              console.error('Failed to load enriched chunk', ch.filename, e);
-              return [];
-            }
-          })
-        );
-        const all = fetchedArrays.flat();
-        setMedicationsData(all);
+        // The worker loads the enriched manifest, search index, description-classification map and inverted index
+        const reply = await client.request('load', { dataUrl: new URL('./data/', window.location.href).href }).promise;
+        if (reply.type !== 'loaded') return;
+        console.log(`Search index: ${reply.descriptions} descriptions`);
+        console.log(`Enriched chunks: ${reply.manifest.numberOfChunks}`);
+        setEnrichedManifest(reply.manifest);
+
+        // Price history is optional; older pipeline outputs do not include it
+        try {
+          const historyRes = await fetch('./data/price-history-chunks/price-history-manifest.json');
+          if (historyRes.ok) setPriceHistoryManifest(await historyRes.json());
+        } catch (e) {
+          console.warn('Price history manifest unavailable', e);
+        }
 
         setDataLoaded(true);
         setLoading(false);
         
       } catch (error) {
         console.error('Error loading data:', error);
+        setLoadError(error.message || String(error));
         setLoading(false);
-        // Fallback to empty data
-        setMedicationsData([]);
-        setSearchIndex({ descriptions: [] });
+        // Fall back to an empty dataset behind the error banner; suggestions and selections return nothing
         setDataLoaded(true);
       }
     };
 
     loadData();
+    return () => {
+      client.terminate();
+      clientRef.current = null;
+    };
   }, []);
 
   // Helper function to check if a value is null or empty
@@ -89,211 +126,421 @@ function App() {
     return value;
   };
 
-  // Best matcher from enriched file's FDA matches
-  const getBestMatcherFromEnriched = useCallback((med) => {
-    const m = Array.isArray(med.fdaMatches) ? med.fdaMatches : [];
-    if (m.length === 0) return null;
-    return m[0];
-  }, []);
-
-  // No reverse index needed when searching enriched by brand/generic names
-
-  // Fast lookup for description classification to optimize filtering
-  const descriptionToClassification = useMemo(() => {
-    const map = new Map();
-    for (const med of medicationsData) {
-      const desc = med && med.ndc_description;
-      if (!desc) continue;
-      const key = desc.toLowerCase();
-      if (!map.has(key) && med.classification_for_rate_setting) {
-        map.set(key, med.classification_for_rate_setting);
+  // Load the full NADAC time series for one NDC from the chunk whose NDC range covers it
+  const loadPriceHistory = useCallback(async (ndc) => {
+    setPriceHistory(null);
+    if (!ndc || !priceHistoryManifest) return;
+    const ch = (priceHistoryManifest.chunks || []).find(c => c.firstNdc <= ndc && ndc <= c.lastNdc);
+    if (!ch) {
+      setPriceHistory({ ndc, points: [] });
+      return;
+    }
+    try {
+      let byNdc = historyCacheRef.current.get(ch.filename);
+      if (!byNdc) {
+        const resp = await fetch(`./data/price-history-chunks/${ch.filename}`);
+        byNdc = await resp.json();
+        historyCacheRef.current.set(ch.filename, byNdc);
       }
+      setPriceHistory({ ndc, points: byNdc[ndc] || [] });
+    } catch (e) {
+      console.error('Failed to load price history chunk', ch.filename, e);
+      setPriceHistory({ ndc, points: [] });
     }
-    return map;
-  }, [medicationsData]);
+  }, [priceHistoryManifest]);
 
-  // Filter suggestions based on search term and drug filter
-  const filteredSuggestions = useMemo(() => {
-    if (!searchTerm || searchTerm.length < 2 || !dataLoaded) return [];
-    
-    const term = searchTerm.toLowerCase();
-    let suggestions = searchIndex.descriptions
-      .filter(desc => desc.toLowerCase().includes(term));
-    
-    // Apply drug filter
-    if (drugFilter === 'branded') {
-      // Show only branded drugs (classification_for_rate_setting = 'B')
-      suggestions = suggestions.filter(desc => (descClassMap[desc] || '').toUpperCase() === 'B');
-    } else if (drugFilter === 'generic') {
-      // Show only generic drugs (classification_for_rate_setting = 'G')
-      suggestions = suggestions.filter(desc => (descClassMap[desc] || '').toUpperCase() === 'G');
+  // Ask the worker for suggestions; a newer term or filter cancels the query still in flight
+  useEffect(() => {
+    const client = clientRef.current;
+    if (!dataLoaded || !client || searchMode !== 'description' || searchTerm.length < MIN_TERM_LENGTH || searchTerm === committedTermRef.current) {
+      setFilteredSuggestions([]);
+      return undefined;
     }
-    // If drugFilter === 'all', show all drugs (no additional filtering)
-    
-    return suggestions.slice(0, 10); // Limit to 10 suggestions
-  }, [searchTerm, searchIndex, dataLoaded, drugFilter, descriptionToClassification]);
+    let stale = false;
+    const { id, promise } = client.request('suggest', { term: searchTerm, drugFilter, recordFilter });
+    promise
+      .then(reply => {
+        if (!stale && reply.type === 'suggestions') setFilteredSuggestions(reply.suggestions);
+      })
+      .catch(e => console.error('Suggestion search failed', e));
+    return () => {
+      stale = true;
+      client.cancel(id);
+    };
+  }, [searchTerm, drugFilter, recordFilter, dataLoaded, searchMode]);
 
   useEffect(() => {
-    setShowSuggestions(filteredSuggestions.length > 0 && searchTerm.length >= 2);
+    setShowSuggestions(filteredSuggestions.length > 0 && searchTerm.length >= MIN_TERM_LENGTH);
   }, [filteredSuggestions, searchTerm]);
 
-  // Handle medicine selection
-  const handleMedicineSelect = useCallback(async (description) => {
-    if (!description) return;
-    
+  useEffect(() => {
+    saveWatchlist(watchlist);
+  }, [watchlist]);
+
+  useEffect(() => {
+    saveComparison(comparison);
+  }, [comparison]);
+
+  // The service worker serves one complete cached dataset; a newer one is only used after "Update data"
+  useEffect(() => onDatasetMessage((msg) => {
+    if (msg.type === 'dataset-updated') {
+      window.location.reload();
+      return;
+    }
+    setDatasetStatus(msg);
+  }), []);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // Current values and cheaper generics for watched NDCs, refreshed when the dataset loads or the NDC set changes
+  const watchedNdcs = watchlist.map(item => item.ndc).join(',');
+  useEffect(() => {
+    const client = clientRef.current;
+    if (!dataLoaded || !client || !watchedNdcs) {
+      setWatchStatus(null);
+      return undefined;
+    }
+    let stale = false;
+    const { id, promise } = client.request('watchlist', { ndcs: watchedNdcs.split(',') });
+    promise
+      .then(reply => {
+        if (!stale && reply.type === 'watchlist') setWatchStatus(new Map(reply.items.map(it => [it.ndc, it])));
+      })
+      .catch(e => console.error('Watchlist check failed', e));
+    return () => {
+      stale = true;
+      client.cancel(id);
+    };
+  }, [watchedNdcs, dataLoaded]);
+
+  // Watched entries whose values changed or that gained a cheaper generic since they were reviewed
+  const flaggedWatchCount = useMemo(() => watchlist.filter(item => {
+    const review = watchItemReview(item, watchStatus && watchStatus.get(item.ndc));
+    return review.changes.length > 0 || review.newCheaperGeneric;
+  }).length, [watchlist, watchStatus]);
+
+  /*
+    Run a worker selection request ('select' or 'lookupNdc') and apply its result; a newer request cancels this one.
+    `forms` overrides the default dosage form groups; `link` ({ ndc, description }) marks a restored URL, which
+    shows the "not in current dataset" state when nothing matches.
+  */
+  const runSelection = useCallback(async (type, payload, { syncSearchTerm, forms, link }) => {
+    const client = clientRef.current;
+    if (!client) return;
+
     setLoading(true);
-    setSearchTerm(description);
+    setLinkStatus(null);
+    setSelectionError(null);
     setShowSuggestions(false);
-    
-    // Load enriched chunks on demand into memory (first selection)
-    let dataRef = medicationsData;
-    if (enrichedManifest && dataRef.length === 0) {
-      const all = [];
-      for (const ch of enrichedManifest.chunks) {
-        try {
-          const cached = chunkCacheRef.current.get(ch.filename);
-          if (cached) {
-            all.push(...cached);
-            continue;
-          }
-          const resp = await fetch(`./data/enriched-chunks/${ch.filename}`);
-          const arr = await resp.json();
-          chunkCacheRef.current.set(ch.filename, arr);
-          all.push(...arr);
-        } catch (e) { console.error('Failed to load enriched chunk', ch.filename, e); }
-      }
-      setMedicationsData(all);
-      dataRef = all;
+    if (selectRequestRef.current !== null) client.cancel(selectRequestRef.current);
+    const { id, promise } = client.request(type, payload, { onProgress: setChunkProgress });
+    selectRequestRef.current = id;
+    let reply;
+    try {
+      reply = await promise;
+    } catch (e) {
+      console.error('Selection failed', e);
+      if (selectRequestRef.current === id) setSelectionError(e.message || String(e));
+      reply = { type: 'selected', selected: null, alternatives: [] };
     }
-    // Find all medications with this exact description
-    const exactMatches = dataRef.filter(med => med.ndc_description === description);
-    
-    if (exactMatches.length === 0) {
+    // A newer selection owns the loading state and results
+    if (selectRequestRef.current !== id) return;
+    selectRequestRef.current = null;
+    setChunkProgress(null);
+    if (reply.type !== 'selected') {
+      setLoading(false);
+      return;
+    }
+    setNdcLookup(reply.ndcLookup || null);
+
+    const updatedMedicine = reply.selected;
+    if (!updatedMedicine) {
       setSelectedMedicine(null);
       setMatchedGenerics([]);
+      setLinkStatus(link || null);
       setLoading(false);
       return;
     }
-
-    // Pick the first exact match that has a non-null best FDA matcher; fallback to the first
-    const preferred = exactMatches.find(m => Array.isArray(m.fdaMatches) && m.fdaMatches.length > 0) || exactMatches[0];
-    const medicine = preferred;
-    const bestMatcher = getBestMatcherFromEnriched(medicine);
-    const updatedMedicine = {
-      ...medicine,
-      __bestMatcher: bestMatcher,
-      // also set a friendly title source
-      fda_nonproprietary_name: (bestMatcher && bestMatcher.genericName) ? bestMatcher.genericName : medicine.fda_nonproprietary_name,
-      allMatches: exactMatches
-    };
+    if (syncSearchTerm) {
+      committedTermRef.current = updatedMedicine.ndc_description;
+      setSearchTerm(updatedMedicine.ndc_description);
+    }
     setSelectedMedicine(updatedMedicine);
+    loadPriceHistory(updatedMedicine.ndc);
+    // Default to alternatives substitutable with the selection: same form group and routes
+    setIncludedForms(forms !== undefined ? forms : defaultFormsFor(updatedMedicine));
 
-    // Search enriched medicaid directly by fdaMatches brand/generic names (case-insensitive substring)
-    const searchKeys = new Set();
-    if (bestMatcher && bestMatcher.genericName) searchKeys.add(bestMatcher.genericName.toLowerCase());
-    if (bestMatcher && bestMatcher.brandName) searchKeys.add(bestMatcher.brandName.toLowerCase());
-    const out = [];
-    const seen = new Set();
-    for (const r of medicationsData) {
-      const ms = Array.isArray(r.fdaMatches) ? r.fdaMatches : [];
-      if (!ms.length) continue;
-      let ok = false;
-      for (const m of ms) {
-        const bn = (m.brandName || '').toLowerCase();
-        const gn = (m.genericName || '').toLowerCase();
-        for (const k of searchKeys) {
-          if (!k) continue;
-          if ((bn && bn.includes(k)) || (gn && gn.includes(k))) { ok = true; break; }
-        }
-        if (ok) break;
-      }
-      if (!ok) continue;
-      const key = `${r.ndc}|${r.ndc_description}`;
-      if (seen.has(key)) continue;
-      seen.add(key);
-      out.push(r);
+    console.log(`Showing ${reply.alternatives.length} generics with the same ingredients after filtering, excluding selected, de-dup, and sorting by strength`);
+    setMatchedGenerics(reply.alternatives);
+
+    setLoading(false);
+  }, [loadPriceHistory]);
+
+  // Handle medicine selection; free text (Enter) resolves to the top-ranked description in the worker
+  const handleMedicineSelect = useCallback((description) => {
+    if (!description) return undefined;
+    committedTermRef.current = description;
+    setSearchTerm(description);
+    return runSelection('select', { description, drugFilter, recordFilter }, { syncSearchTerm: true });
+  }, [drugFilter, recordFilter, runSelection]);
+
+  // Make another package of the same description the selection; alternatives are recomputed for it
+  const selectPackage = useCallback((ndc) => runSelection('lookupNdc', { ndc }, { syncSearchTerm: true }), [runSelection]);
+
+  // NDC mode: any label, billing or barcode form goes straight to that package's record
+  const handleNdcLookup = useCallback((ndc) => {
+    if (!ndc) return undefined;
+    return runSelection('lookupNdc', { ndc }, { syncSearchTerm: false });
+  }, [runSelection]);
+
+  // Restore a view from URL state: the link the page was opened with, or a history entry (back/forward)
+  const applyUrlState = useCallback((state) => {
+    replaceNextRef.current = true;
+    setView(state.view);
+    setDrugFilter(state.drugFilter);
+    setAbRatedOnly(state.abRatedOnly);
+    setGenericSort(state.sort);
+    setGroupByConcept(state.groupByClinicalDrug);
+    setRecordFilter(state.recordFilter);
+    const link = { ndc: state.ndc, description: state.description };
+    const sameSelection = selectedMedicine && (state.ndc
+      ? normalizeMedNdc(selectedMedicine.ndc) === normalizeMedNdc(state.ndc)
+      : selectedMedicine.ndc_description === state.description);
+    if (sameSelection) {
+      setIncludedForms(state.forms !== undefined ? state.forms : defaultFormsFor(selectedMedicine));
+    } else if (state.ndc) {
+      setSearchMode('description');
+      runSelection('lookupNdc', { ndc: state.ndc }, { syncSearchTerm: true, forms: state.forms, link });
+    } else if (state.description) {
+      setSearchMode('description');
+      runSelection('select', { description: state.description, drugFilter: state.drugFilter, recordFilter: state.recordFilter }, { syncSearchTerm: true, forms: state.forms, link });
+    } else {
+      if (selectRequestRef.current !== null && clientRef.current) clientRef.current.cancel(selectRequestRef.current);
+      selectRequestRef.current = null;
+      setSelectedMedicine(null);
+      setMatchedGenerics([]);
+      setLinkStatus(null);
+      setNdcLookup(null);
+      setSearchTerm('');
+      setLoading(false);
     }
-    // Exclude branded drugs from generic listing (classification_for_rate_setting === 'B')
-    let genericsOnly = out.filter(r => (r.classification_for_rate_setting || '').toUpperCase() !== 'B');
-
-    // Exclude the currently selected medicine using the same de-dup key (description + price + labeler)
-    const resolveLabeler = (rec) => {
-      const fm = Array.isArray(rec.fdaMatches) ? rec.fdaMatches : [];
-      const best = fm.length > 0 ? fm[0] : null;
-      return (rec.fda_labeler_name || rec.__matchLabelerName || (best && best.labelerName) || '').toString().trim();
+  }, [selectedMedicine, runSelection]);
+
+  useEffect(() => {
+    if (!dataLoaded || linkAppliedRef.current) return;
+    linkAppliedRef.current = true;
+    if (initialLink.ndc || initialLink.description) applyUrlState(initialLink);
+  }, [dataLoaded, initialLink, applyUrlState]);
+
+  useEffect(() => {
+    const onPopState = () => applyUrlState(readUrlState(window.location.search));
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, [applyUrlState]);
+
+  // Mirror the view, selection and filters in the URL once a selection settles: another view or selection
+  // adds a history entry, filter changes replace the current one
+  useEffect(() => {
+    if (!dataLoaded || selectRequestRef.current !== null) return;
+    const state = {
+      view,
+      ndc: selectedMedicine ? normalizeMedNdc(selectedMedicine.ndc) : linkStatus && linkStatus.ndc,
+      description: selectedMedicine ? selectedMedicine.ndc_description : linkStatus && linkStatus.description,
+      drugFilter,
+      forms: !selectedMedicine || sameForms(includedForms, defaultFormsFor(selectedMedicine)) ? undefined : includedForms,
+      abRatedOnly,
+      sort: genericSort,
+      groupByClinicalDrug: groupByConcept,
+      recordFilter,
     };
-    const selectedLabeler = (updatedMedicine.fda_labeler_name || updatedMedicine.__matchLabelerName || (bestMatcher && bestMatcher.labelerName) || '').toString().trim();
-    const selectedPrice = (updatedMedicine.nadac_per_unit || '').toString().trim();
-    const selectedDesc = (updatedMedicine.ndc_description || '').toString().trim();
-    const selectedKey = `${selectedDesc.toLowerCase()}|${selectedPrice}|${selectedLabeler.toLowerCase()}`;
-    genericsOnly = genericsOnly.filter(rec => {
-      const labeler = resolveLabeler(rec);
-      const price = (rec.nadac_per_unit || '').toString().trim();
-      const desc = (rec.ndc_description || '').toString().trim();
-      const key = `${desc.toLowerCase()}|${price}|${labeler.toLowerCase()}`;
-      return key !== selectedKey;
-    });
-    // Make list unique by description + price + labeler
-    const seenKeySet = new Set();
-    const unique = [];
-    for (const r of genericsOnly) {
-      const fm = Array.isArray(r.fdaMatches) ? r.fdaMatches : [];
-      const best = fm.length > 0 ? fm[0] : null;
-      const labeler = (r.fda_labeler_name || r.__matchLabelerName || (best && best.labelerName) || '').toString().trim();
-      const price = (r.nadac_per_unit || '').toString().trim();
-      const desc = (r.ndc_description || '').toString().trim();
-      const key = `${desc.toLowerCase()}|${price}|${labeler.toLowerCase()}`;
-      if (seenKeySet.has(key)) continue;
-      seenKeySet.add(key);
-      unique.push(r);
+    const search = urlSearchFor(state);
+    const replace = replaceNextRef.current;
+    replaceNextRef.current = false;
+    if (search === window.location.search) return;
+    const push = !replace && isNewHistoryEntry(readUrlState(window.location.search), state);
+    window.history[push ? 'pushState' : 'replaceState'](null, '', `${window.location.pathname}${search}${window.location.hash}`);
+  }, [dataLoaded, view, selectedMedicine, linkStatus, drugFilter, includedForms, abRatedOnly, genericSort, groupByConcept, recordFilter]);
+
+  // NADAC "As of Date" of the loaded (possibly cached) dataset, shown in the header and footer
+  const datasetAsOfDate = (enrichedManifest && enrichedManifest.asOfDate) || '';
+  // NADAC "As of Date" stamped on exports; older pipeline outputs only have it on the records
+  const asOfDate = (selectedMedicine && selectedMedicine.as_of_date) || datasetAsOfDate;
+
+  // Ask the service worker to download the newer dataset; the page reloads once it is active
+  const updateData = () => {
+    if (requestDatasetUpdate()) setDatasetStatus({ type: 'dataset-progress', loaded: 0, total: 0 });
+  };
+
+  const packages = useMemo(() => packagesOf(selectedMedicine), [selectedMedicine]);
+  // Descriptions can mix brand and generic NDCs; the classification shown is the selected package's
+  const mixedClassification = new Set(packages.map(p => (p.classification_for_rate_setting || '').toUpperCase()).filter(Boolean)).size > 1;
+
+  // Branded selections: CMS's corresponding generic price next to the cheapest generic our matching finds
+  const equivalent = useMemo(
+    () => (selectedMedicine ? genericEquivalent(selectedMedicine, matchedGenerics, { regimen }) : null),
+    [selectedMedicine, matchedGenerics, regimen]
+  );
+
+  const selectedWatched = !!selectedMedicine && watchlist.some(item => item.ndc === normalizeMedNdc(selectedMedicine.ndc));
+
+  const toggleWatchSelected = () => {
+    const ndc = normalizeMedNdc(selectedMedicine.ndc);
+    if (selectedWatched) {
+      setWatchlist(prev => prev.filter(item => item.ndc !== ndc));
+      return;
     }
-    // Relevancy sorting by dosage strength difference
-    const parseNumbers = (s) => {
-      const str = (s || '').toString();
-      const m = str.match(/\d+(?:\.\d+)?/g);
-      return m ? m.map(v => parseFloat(v)).filter(n => Number.isFinite(n)) : [];
-    };
-    const sumNumbers = (arr) => arr.reduce((acc, n) => acc + (Number.isFinite(n) ? n : 0), 0);
-    const sumFromMatcher = (m) => {
-      if (!m) return 0;
-      let nums = [];
-      if (Array.isArray(m.activeIngredientsDetailed)) {
-        for (const ai of m.activeIngredientsDetailed) {
-          nums = nums.concat(parseNumbers(ai && ai.strength));
-        }
-      }
-      if (nums.length === 0 && m.dosageStrength) nums = parseNumbers(m.dosageStrength);
-      return sumNumbers(nums);
-    };
-    const sumFromRecord = (r) => {
-      const fm = Array.isArray(r.fdaMatches) ? r.fdaMatches : [];
-      if (fm.length > 0) return sumFromMatcher(fm[0]);
-      return sumNumbers(parseNumbers(r.ndc_description));
-    };
-    const baseSum = bestMatcher ? sumFromMatcher(bestMatcher) : sumNumbers(parseNumbers(updatedMedicine.ndc_description));
-    const scored = unique.map(r => ({ rec: r, diff: Math.abs(sumFromRecord(r) - baseSum) }));
-    scored.sort((a, b) => a.diff - b.diff);
-    console.log(`Found ${out.length} matches; showing ${unique.length} unique generics after filtering, excluding selected, de-dup, and sorting by dosage diff`);
-    setMatchedGenerics(scored.map(s => s.rec));
+    const item = createWatchItem(selectedMedicine, cheaperGeneric(selectedMedicine, matchedGenerics));
+    setWatchlist(prev => [...prev, item]);
+  };
 
-    setLoading(false);
-  }, [medicationsData, getBestMatcherFromEnriched]);
+  const toggleCompare = (rec) => setComparison(prev => toggleComparisonItem(prev, rec));
+
+  // "+ Compare" button for a record; disabled once the comparison set is full
+  const compareButton = (rec) => {
+    const active = inComparison(comparison, rec);
+    return (
+      <button
+        className={`compare-toggle ${active ? 'active' : ''}`}
+        onClick={() => toggleCompare(rec)}
+        disabled={!active && comparison.length >= COMPARE_MAX}
+        title={!active && comparison.length >= COMPARE_MAX ? `Up to ${COMPARE_MAX} medicines can be compared` : undefined}
+      >
+        {active ? '✓ Comparing' : '＋ Compare'}
+      </button>
+    );
+  };
+
+  // Show one NDC in the search view (from the watchlist or a formulary line)
+  const openNdc = (ndc) => {
+    setView('search');
+    setSearchMode('description');
+    runSelection('lookupNdc', { ndc }, { syncSearchTerm: true });
+  };
+
+  const acknowledgeWatched = (ndc) => {
+    const st = watchStatus && watchStatus.get(ndc);
+    if (!st) return;
+    setWatchlist(prev => prev.map(item => (item.ndc === ndc ? acknowledgeWatchItem(item, st.current, st.cheaperGeneric) : item)));
+  };
+
+  const exportWatchlist = () => {
+    const blob = new Blob([JSON.stringify(serializeWatchlist(watchlist), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `watchlist-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importWatchlist = async (file) => {
+    try {
+      const imported = parseWatchlist(await file.text());
+      setWatchlist(prev => mergeWatchlists(prev, imported));
+      setWatchImportError(null);
+    } catch (e) {
+      setWatchImportError(e.message);
+    }
+  };
+
+  // Price an uploaded NDC list in the worker; a new upload cancels the one in progress
+  const analyzeFormulary = async (file) => {
+    const client = clientRef.current;
+    if (!client) return;
+    if (formularyRequestRef.current !== null) client.cancel(formularyRequestRef.current);
+    formularyRequestRef.current = null;
+    setFormulary({ fileName: file.name, status: 'running', progress: null });
+    let data;
+    try {
+      data = await file.arrayBuffer();
+    } catch (e) {
+      setFormulary({ fileName: file.name, status: 'error', error: e.message });
+      return;
+    }
+    const onProgress = (progress) => setFormulary(prev => (prev && prev.status === 'running' ? { ...prev, progress } : prev));
+    const { id, promise } = client.request('formulary', { fileName: file.name, data }, { onProgress });
+    formularyRequestRef.current = id;
+    let next;
+    try {
+      const reply = await promise;
+      next = reply.type === 'formulary' ? { fileName: file.name, status: 'done', reply } : null;
+    } catch (e) {
+      next = { fileName: file.name, status: 'error', error: e.message };
+    }
+    if (formularyRequestRef.current !== id) return;
+    formularyRequestRef.current = null;
+    setFormulary(next);
+  };
+
+  const cancelFormulary = () => {
+    if (formularyRequestRef.current !== null && clientRef.current) clientRef.current.cancel(formularyRequestRef.current);
+  };
+
+  // Live preview of how the typed NDC will be read
+  const parsedNdc = useMemo(() => (searchMode === 'ndc' ? parseNdc(searchTerm) : null), [searchMode, searchTerm]);
+
+  const changeSearchMode = (mode) => {
+    setSearchMode(mode);
+    setSearchTerm('');
+    setShowSuggestions(false);
+    setNdcLookup(null);
+  };
+
+  // Dosage form/route groups present among all alternatives (drives the toggle chips)
+  const formGroups = useMemo(() => summarizeFormGroups(matchedGenerics), [matchedGenerics]);
+
+  const toggleFormGroup = (key) => {
+    setIncludedForms(prev => {
+      const cur = prev === null ? formGroups.map(g => g.key) : prev;
+      return cur.includes(key) ? cur.filter(k => k !== key) : [...cur, key];
+    });
+  };
+
+  // Alternatives in the chosen order; 'relevance' keeps the strength order from handleMedicineSelect
+  const sortedGenerics = useMemo(() => {
+    let included = filterByFormAndTe(matchedGenerics, { forms: includedForms, abRatedOnly });
+    if (!isDefaultRecordFilter(recordFilter)) included = included.filter(r => matchesRecordFilter(r, recordFilter));
+    if (genericSort !== 'savings' || !selectedMedicine) return included;
+    return sortBySavings(included, selectedMedicine, regimen);
+  }, [matchedGenerics, includedForms, abRatedOnly, recordFilter, genericSort, selectedMedicine, regimen]);
+
+  // Grouping is offered only when the dataset carries RxNorm mappings
+  const rxNormAvailable = useMemo(() => hasRxNorm(matchedGenerics), [matchedGenerics]);
+  // The shown alternatives (first 50) in clinical drug groups, or one untitled group
+  const genericGroups = useMemo(() => {
+    const shown = sortedGenerics.slice(0, 50);
+    if (!groupByConcept || !rxNormAvailable) return [{ key: 'all', name: null, records: shown }];
+    return groupByClinicalDrug(shown, selectedMedicine);
+  }, [sortedGenerics, groupByConcept, rxNormAvailable, selectedMedicine]);
 
   const handleSearch = () => {
     if (!searchTerm.trim() || !dataLoaded) return;
     
-    // Use the sophisticated handleMedicineSelect logic
-    handleMedicineSelect(searchTerm);
+    if (searchMode === 'ndc') {
+      handleNdcLookup(searchTerm.trim());
+      return;
+    }
+    // Use the sophisticated handleMedicineSelect logic; the typed text need not be an exact description
+    handleMedicineSelect(searchTerm.trim());
   };
 
 
 
   const handleSuggestionClick = (suggestion) => {
-    setSearchTerm(suggestion);
+    committedTermRef.current = suggestion.description;
+    setSearchTerm(suggestion.description);
     setShowSuggestions(false);
     // Use the sophisticated handleMedicineSelect logic
     setTimeout(() => {
-      handleMedicineSelect(suggestion);
+      handleMedicineSelect(suggestion.description);
     }, 100);
   };
 
@@ -302,11 +549,6 @@ function App() {
     return `$${parseFloat(price).toFixed(5)}`;
   };
 
-  const formatStrength = (strength, unit) => {
-    if (isNullOrEmpty(strength) && isNullOrEmpty(unit)) return '--';
-    return `${formatDisplayValue(strength)} ${formatDisplayValue(unit)}`.trim();
-  };
-
   // Show loading state while data is being loaded
   if (!dataLoaded) {
     return (
@@ -330,9 +572,88 @@ function App() {
       <header className="app-header">
         <h1>🏥 Medicine Search - NADAC Database</h1>
         <p>Search for medications and find generic alternatives with pricing information</p>
-        <p><small>Database loaded: {medicationsData.length} medications available</small></p>
+        <p><small>
+          Database loaded: {enrichedManifest ? enrichedManifest.total : 0} medications available
+          {datasetAsOfDate && ` · NADAC as of ${datasetAsOfDate}`}
+          {!online && <span className="offline-badge">📴 Offline: using cached data</span>}
+        </small></p>
+        {datasetStatus && (
+          <div className="dataset-update">
+            {datasetStatus.type === 'dataset-update-available' && (
+              <>
+                <span>
+                  A newer dataset{datasetStatus.asOfDate ? ` (NADAC as of ${datasetStatus.asOfDate})` : ''} is available.
+                </span>
+                <button onClick={updateData} disabled={!online}>Update data</button>
+              </>
+            )}
+            {datasetStatus.type === 'dataset-progress' && (
+              <span>
+                Downloading the new dataset{datasetStatus.total ? `: ${datasetStatus.loaded} of ${datasetStatus.total} files` : '...'}
+              </span>
+            )}
+            {datasetStatus.type === 'dataset-update-failed' && (
+              <>
+                <span>Data update failed: {datasetStatus.message}. The cached dataset is still in use.</span>
+                <button onClick={updateData} disabled={!online}>Retry</button>
+              </>
+            )}
+          </div>
+        )}
+        <div className="view-switch switch-container">
+          <button className={`switch-option ${view === 'search' ? 'active' : ''}`} onClick={() => setView('search')}>
+            🔍 Search
+          </button>
+          <button className={`switch-option ${view === 'watchlist' ? 'active' : ''}`} onClick={() => setView('watchlist')}>
+            ⭐ Watchlist ({watchlist.length})
+            {flaggedWatchCount > 0 && <span className="watch-badge">{flaggedWatchCount} changed</span>}
+          </button>
+          <button className={`switch-option ${view === 'formulary' ? 'active' : ''}`} onClick={() => setView('formulary')}>
+            📋 Formulary
+          </button>
+          <button className={`switch-option ${view === 'compare' ? 'active' : ''}`} onClick={() => setView('compare')}>
+            ⚖️ Compare ({comparison.length})
+          </button>
+        </div>
       </header>
 
+      {loadError && (
+        <div className="data-error" role="alert">
+          <strong>⚠️ The medication database could not be loaded.</strong> {loadError}
+        </div>
+      )}
+
+      {view === 'formulary' && (
+        <main className="main-content">
+          <FormularyAnalysis analysis={formulary} onUpload={analyzeFormulary} onCancel={cancelFormulary} onOpen={openNdc} />
+        </main>
+      )}
+      {view === 'compare' && (
+        <main className="main-content">
+          <Comparison
+            items={comparison}
+            regimen={regimen}
+            onOpen={openNdc}
+            onRemove={toggleCompare}
+            onClear={() => setComparison([])}
+          />
+        </main>
+      )}
+      {view === 'watchlist' && (
+        <main className="main-content">
+          <Watchlist
+            items={watchlist}
+            status={watchStatus}
+            importError={watchImportError}
+            onOpen={openNdc}
+            onRemove={(ndc) => setWatchlist(prev => prev.filter(item => item.ndc !== ndc))}
+            onAcknowledge={acknowledgeWatched}
+            onExport={exportWatchlist}
+            onImport={importWatchlist}
+          />
+        </main>
+      )}
+      {view === 'search' && (
       <main className="main-content">
         {/* Search Section */}
         <div className="search-section">
@@ -360,15 +681,33 @@ function App() {
                 All Drugs
               </button>
             </div>
+            <FilterPanel filter={recordFilter} onChange={setRecordFilter} />
           </div>
           
+          <div className="search-mode-switch switch-container">
+            <button
+              className={`switch-option ${searchMode === 'description' ? 'active' : ''}`}
+              onClick={() => changeSearchMode('description')}
+            >
+              By Name
+            </button>
+            <button
+              className={`switch-option ${searchMode === 'ndc' ? 'active' : ''}`}
+              onClick={() => changeSearchMode('ndc')}
+            >
+              By NDC / Barcode
+            </button>
+          </div>
+
           <div className="search-container">
             <div className="search-input-container">
               <input
                 type="text"
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
-                placeholder="Type medicine name (e.g., ACETAMINOPHEN 500 MG TABLET)"
+                placeholder={searchMode === 'ndc'
+                  ? 'Enter or scan an NDC (e.g., 0093-1048-01, 00093104801 or a UPC/GS1 barcode)'
+                  : 'Type medicine name (e.g., ACETAMINOPHEN 500 MG TABLET)'}
                 className="search-input"
                 onFocus={() => setShowSuggestions(filteredSuggestions.length > 0)}
                 onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
@@ -382,6 +721,21 @@ function App() {
               </button>
             </div>
             
+            {searchMode === 'ndc' && searchTerm.trim() && (
+              <p className="ndc-preview">
+                {parsedNdc
+                  ? `Read as ${parsedNdc.format}: ${parsedNdc.candidates.map(formatNdc11).join(' or ')}`
+                  : 'Not a recognized NDC or barcode format'}
+              </p>
+            )}
+
+            {chunkProgress && (
+              <div className="chunk-progress" role="progressbar" aria-valuemin={0} aria-valuemax={chunkProgress.total} aria-valuenow={chunkProgress.loaded}>
+                <div className="chunk-progress-bar" style={{ width: `${(chunkProgress.loaded / chunkProgress.total) * 100}%` }} />
+                <span className="chunk-progress-label">Loading data {chunkProgress.loaded}/{chunkProgress.total} chunks</span>
+              </div>
+            )}
+
             {/* Suggestions Dropdown */}
             {showSuggestions && (
               <div className="suggestions-dropdown">
@@ -391,7 +745,10 @@ function App() {
                     className="suggestion-item"
                     onClick={() => handleSuggestionClick(suggestion)}
                   >
-                    {suggestion}
+                    <HighlightedText text={suggestion.description} spans={suggestion.spans} />
+                    {suggestion.via.length > 0 && (
+                      <span className="suggestion-via">via {suggestion.via.join(', ')}</span>
+                    )}
                   </div>
                 ))}
               </div>
@@ -402,43 +759,169 @@ function App() {
         {/* Selected Medicine Details */}
         {selectedMedicine ? (
           <div className="medicine-details">
-            <h2>💊 Selected Medicine Details</h2>
+            <div className="medicine-details-header">
+              <h2>💊 Selected Medicine Details</h2>
+              <div className="medicine-details-actions">
+                <ExportMenu
+                  title={selectedMedicine.ndc_description}
+                  selected={selectedMedicine}
+                  alternatives={sortedGenerics}
+                  regimen={regimen}
+                  asOfDate={asOfDate}
+                />
+                <button className={`watch-toggle ${selectedWatched ? 'active' : ''}`} onClick={toggleWatchSelected}>
+                  {selectedWatched ? '★ Watching' : '☆ Watch'}
+                </button>
+                {compareButton(selectedMedicine)}
+              </div>
+            </div>
             <div className="details-card">
               <div className="detail-section">
                 <h3>Basic Information</h3>
                 <div className="detail-grid">
                   <div className="detail-item">
                     <label>Drug Description:</label>
-                    <span>{formatDisplayValue(selectedMedicine.ndc_description)}</span>
+                    <span>
+                      {formatDisplayValue(selectedMedicine.ndc_description)}
+                      <ShortageBadge record={selectedMedicine} />
+                    </span>
                   </div>
                   <div className="detail-item">
                     <label>NDC:</label>
                     <span>{formatDisplayValue(selectedMedicine.ndc)}</span>
                   </div>
+                  <div className="detail-item">
+                    <label>Package:</label>
+                    <span>{formatDisplayValue(packageDescriptionOf(selectedMedicine))}</span>
+                  </div>
                   <div className="detail-item">
                     <label>NADAC Per Unit:</label>
                     <span className="price">{formatPrice(selectedMedicine.nadac_per_unit)}</span>
                   </div>
+                  <div className="detail-item">
+                    <label>Strength:</label>
+                    <span>{formatDisplayValue(formatRecordStrength(selectedMedicine))}</span>
+                  </div>
                   <div className="detail-item">
                     <label>Pricing Unit:</label>
                     <span>{formatDisplayValue(selectedMedicine.pricing_unit)}</span>
                   </div>
+                  <div className="detail-item">
+                    <label>Total Cost (Regimen):</label>
+                    <span className="price">{formatMoney(totalCost(selectedMedicine, regimen))}</span>
+                  </div>
                   <div className="detail-item">
                     <label>Classification:</label>
                     <span className={`classification ${selectedMedicine.classification_for_rate_setting}`}>
                       {selectedMedicine.classification_for_rate_setting === 'G' ? 'Generic' : 'Brand'}
                     </span>
+                    {mixedClassification && <small className="detail-note">Other NDCs of this description are classified differently</small>}
                   </div>
                   <div className="detail-item">
                     <label>OTC:</label>
                     <span>{formatDisplayValue(selectedMedicine.otc)}</span>
                   </div>
+                  <div className="detail-item">
+                    <label>Pharmacy Type:</label>
+                    <span>{formatDisplayValue(selectedMedicine.pharmacy_type_indicator)}</span>
+                  </div>
+                  <div className="detail-item">
+                    <label>Explanation Code:</label>
+                    <span>
+                      {explanationCodesOf(selectedMedicine).length === 0 ? '--' : explanationCodesOf(selectedMedicine).map(code => (
+                        <span key={code} className="explanation-code">{code}: {explanationCodeLabel(code)}</span>
+                      ))}
+                    </span>
+                  </div>
+                  {selectedMedicine.rxnorm && (
+                    <div className="detail-item">
+                      <label>RxNorm Clinical Drug:</label>
+                      <span>{formatDisplayValue(clinicalDrugName(selectedMedicine))} (RxCUI {selectedMedicine.rxnorm.rxcui})</span>
+                    </div>
+                  )}
+                  <div className="detail-item">
+                    <label>TE Code (Orange Book):</label>
+                    <span>
+                      {formatDisplayValue(getTeCode(selectedMedicine))}
+                      {selectedMedicine.orangeBook && selectedMedicine.orangeBook.rld && <span className="ob-flag">RLD</span>}
+                      {selectedMedicine.orangeBook && selectedMedicine.orangeBook.rs && <span className="ob-flag">RS</span>}
+                    </span>
+                  </div>
+                </div>
+              </div>
+
+              {equivalent && (
+                <div className="detail-section">
+                  <h3>Generic Equivalent</h3>
+                  <GenericEquivalent equivalent={equivalent} onOpen={openNdc} />
+                </div>
+              )}
+
+              <div className="detail-section">
+                <h3>Packages ({packages.length} NDC{packages.length === 1 ? '' : 's'})</h3>
+                <p className="packages-hint">Every NDC listed under {selectedMedicine.ndc_description}, cheapest first. Select one to price it and recompute its alternatives.</p>
+                <div className="formulary-table-wrap">
+                  <table className="packages-table">
+                    <thead>
+                      <tr>
+                        <th>NDC</th>
+                        <th>Package</th>
+                        <th>NADAC per unit</th>
+                        <th>Effective date</th>
+                        <th>Pharmacy type</th>
+                        <th>Labeler</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {packages.map(pkg => {
+                        const current = pkg.ndc === selectedMedicine.ndc;
+                        return (
+                          <tr key={pkg.ndc} className={current ? 'selected' : ''}>
+                            <td>{formatNdc11(pkg.ndc)}</td>
+                            <td>{formatDisplayValue(packageDescriptionOf(pkg))}</td>
+                            <td>{formatPrice(pkg.nadac_per_unit)}{pkg.pricing_unit ? ` / ${pkg.pricing_unit}` : ''}</td>
+                            <td>{formatDisplayValue(pkg.effective_date)}</td>
+                            <td>{formatDisplayValue(pkg.pharmacy_type_indicator)}</td>
+                            <td>{formatDisplayValue(resolveLabeler(pkg))}</td>
+                            <td>
+                              {current
+                                ? <span className="packages-current">Selected</span>
+                                : <button className="compare-toggle" onClick={() => selectPackage(pkg.ndc)} disabled={loading}>Select</button>}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
                 </div>
               </div>
 
+              {priceHistoryManifest && (
+                <div className="detail-section">
+                  <h3>NADAC Price History</h3>
+                  {priceHistory && priceHistory.ndc === selectedMedicine.ndc ? (
+                    <PriceHistoryChart points={priceHistory.points} pricingUnit={selectedMedicine.pricing_unit} />
+                  ) : (
+                    <p className="price-history-empty">Loading price history...</p>
+                  )}
+                </div>
+              )}
+
               {selectedMedicine.__bestMatcher ? (
                 <div className="detail-section">
                   <h3>FDA Information</h3>
+                  {selectedMedicine.matchConfidence && selectedMedicine.matchConfidence.level === 'low' && (
+                    <div className="match-confidence-warning" role="alert">
+                      <strong>⚠️ Low-confidence match (score {selectedMedicine.matchConfidence.score.toFixed(2)})</strong>
+                      <p>This FDA information was linked by a weak NDC match and may describe a different product. Verify it against the package label.</p>
+                      {selectedMedicine.matchConfidence.reasons.length > 0 && (
+                        <ul>
+                          {selectedMedicine.matchConfidence.reasons.map(r => <li key={r}>{r}</li>)}
+                        </ul>
+                      )}
+                    </div>
+                  )}
                   <div className="detail-grid">
                     <div className="detail-item">
                       <label>Generic Name:</label>
@@ -460,6 +943,12 @@ function App() {
                       <label>Labeler:</label>
                       <span>{formatDisplayValue(selectedMedicine.__bestMatcher.labelerName)}</span>
                     </div>
+                    <div className="detail-item">
+                      <label>Matched By:</label>
+                      <span>{selectedMedicine.__bestMatcher.matchMethod === 'exactPackage'
+                        ? `Exact package NDC (${formatDisplayValue(selectedMedicine.__bestMatcher.packageNdc)})`
+                        : `NDC substring fallback (product ${formatDisplayValue(selectedMedicine.__bestMatcher.productNdc)})`}</span>
+                    </div>
                     <div className="detail-item">
                       <label>Active Ingredients:</label>
                       <span>{formatDisplayValue((selectedMedicine.__bestMatcher.activeIngredientsDetailed || []).map(ai => {
@@ -478,7 +967,40 @@ function App() {
               )}
             </div>
           </div>
-        ) : searchTerm && !loading ? (
+        ) : selectionError && !loading ? (
+          <div className="no-results">
+            <h2>⚠️ Could Not Load This Medication</h2>
+            <p>{selectionError}</p>
+            <p>The published dataset may be incomplete or from mixed pipeline runs; try again after the data is republished.</p>
+          </div>
+        ) : linkStatus && !loading ? (
+          <div className="no-results">
+            <h2>❌ Not in Current Dataset</h2>
+            <p>
+              This link points to {linkStatus.ndc ? `NDC ${formatNdc11(linkStatus.ndc)}` : `"${linkStatus.description}"`}
+              {linkStatus.ndc && linkStatus.description ? ` (${linkStatus.description})` : ''}, which is not in the
+              current dataset{enrichedManifest && enrichedManifest.asOfDate ? ` (NADAC as of ${enrichedManifest.asOfDate})` : ''}.
+              The package may have been discontinued or dropped from the NADAC survey since the link was shared.
+            </p>
+            {ndcLookup && ndcLookup.candidates.length > 1 && (
+              <p>The NDC is ambiguous; {ndcLookup.candidates.map(formatNdc11).join(' and ')} were both tried.</p>
+            )}
+            {linkStatus.ndc && linkStatus.description && (
+              <button className="watch-toggle" onClick={() => handleMedicineSelect(linkStatus.description)}>
+                Search for {linkStatus.description}
+              </button>
+            )}
+          </div>
+        ) : searchMode === 'ndc' && ndcLookup && !loading ? (
+          <div className="no-results">
+            <h2>❌ NDC Not Found</h2>
+            <p>
+              {ndcLookup.candidates.length > 0
+                ? `No record for ${ndcLookup.candidates.map(formatNdc11).join(' or ')} in the current dataset.`
+                : `"${searchTerm}" is not a recognized NDC or barcode format.`}
+            </p>
+          </div>
+        ) : searchMode === 'description' && searchTerm && !loading ? (
           <div className="no-results">
             <h2>❌ No Results Found</h2>
             <p>No medication found matching "{searchTerm}". Please check the spelling or try a different search term.</p>
@@ -489,59 +1011,161 @@ function App() {
         {matchedGenerics.length > 0 && selectedMedicine && (
           <div className="generic-drugs-section">
             <h2>🧬 Matching Generic Options</h2>
-            <p>Found {matchedGenerics.length} generic options for <strong>{selectedMedicine.fda_nonproprietary_name}</strong></p>
+            <p>
+              Found {matchedGenerics.length} generic options for <strong>{selectedMedicine.ndc_description}</strong>; showing {sortedGenerics.length} in
+              the selected dosage forms{isDefaultRecordFilter(recordFilter) ? '' : ' matching the rate-setting filters'}
+            </p>
+
+            <div className="form-chips">
+              <span className="switch-label">Dosage forms:</span>
+              {formGroups.map(g => {
+                const active = includedForms === null || includedForms.includes(g.key);
+                const isSelectedForm = g.key === formGroupFor(selectedMedicine).key;
+                return (
+                  <button
+                    key={g.key}
+                    className={`form-chip ${active ? 'active' : ''} ${isSelectedForm ? 'same-as-selected' : ''}`}
+                    onClick={() => toggleFormGroup(g.key)}
+                    title={isSelectedForm ? 'Same dosage form and route as the selected medicine' : 'Different dosage form or route'}
+                  >
+                    {g.label} ({g.count})
+                  </button>
+                );
+              })}
+              <button className="form-chip-reset" onClick={() => setIncludedForms(null)}>Show all</button>
+            </div>
+            <label className="ab-rated-toggle">
+              <input type="checkbox" checked={abRatedOnly} onChange={(e) => setAbRatedOnly(e.target.checked)} />
+              Only AB-rated substitutes (Orange Book)
+            </label>
+            {rxNormAvailable && (
+              <label className="ab-rated-toggle">
+                <input type="checkbox" checked={groupByConcept} onChange={(e) => setGroupByConcept(e.target.checked)} />
+                Group by clinical drug (RxNorm)
+              </label>
+            )}
+
+            <SavingsCalculator regimen={regimen} onChange={setRegimen} pricingUnit={selectedMedicine.pricing_unit} />
+            <ExportMenu
+              title={`${selectedMedicine.ndc_description} generic options`}
+              selected={selectedMedicine}
+              alternatives={sortedGenerics}
+              regimen={regimen}
+              asOfDate={asOfDate}
+            />
+            <div className="generic-sort-controls">
+              <span className="switch-label">Sort by:</span>
+              <div className="switch-container">
+                <button
+                  className={`switch-option ${genericSort === 'relevance' ? 'active' : ''}`}
+                  onClick={() => setGenericSort('relevance')}
+                >
+                  Dosage Relevance
+                </button>
+                <button
+                  className={`switch-option ${genericSort === 'savings' ? 'active' : ''}`}
+                  onClick={() => setGenericSort('savings')}
+                >
+                  Savings
+                </button>
+              </div>
+              <span className="selected-total">
+                Selected: <strong>{formatMoney(totalCost(selectedMedicine, regimen))}</strong> for this regimen
+              </span>
+            </div>
             
-            <div className="generic-drugs-grid">
-              {matchedGenerics.slice(0, 50).map((drug, index) => (
-                <div key={index} className="generic-drug-card">
-                  <div className="drug-name">{drug.ndc_description}</div>
-                  <div className="drug-details">
-                    <div className="price-info">
-                      <span className="price">{formatPrice(drug.nadac_per_unit)}</span>
-                      <span className="unit">per {drug.pricing_unit}</span>
-                    </div>
-{/*                     {Array.isArray(drug.__matchSources) && drug.__matchSources.length > 0 && (
-                      <div className="match-badges">
-                        <small>Matched by: {drug.__matchSources.map((s, i) => `${s.source}:${s.generic}`).join(', ')}</small>
+            {genericGroups.map(group => (
+              <div key={group.key} className="generic-group">
+                {group.name !== null && (
+                  <h4 className="generic-group-title">
+                    {group.key ? group.name : 'No RxNorm mapping'}
+                    {group.rxcuis.length > 0 && <span className="generic-group-meta">RxCUI {group.rxcuis.join(', ')}</span>}
+                    {group.key && group.key === clinicalDrugKey(selectedMedicine) && <span className="generic-group-meta same">same clinical drug as the selection</span>}
+                    <span className="generic-group-meta">{group.records.length} product{group.records.length === 1 ? '' : 's'}</span>
+                  </h4>
+                )}
+                <div className="generic-drugs-grid">
+                  {group.records.map((drug, index) => {
+                    const cmp = compareSavings(selectedMedicine, drug, regimen);
+                    return (
+                    <div key={index} className="generic-drug-card">
+                      <div className="drug-name">
+                        {drug.ndc_description}
+                        {getTeCode(drug) && (
+                          <span className={`te-badge ${isAbRated(drug) ? 'ab' : 'other'}`} title="Orange Book therapeutic equivalence code">
+                            {getTeCode(drug)}
+                          </span>
+                        )}
+                        <ShortageBadge record={drug} />
                       </div>
-                    )} */}
-                    <div className="classification">
-                      <span className={`classification ${drug.classification_for_rate_setting}`}>
-                        {drug.classification_for_rate_setting === 'G' ? 'Generic' : 'Brand'}
-                      </span>
-                    </div>
-                    {(() => {
-                      const fm = Array.isArray(drug.fdaMatches) ? drug.fdaMatches : [];
-                      const best = fm.length > 0 ? fm[0] : null;
-                      const labeler = drug.fda_labeler_name || drug.__matchLabelerName || (best && best.labelerName) || '';
-                      return !isNullOrEmpty(labeler) ? (
-                      <div className="labeler-name">
-                          <strong>Labeler:</strong> {formatDisplayValue(labeler)}
-                      </div>
-                      ) : null;
-                    })()}
-                    {!isNullOrEmpty(drug.fda_active_numerator_strength) && (
-                      <div className="strength-info">
-                        <strong>Strength:</strong> {formatStrength(drug.fda_active_numerator_strength, drug.fda_active_ingred_unit)}
+                      <div className="drug-details">
+                        <div className="price-info">
+                          <span className="price">{formatPrice(drug.nadac_per_unit)}</span>
+                          <span className="unit">per {drug.pricing_unit}</span>
+                        </div>
+                        {cmp.comparable ? (
+                          <div className="savings-info">
+                            <span>Total: <strong>{formatMoney(cmp.cost)}</strong></span>
+                            <span className={`savings ${cmp.savings > 0 ? 'positive' : (cmp.savings < 0 ? 'negative' : '')}`}>
+                              {cmp.savings >= 0 ? 'Saves' : 'Costs'} {formatMoney(Math.abs(cmp.savings))}
+                              {cmp.savingsPct !== null ? ` (${Math.abs(cmp.savingsPct).toFixed(1)}%${cmp.savings < 0 ? ' more' : ''})` : ''}
+                            </span>
+                          </div>
+                        ) : (
+                          <div className="savings-info not-comparable">
+                            Not comparable ({cmp.reason})
+                          </div>
+                        )}
+    {/*                     {Array.isArray(drug.__matchSources) && drug.__matchSources.length > 0 && (
+                          <div className="match-badges">
+                            <small>Matched by: {drug.__matchSources.map((s, i) => `${s.source}:${s.generic}`).join(', ')}</small>
+                          </div>
+                        )} */}
+                        <div className="classification">
+                          <span className={`classification ${drug.classification_for_rate_setting}`}>
+                            {drug.classification_for_rate_setting === 'G' ? 'Generic' : 'Brand'}
+                          </span>
+                        </div>
+                        {!isNullOrEmpty(resolveLabeler(drug)) && (
+                          <div className="labeler-name">
+                            <strong>Labeler:</strong> {formatDisplayValue(resolveLabeler(drug))}
+                          </div>
+                        )}
+                        <div className="form-info">
+                          <strong>Form:</strong> {formGroupFor(drug).label}
+                        </div>
+                        {!isNullOrEmpty(formatRecordStrength(drug)) && (
+                          <div className="strength-info">
+                            <strong>Strength:</strong> {formatRecordStrength(drug)}
+                          </div>
+                        )}
+                        {!isNullOrEmpty(packageDescriptionOf(drug)) && (
+                          <div className="package-info">
+                            <strong>Package:</strong> {packageDescriptionOf(drug)}
+                          </div>
+                        )}
+                        <div className="ndc">
+                          <strong>NDC:</strong> {formatDisplayValue(drug.ndc)}
+                        </div>
+                        {compareButton(drug)}
                       </div>
-                    )}
-                    <div className="ndc">
-                      <strong>NDC:</strong> {formatDisplayValue(drug.ndc)}
                     </div>
-                  </div>
+                    );
+                  })}
                 </div>
-              ))}
-            </div>
+              </div>
+            ))}
             
-            {matchedGenerics.length > 50 && (
-              <p className="showing-limited">Showing first 50 of {matchedGenerics.length} results</p>
+            {sortedGenerics.length > 50 && (
+              <p className="showing-limited">Showing first 50 of {sortedGenerics.length} results</p>
             )}
           </div>
         )}
       </main>
+      )}
 
       <footer className="app-footer">
-        <p>Medicine Search App - NADAC Database | Data as of latest update</p>
+        <p>Medicine Search App - NADAC Database | Data as of {datasetAsOfDate || 'latest update'}</p>
       </footer>
     </div>
   );
@@ -0,0 +1,27 @@
+import { DATASET_CACHE_PREFIX, datasetCacheName, staleDatasetCaches } from '../datasetCache';
+
+describe('datasetCacheName', () => {
+  it('names one cache per dataset version', () => {
+    expect(datasetCacheName('0123abcd')).toBe(`${DATASET_CACHE_PREFIX}0123abcd`);
+    expect(datasetCacheName('a')).not.toBe(datasetCacheName('b'));
+  });
+});
+
+describe('staleDatasetCaches', () => {
+  const names = [
+    'workbox-precache-v2-https://example.org/',
+    'medicine-search-dataset-meta',
+    datasetCacheName('old1'),
+    datasetCacheName('active'),
+    datasetCacheName('old2'),
+  ];
+
+  it('lists every dataset cache except the active version', () => {
+    expect(staleDatasetCaches(names, 'active')).toEqual([datasetCacheName('old1'), datasetCacheName('old2')]);
+  });
+
+  it('leaves the precache and the active dataset pointer alone', () => {
+    expect(staleDatasetCaches(names, 'none')).toEqual([datasetCacheName('old1'), datasetCacheName('active'), datasetCacheName('old2')]);
+    expect(staleDatasetCaches([], 'active')).toEqual([]);
+  });
+});
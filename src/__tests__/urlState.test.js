@@ -0,0 +1,61 @@
+import { readUrlState, urlSearchFor, isNewHistoryEntry } from '../urlState';
+
+const DEFAULTS = {
+  view: 'search',
+  ndc: null,
+  description: null,
+  drugFilter: 'all',
+  forms: undefined,
+  abRatedOnly: false,
+  sort: 'relevance',
+  groupByClinicalDrug: false,
+  recordFilter: { pharmacyType: 'all', otc: 'all', explanationCodes: [] },
+};
+
+describe('readUrlState / urlSearchFor', () => {
+  it('reads an empty query string as the default view and writes it back as an empty one', () => {
+    expect(readUrlState('')).toEqual(DEFAULTS);
+    expect(urlSearchFor(DEFAULTS)).toBe('');
+  });
+
+  it.each([
+    ['a selection with every filter', {
+      ...DEFAULTS,
+      ndc: '00087606005',
+      description: 'GLUCOPHAGE 500 MG TABLET',
+      drugFilter: 'branded',
+      forms: ['tablet|ORAL', 'tablet-er|ORAL'],
+      abRatedOnly: true,
+      sort: 'savings',
+      groupByClinicalDrug: true,
+      recordFilter: { pharmacyType: 'independent', otc: 'rx', explanationCodes: ['1', '4'] },
+    }],
+    ['every form group', { ...DEFAULTS, ndc: '00093104801', forms: null }],
+    ['a description without an NDC', { ...DEFAULTS, description: 'METFORMIN HCL 500 MG TABLET' }],
+    ['another view', { ...DEFAULTS, view: 'watchlist' }],
+  ])('round-trips %s', (_, state) => {
+    expect(readUrlState(urlSearchFor(state))).toEqual(state);
+  });
+
+  it('writes parameters in the documented order', () => {
+    expect(urlSearchFor({ ...DEFAULTS, ndc: '00087606005', description: 'GLUCOPHAGE 500 MG TABLET', drugFilter: 'branded', forms: null, abRatedOnly: true }))
+      .toBe('?ndc=00087606005&q=GLUCOPHAGE+500+MG+TABLET&filter=branded&forms=all&ab=1');
+  });
+
+  it('falls back to defaults for unknown or invalid values', () => {
+    const state = readUrlState('?view=admin&filter=cheapest&ab=yes&sort=price&group=atc&pharmacy=mail&otc=maybe&codes=1,x,,12&utm_source=mail');
+    expect(state).toEqual({ ...DEFAULTS, recordFilter: { ...DEFAULTS.recordFilter, explanationCodes: ['1', '12'] } });
+    expect(readUrlState('?ndc=%20%20&q=')).toMatchObject({ ndc: null, description: null });
+    expect(readUrlState('?forms=')).toMatchObject({ forms: [] });
+  });
+});
+
+describe('isNewHistoryEntry', () => {
+  it('treats another view or selection as a new entry and filter tweaks as the same one', () => {
+    const state = { ...DEFAULTS, ndc: '00087-6060-05' };
+    expect(isNewHistoryEntry(state, { ...state, ndc: '00087606005', abRatedOnly: true })).toBe(false);
+    expect(isNewHistoryEntry(state, { ...state, ndc: '00093104801' })).toBe(true);
+    expect(isNewHistoryEntry(state, { ...state, view: 'compare' })).toBe(true);
+    expect(isNewHistoryEntry({ ...DEFAULTS, description: 'A' }, { ...DEFAULTS, description: 'B' })).toBe(true);
+  });
+});
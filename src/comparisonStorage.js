@@ -0,0 +1,22 @@
+import { COMPARE_MAX } from './engine';
+
+// Comparison set kept for the browser tab (sessionStorage), so it survives navigation and reloads
+const STORAGE_KEY = 'medicine-search.comparison';
+
+export function loadComparison() {
+  try {
+    const items = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(items) ? items.filter(item => item && item.ndc).slice(0, COMPARE_MAX) : [];
+  } catch (e) {
+    console.warn('Ignoring unreadable stored comparison', e);
+    return [];
+  }
+}
+
+export function saveComparison(items) {
+  try {
+    window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+  } catch (e) {
+    console.warn('Failed to store the comparison', e);
+  }
+}
@@ -0,0 +1,55 @@
+import React from 'react';
+import { comparisonRows, COMPARE_MIN, COMPARE_MAX } from '../engine';
+
+// Comparison table of 2-5 records; rows whose values differ are highlighted
+function Comparison({ items, regimen, onOpen, onRemove, onClear }) {
+  const rows = comparisonRows(items, regimen);
+  const differing = rows.filter(r => r.differs).length;
+  return (
+    <div className="watchlist comparison">
+      <div className="watchlist-header">
+        <h2>⚖️ Compare</h2>
+        <div className="watchlist-actions">
+          <button className="watchlist-button" onClick={onClear} disabled={items.length === 0}>Clear</button>
+        </div>
+      </div>
+      {items.length < COMPARE_MIN ? (
+        <p className="watchlist-empty">
+          Pick {COMPARE_MIN}-{COMPARE_MAX} medicines with "＋ Compare" on the selected medicine or its alternatives.
+          {items.length === 1 ? ` ${items[0].ndc_description} is waiting for a second item.` : ''}
+        </p>
+      ) : (
+        <>
+          <p className="formulary-hint">
+            {differing} of {rows.length} fields differ. Price per dose uses {regimen.quantity} unit(s) per dose from the regimen calculator.
+          </p>
+          <div className="formulary-table-wrap">
+            <table className="comparison-table">
+              <thead>
+                <tr>
+                  <th />
+                  {items.map(item => (
+                    <th key={item.ndc}>
+                      <button className="link-button" onClick={() => onOpen(item.ndc)}>{item.ndc_description}</button>
+                      <button className="comparison-remove" onClick={() => onRemove(item)} title="Remove from comparison">✕</button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.key} className={row.differs ? 'differs' : ''}>
+                    <th>{row.label}</th>
+                    {row.values.map((v, i) => <td key={items[i].ndc}>{v || '--'}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Comparison;
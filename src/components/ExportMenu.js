@@ -0,0 +1,45 @@
+import React from 'react';
+import { buildExportRows, toCsv, toXlsx, renderPrintReport } from '../engine';
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const slug = (s) => (s || 'export').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+
+export const download = (data, type, filename) => {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// CSV / Excel / print buttons for `selected` and `alternatives` (pass every alternative, not just the rendered cards)
+function ExportMenu({ title, selected, alternatives, regimen, asOfDate }) {
+  const options = { title, asOfDate, regimen };
+  const rows = () => buildExportRows(selected, alternatives, regimen, { asOfDate });
+  const filename = (ext) => `${slug(title)}${asOfDate ? `-${slug(asOfDate)}` : ''}.${ext}`;
+
+  // The byte order mark makes Excel read the CSV as UTF-8
+  const exportCsv = () => download(`\uFEFF${toCsv(rows())}`, 'text/csv;charset=utf-8', filename('csv'));
+  const exportXlsx = () => download(toXlsx(rows(), options), XLSX_TYPE, filename('xlsx'));
+  const printReport = () => {
+    const win = window.open('', '_blank');
+    if (!win) return;
+    win.document.write(renderPrintReport(rows(), options));
+    win.document.close();
+    win.focus();
+    win.print();
+  };
+
+  return (
+    <div className="export-menu">
+      <span className="switch-label">Export:</span>
+      <button onClick={exportCsv}>CSV</button>
+      <button onClick={exportXlsx}>Excel</button>
+      <button onClick={printReport}>Print / PDF</button>
+    </div>
+  );
+}
+
+export default ExportMenu;
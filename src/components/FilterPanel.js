@@ -0,0 +1,55 @@
+import React from 'react';
+import { EXPLANATION_CODES, PHARMACY_TYPES, OTC_OPTIONS, DEFAULT_RECORD_FILTER, isDefaultRecordFilter } from '../engine';
+
+const ALL = { key: 'all', label: 'All' };
+
+// Pharmacy type, OTC/Rx and explanation code filters (with the code legend) for suggestions and alternatives
+function FilterPanel({ filter, onChange }) {
+  const set = (patch) => onChange({ ...filter, ...patch });
+  const toggleCode = (code) => {
+    const codes = filter.explanationCodes.includes(code)
+      ? filter.explanationCodes.filter(c => c !== code)
+      : [...filter.explanationCodes, code].sort((a, b) => a - b);
+    set({ explanationCodes: codes });
+  };
+  const active = !isDefaultRecordFilter(filter);
+
+  const choice = (label, field, options) => (
+    <div className="filter-group">
+      <span className="switch-label">{label}</span>
+      <div className="switch-container">
+        {[ALL, ...options].map(o => (
+          <button key={o.key} className={`switch-option ${filter[field] === o.key ? 'active' : ''}`} onClick={() => set({ [field]: o.key })}>
+            {o.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <details className="filter-panel">
+      <summary>
+        Rate-setting filters{active && <span className="filter-active">active</span>}
+      </summary>
+      {choice('Pharmacy type:', 'pharmacyType', PHARMACY_TYPES)}
+      {choice('OTC / Rx:', 'otc', OTC_OPTIONS)}
+      <fieldset className="filter-group explanation-codes">
+        <legend className="switch-label">Explanation codes (any of):</legend>
+        {EXPLANATION_CODES.map(c => (
+          <label key={c.code}>
+            <input type="checkbox" checked={filter.explanationCodes.includes(c.code)} onChange={() => toggleCode(c.code)} />
+            <strong>{c.code}</strong> {c.label}
+          </label>
+        ))}
+      </fieldset>
+      <p className="filter-note">
+        Suggestions keep a description when any of its NDCs matches; alternatives are filtered NDC by NDC.
+        NADAC rates marked C/I are set for chain and independent pharmacies alike.
+      </p>
+      {active && <button className="form-chip-reset" onClick={() => onChange(DEFAULT_RECORD_FILTER)}>Clear filters</button>}
+    </details>
+  );
+}
+
+export default FilterPanel;
@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from 'react';
+import { formatMoney, formatNdc11, formularyCsv } from '../engine';
+import { download } from './ExportMenu';
+
+const PAGE_SIZE = 100; // result rows rendered at a time; uploads can have tens of thousands of lines
+const STATUS_LABELS = { matched: 'Matched', notFound: 'Not in dataset', invalid: 'Invalid NDC' };
+const FILTERS = {
+  all: { label: 'All lines', test: () => true },
+  savings: { label: 'With savings', test: r => r.savings !== null && r.savings > 0 },
+  unmatched: { label: 'Unmatched', test: r => r.status !== 'matched' },
+};
+
+const perUnit = (v) => (v === null ? '--' : `$${v.toFixed(5)}`);
+
+/*
+  Upload screen and results of a bulk formulary analysis. `analysis` is App state:
+  { fileName, status: 'running' | 'done' | 'error', progress, reply, error }
+*/
+function FormularyAnalysis({ analysis, onUpload, onCancel, onOpen }) {
+  const [filter, setFilter] = useState('all');
+  const [sortBySavings, setSortBySavings] = useState(false);
+  const [page, setPage] = useState(0);
+  const reply = analysis && analysis.status === 'done' ? analysis.reply : null;
+
+  const rows = useMemo(() => {
+    if (!reply) return [];
+    const out = reply.results.filter(FILTERS[filter].test);
+    if (sortBySavings) out.sort((a, b) => (b.savings || 0) - (a.savings || 0));
+    return out;
+  }, [reply, filter, sortBySavings]);
+  const pages = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  const current = Math.min(page, pages - 1);
+
+  const changeFilter = (key) => {
+    setFilter(key);
+    setPage(0);
+  };
+
+  const exportCsv = () => {
+    const base = analysis.fileName.replace(/\.[^.]+$/, '');
+    download(`\uFEFF${formularyCsv(reply.results)}`, 'text/csv;charset=utf-8', `${base}-analysis.csv`);
+  };
+
+  const progress = analysis && analysis.progress;
+  const summary = reply && reply.summary;
+
+  return (
+    <div className="formulary">
+      <div className="watchlist-header">
+        <h2>📋 Formulary Analysis</h2>
+        <div className="watchlist-actions">
+          {reply && <button className="watchlist-button" onClick={exportCsv}>Export CSV</button>}
+          <label className="watchlist-button">
+            Upload CSV / Excel
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+              onChange={(e) => {
+                if (e.target.files[0]) {
+                  setPage(0);
+                  onUpload(e.target.files[0]);
+                }
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </div>
+      </div>
+      <p className="formulary-hint">
+        Upload a CSV or Excel (.xlsx) file with an NDC column and an optional quantity column. Each line is priced
+        at its current NADAC and compared with its cheapest comparable generic; lines without a quantity are priced
+        per unit. The file is read in your browser and never uploaded.
+      </p>
+
+      {analysis && analysis.status === 'running' && (
+        <div className="formulary-running">
+          <div className="chunk-progress" role="progressbar" aria-valuemin={0} aria-valuemax={progress ? progress.total : 0} aria-valuenow={progress ? progress.loaded : 0}>
+            <div className="chunk-progress-bar" style={{ width: progress && progress.total ? `${(progress.loaded / progress.total) * 100}%` : '0%' }} />
+            <span className="chunk-progress-label">
+              {!progress && `Reading ${analysis.fileName}...`}
+              {progress && progress.phase === 'lines' && `Priced ${progress.loaded.toLocaleString()} of ${progress.total.toLocaleString()} lines`}
+              {progress && progress.phase !== 'lines' && `Loading data ${progress.loaded}/${progress.total} chunks`}
+            </span>
+          </div>
+          <button className="watchlist-button" onClick={onCancel}>Cancel</button>
+        </div>
+      )}
+      {analysis && analysis.status === 'error' && (
+        <p className="watchlist-error" role="alert">Could not analyze {analysis.fileName}: {analysis.error}</p>
+      )}
+
+      {summary && (
+        <>
+          <p className="formulary-source">
+            {analysis.fileName}: NDCs from column "{reply.ndcColumn || 'first column'}"
+            {reply.quantityColumn ? `, quantities from "${reply.quantityColumn}"` : ', no quantity column (priced per unit)'}
+          </p>
+          <div className="formulary-summary">
+            <div><span>Lines</span><strong>{summary.lines.toLocaleString()}</strong></div>
+            <div><span>Matched</span><strong>{summary.matched.toLocaleString()}</strong></div>
+            <div className={summary.notFound + summary.invalid > 0 ? 'flagged' : ''}>
+              <span>Unmatched</span><strong>{(summary.notFound + summary.invalid).toLocaleString()}</strong>
+            </div>
+            <div><span>Current cost</span><strong>{formatMoney(summary.currentTotal)}</strong></div>
+            <div className="savings"><span>Potential savings</span><strong>{formatMoney(summary.totalSavings)}</strong></div>
+            <div><span>With generics</span><strong>{formatMoney(summary.optimizedTotal)}</strong></div>
+          </div>
+
+          <div className="formulary-controls">
+            <div className="switch-container">
+              {Object.entries(FILTERS).map(([key, f]) => (
+                <button key={key} className={`switch-option ${filter === key ? 'active' : ''}`} onClick={() => changeFilter(key)}>
+                  {f.label}
+                </button>
+              ))}
+            </div>
+            <label>
+              <input type="checkbox" checked={sortBySavings} onChange={(e) => setSortBySavings(e.target.checked)} />
+              {' '}Largest savings first
+            </label>
+          </div>
+
+          <div className="formulary-table-wrap">
+            <table className="formulary-table">
+              <thead>
+                <tr>
+                  <th>Line</th>
+                  <th>NDC</th>
+                  <th>Description</th>
+                  <th>Qty</th>
+                  <th>NADAC</th>
+                  <th>Line cost</th>
+                  <th>Cheapest comparable generic</th>
+                  <th>Savings</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE).map(r => (
+                  <tr key={r.line} className={r.status === 'matched' ? '' : 'unmatched'}>
+                    <td>{r.line}</td>
+                    <td>{r.status === 'matched' ? formatNdc11(r.ndc) : r.input}</td>
+                    <td>
+                      {r.status === 'matched' ? (
+                        <button className="link-button" onClick={() => onOpen(r.ndc)}>{r.description}</button>
+                      ) : (
+                        <span className="formulary-status">{STATUS_LABELS[r.status]}</span>
+                      )}
+                    </td>
+                    <td>{r.quantity === null ? '--' : r.quantity.toLocaleString()}</td>
+                    <td>{perUnit(r.nadacPerUnit)}{r.pricingUnit ? ` / ${r.pricingUnit}` : ''}</td>
+                    <td>{formatMoney(r.lineCost)}</td>
+                    <td>
+                      {r.genericNdc ? `${r.genericDescription} (NDC ${formatNdc11(r.genericNdc)}, ${r.genericLabeler}) at ${perUnit(r.genericPerUnit)}` : '--'}
+                    </td>
+                    <td className={r.savings > 0 ? 'savings' : ''}>{formatMoney(r.savings)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {rows.length === 0 && <p className="watchlist-empty">No lines match this filter.</p>}
+          {pages > 1 && (
+            <div className="formulary-pages">
+              <button onClick={() => setPage(current - 1)} disabled={current === 0}>Previous</button>
+              <span>Page {current + 1} of {pages} ({rows.length.toLocaleString()} lines)</span>
+              <button onClick={() => setPage(current + 1)} disabled={current >= pages - 1}>Next</button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default FormularyAnalysis;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { formatMoney, formatNdc11 } from '../engine';
+
+const formatUnitPrice = (n) => (n === null || n === undefined ? '--' : `$${n.toFixed(5)}`);
+const formatPct = (n) => (n === null || n === undefined ? '--' : `${n.toFixed(1)}%`);
+
+const STATUS_NOTES = {
+  agree: { className: 'agree', text: 'CMS and our matching agree on the generic price.' },
+  differ: { className: 'differ', text: 'CMS and our matching disagree on the generic price; check the matched NDC before quoting savings.' },
+  'cms-only': { className: 'differ', text: 'CMS lists a corresponding generic, but our matching found no cheaper generic with the same form, strength and pricing unit.' },
+  'matched-only': { className: 'differ', text: 'CMS lists no corresponding generic for this NDC; the savings below come from our matching only.' },
+  none: { className: 'none', text: 'Neither CMS nor our matching lists a cheaper generic for this NDC.' },
+};
+
+// "Generic equivalent" panel for branded selections: CMS's corresponding generic NADAC next to our cheapest match
+function GenericEquivalent({ equivalent, onOpen }) {
+  const { cms, matched, status, pricingUnit, differencePct } = equivalent;
+  const note = STATUS_NOTES[status];
+  const unit = pricingUnit ? ` / ${pricingUnit}` : '';
+
+  const row = (key, source, generic, perUnit, savings) => (
+    <tr key={key}>
+      <td>{source}</td>
+      <td>{generic}</td>
+      <td>{formatUnitPrice(perUnit)}{perUnit === null ? '' : unit}</td>
+      <td className="savings">{savings ? formatUnitPrice(savings.perUnit) : '--'}</td>
+      <td className="savings">{savings ? formatPct(savings.pct) : '--'}</td>
+      <td className="savings">{savings ? formatMoney(savings.regimen) : '--'}</td>
+    </tr>
+  );
+
+  return (
+    <div className="generic-equivalent">
+      <div className="formulary-table-wrap">
+        <table className="formulary-table">
+          <thead>
+            <tr>
+              <th>Source</th>
+              <th>Generic</th>
+              <th>NADAC per unit</th>
+              <th>Savings per unit</th>
+              <th>Savings %</th>
+              <th>Savings (regimen)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {row('cms', 'CMS corresponding generic', cms && cms.effectiveDate ? `Effective ${cms.effectiveDate}` : '--', cms ? cms.perUnit : null, cms && cms.savings)}
+            {row('matched', 'Our cheapest match', matched ? (
+              <button className="link-button" onClick={() => onOpen(matched.record.ndc)}>
+                {matched.record.ndc_description} ({formatNdc11(matched.record.ndc)})
+              </button>
+            ) : '--', matched ? matched.perUnit : null, matched && matched.savings)}
+          </tbody>
+        </table>
+      </div>
+      <p className={`generic-equivalent-status ${note.className}`} role={note.className === 'differ' ? 'alert' : undefined}>
+        {status === 'differ' && differencePct !== null && <strong>{differencePct > 0 ? '+' : ''}{differencePct.toFixed(1)}% vs CMS. </strong>}
+        {note.text}
+      </p>
+    </div>
+  );
+}
+
+export default GenericEquivalent;
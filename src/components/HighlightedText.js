@@ -0,0 +1,17 @@
+import React from 'react';
+
+// Renders `text` with the [start, end) character ranges in `spans` wrapped in <mark>
+function HighlightedText({ text, spans }) {
+  const parts = [];
+  let pos = 0;
+  (spans || []).forEach(([start, end], i) => {
+    if (start < pos || end <= start) return;
+    if (start > pos) parts.push(text.slice(pos, start));
+    parts.push(<mark key={i}>{text.slice(start, end)}</mark>);
+    pos = end;
+  });
+  if (pos < text.length) parts.push(text.slice(pos));
+  return <span className="highlighted-text">{parts}</span>;
+}
+
+export default HighlightedText;
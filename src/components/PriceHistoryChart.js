@@ -0,0 +1,100 @@
+import React, { useMemo } from 'react';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 64 };
+const CHANGE_WINDOWS = [30, 90, 365];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toTime = (isoDate) => new Date(`${isoDate}T00:00:00Z`).getTime();
+
+// Percent change between the latest point and the price in effect `days` before it.
+// Returns null when the history does not reach back far enough.
+export const percentChangeOver = (points, days) => {
+  if (!Array.isArray(points) || points.length < 2) return null;
+  const latest = points[points.length - 1];
+  const target = toTime(latest.effective_date) - days * DAY_MS;
+  let base = null;
+  for (const p of points) {
+    if (toTime(p.effective_date) <= target) base = p; else break;
+  }
+  if (!base || !Number.isFinite(base.nadac_per_unit) || base.nadac_per_unit === 0) return null;
+  return ((latest.nadac_per_unit - base.nadac_per_unit) / base.nadac_per_unit) * 100;
+};
+
+const formatChange = (pct) => {
+  if (pct === null) return '--';
+  const sign = pct > 0 ? '+' : '';
+  return `${sign}${pct.toFixed(2)}%`;
+};
+
+function PriceHistoryChart({ points, pricingUnit }) {
+  const series = useMemo(
+    () => (points || []).filter(p => p && p.effective_date && Number.isFinite(p.nadac_per_unit)),
+    [points]
+  );
+
+  const geometry = useMemo(() => {
+    if (series.length === 0) return null;
+    const times = series.map(p => toTime(p.effective_date));
+    const prices = series.map(p => p.nadac_per_unit);
+    const minT = Math.min(...times);
+    const maxT = Math.max(...times);
+    const minP = Math.min(...prices);
+    const maxP = Math.max(...prices);
+    const spanT = maxT - minT || 1;
+    const spanP = maxP - minP || Math.max(maxP * 0.1, 0.00001);
+    const innerW = CHART_WIDTH - PADDING.left - PADDING.right;
+    const innerH = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+    const x = (t) => PADDING.left + ((t - minT) / spanT) * innerW;
+    const y = (p) => PADDING.top + innerH - ((p - minP) / spanP) * innerH;
+    const coords = series.map((p, i) => ({ x: x(times[i]), y: y(p.nadac_per_unit), point: p }));
+    return { coords, minP, maxP, path: coords.map((c, i) => `${i === 0 ? 'M' : 'L'}${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' ') };
+  }, [series]);
+
+  if (!geometry) {
+    return <p className="price-history-empty">No price history available for this NDC.</p>;
+  }
+
+  const first = series[0];
+  const last = series[series.length - 1];
+
+  return (
+    <div className="price-history">
+      <div className="price-history-changes">
+        {CHANGE_WINDOWS.map(days => {
+          const pct = percentChangeOver(series, days);
+          const trend = pct === null ? '' : (pct > 0 ? 'up' : (pct < 0 ? 'down' : ''));
+          return (
+            <div key={days} className="price-change">
+              <label>{days}-day change</label>
+              <span className={`price-change-value ${trend}`}>{formatChange(pct)}</span>
+            </div>
+          );
+        })}
+      </div>
+      <svg
+        className="price-history-chart"
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        role="img"
+        aria-label={`NADAC per ${pricingUnit || 'unit'} from ${first.effective_date} to ${last.effective_date}`}
+      >
+        <line x1={PADDING.left} y1={CHART_HEIGHT - PADDING.bottom} x2={CHART_WIDTH - PADDING.right} y2={CHART_HEIGHT - PADDING.bottom} className="axis" />
+        <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={CHART_HEIGHT - PADDING.bottom} className="axis" />
+        <text x={PADDING.left - 6} y={PADDING.top + 4} textAnchor="end" className="axis-label">${geometry.maxP.toFixed(4)}</text>
+        <text x={PADDING.left - 6} y={CHART_HEIGHT - PADDING.bottom} textAnchor="end" className="axis-label">${geometry.minP.toFixed(4)}</text>
+        <text x={PADDING.left} y={CHART_HEIGHT - 8} textAnchor="start" className="axis-label">{first.effective_date}</text>
+        <text x={CHART_WIDTH - PADDING.right} y={CHART_HEIGHT - 8} textAnchor="end" className="axis-label">{last.effective_date}</text>
+        <path d={geometry.path} className="line" />
+        {geometry.coords.map((c, i) => (
+          <circle key={i} cx={c.x} cy={c.y} r="3" className="point">
+            <title>{`${c.point.effective_date}: $${c.point.nadac_per_unit.toFixed(5)}${c.point.explanation_code ? ` (code ${c.point.explanation_code})` : ''}`}</title>
+          </circle>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+export default PriceHistoryChart;
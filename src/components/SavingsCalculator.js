@@ -0,0 +1,33 @@
+import React from 'react';
+import { FREQUENCIES, totalUnits } from '../engine';
+
+function SavingsCalculator({ regimen, onChange, pricingUnit }) {
+  const update = (field) => (e) => onChange({ ...regimen, [field]: e.target.value });
+  const units = totalUnits(regimen);
+
+  return (
+    <div className="savings-calculator">
+      <div className="calculator-field">
+        <label htmlFor="calc-quantity">Quantity per dose</label>
+        <input id="calc-quantity" type="number" min="0" step="any" value={regimen.quantity} onChange={update('quantity')} />
+      </div>
+      <div className="calculator-field">
+        <label htmlFor="calc-frequency">Frequency</label>
+        <select id="calc-frequency" value={regimen.frequency} onChange={update('frequency')}>
+          {FREQUENCIES.map(f => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="calculator-field">
+        <label htmlFor="calc-days">Days' supply</label>
+        <input id="calc-days" type="number" min="0" step="1" value={regimen.days} onChange={update('days')} />
+      </div>
+      <div className="calculator-total">
+        {units === null ? 'Enter a valid regimen' : `${units} ${pricingUnit || 'units'} total`}
+      </div>
+    </div>
+  );
+}
+
+export default SavingsCalculator;
@@ -0,0 +1,11 @@
+import React from 'react';
+import { shortageBadge } from '../engine';
+
+// FDA drug shortage status of a record; renders nothing when the shortages feed does not list its NDC
+function ShortageBadge({ record }) {
+  const badge = shortageBadge(record);
+  if (!badge) return null;
+  return <span className={`shortage-badge ${badge.tone}`} title={badge.title}>{badge.label}</span>;
+}
+
+export default ShortageBadge;
@@ -0,0 +1,105 @@
+import React from 'react';
+import { watchChanges, formatNdc11, normalizeMedNdc } from '../engine';
+
+const FIELD_LABELS = {
+  nadac_per_unit: 'NADAC per unit',
+  classification_for_rate_setting: 'Classification',
+  explanation_code: 'Explanation code',
+};
+
+const formatValue = (field, value) => {
+  if (value === '') return '--';
+  return field === 'nadac_per_unit' ? `$${parseFloat(value).toFixed(5)}` : value;
+};
+
+// Review state of one entry against its worker status ({ current, cheaperGeneric }; undefined while loading)
+export const watchItemReview = (item, status) => {
+  if (!status) return { loading: true, missing: false, changes: [], newCheaperGeneric: false };
+  const changes = watchChanges(item, status.current);
+  const cheaperNdc = status.cheaperGeneric ? normalizeMedNdc(status.cheaperGeneric.ndc) : null;
+  return {
+    loading: false,
+    missing: !status.current,
+    changes,
+    newCheaperGeneric: !!cheaperNdc && cheaperNdc !== item.cheaperGenericNdc,
+  };
+};
+
+function Watchlist({ items, status, importError, onOpen, onRemove, onAcknowledge, onExport, onImport }) {
+  return (
+    <div className="watchlist">
+      <div className="watchlist-header">
+        <h2>⭐ Watchlist</h2>
+        <div className="watchlist-actions">
+          <button className="watchlist-button" onClick={onExport} disabled={items.length === 0}>Export JSON</button>
+          <label className="watchlist-button">
+            Import JSON
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={(e) => {
+                if (e.target.files[0]) onImport(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </div>
+      </div>
+      {importError && <p className="watchlist-error" role="alert">Import failed: {importError}</p>}
+      {items.length === 0 ? (
+        <p className="watchlist-empty">No watched drugs yet. Use "☆ Watch" on a selected medicine to pin it here.</p>
+      ) : (
+        <ul className="watchlist-items">
+          {items.map(item => {
+            const st = status ? status.get(item.ndc) : undefined;
+            const review = watchItemReview(item, st);
+            const flagged = review.changes.length > 0 || review.newCheaperGeneric;
+            return (
+              <li key={item.ndc} className={`watch-item ${flagged ? 'changed' : ''} ${review.missing ? 'missing' : ''}`}>
+                <div className="watch-item-title">
+                  <strong>{item.ndc_description || '--'}</strong>
+                  <span className="watch-item-ndc">NDC {formatNdc11(item.ndc)}</span>
+                </div>
+                <div className="watch-item-meta">
+                  Pinned {item.addedAt ? item.addedAt.slice(0, 10) : '--'} at {formatValue('nadac_per_unit', item.snapshot.nadac_per_unit)}
+                  {item.pricing_unit ? ` per ${item.pricing_unit}` : ''}
+                  {item.snapshot.as_of_date ? ` (data as of ${item.snapshot.as_of_date})` : ''}
+                </div>
+                {review.loading && <div className="watch-item-status">Checking current data...</div>}
+                {review.missing && <div className="watch-item-status">Not in the current dataset</div>}
+                {review.changes.length > 0 && (
+                  <table className="watch-item-changes">
+                    <tbody>
+                      {review.changes.map(c => (
+                        <tr key={c.field}>
+                          <th>{FIELD_LABELS[c.field]}</th>
+                          <td className="old-value">{formatValue(c.field, c.previous)}</td>
+                          <td>→</td>
+                          <td className="new-value">{formatValue(c.field, c.current)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {st && st.cheaperGeneric && (
+                  <div className="watch-item-cheaper">
+                    {review.newCheaperGeneric && <span className="new-badge">New</span>}
+                    Cheaper generic: {st.cheaperGeneric.ndc_description} (NDC {formatNdc11(st.cheaperGeneric.ndc)}) at {formatValue('nadac_per_unit', st.cheaperGeneric.nadac_per_unit)}
+                    {st.cheaperGeneric.pricing_unit ? ` per ${st.cheaperGeneric.pricing_unit}` : ''}
+                  </div>
+                )}
+                <div className="watch-item-buttons">
+                  <button onClick={() => onOpen(item.ndc)} disabled={review.missing}>Open</button>
+                  {flagged && <button onClick={() => onAcknowledge(item.ndc)}>Mark reviewed</button>}
+                  <button onClick={() => onRemove(item.ndc)}>Remove</button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default Watchlist;
@@ -0,0 +1,37 @@
+import { percentChangeOver } from '../PriceHistoryChart';
+
+const point = (effective_date, nadac_per_unit) => ({ effective_date, nadac_per_unit });
+
+// Weekly-ish NADAC points over a year, latest last
+const points = [
+  point('2023-01-04', 2.0),
+  point('2023-06-07', 1.6),
+  point('2023-10-04', 1.25),
+  point('2023-11-29', 1.0),
+  point('2024-01-03', 1.1),
+];
+
+describe('percentChangeOver', () => {
+  it.each([
+    // the price in effect 30 days before 2024-01-03 was set on 2023-11-29
+    [30, 10],
+    // 90 days back: 2023-10-05 falls after the 2023-10-04 point
+    [90, -12],
+    [364, -45],
+  ])('compares the latest price with the one in effect %i days earlier', (days, pct) => {
+    expect(percentChangeOver(points, days)).toBeCloseTo(pct);
+  });
+
+  it('is null when the history does not reach back far enough', () => {
+    // 365 days before 2024-01-03 is a day before the first point
+    expect(percentChangeOver(points, 365)).toBeNull();
+    expect(percentChangeOver([point('2024-01-03', 1)], 30)).toBeNull();
+    expect(percentChangeOver([], 30)).toBeNull();
+    expect(percentChangeOver(undefined, 30)).toBeNull();
+  });
+
+  it('is null when the base price is zero or missing', () => {
+    expect(percentChangeOver([point('2023-01-04', 0), point('2024-01-03', 1)], 30)).toBeNull();
+    expect(percentChangeOver([point('2023-01-04', null), point('2024-01-03', 1)], 30)).toBeNull();
+  });
+});
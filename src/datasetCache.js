@@ -0,0 +1,16 @@
+/*
+  Cache naming for the service worker's dataset caches (one cache per manifest datasetVersion)
+  - datasetCacheName(version): the cache holding that version's files
+  - staleDatasetCaches(names, activeVersion): dataset caches to delete once `activeVersion` is active;
+    caches of other apps on the origin are left alone
+*/
+export const DATASET_CACHE_PREFIX = 'medicine-search-dataset-v-';
+
+export function datasetCacheName(version) {
+  return `${DATASET_CACHE_PREFIX}${version}`;
+}
+
+export function staleDatasetCaches(names, activeVersion) {
+  const keep = datasetCacheName(activeVersion);
+  return names.filter(n => n.startsWith(DATASET_CACHE_PREFIX) && n !== keep);
+}
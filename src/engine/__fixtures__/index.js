@@ -0,0 +1,17 @@
+// Loads the fixture chunks the same way the UI does: manifest first, then every listed chunk
+const manifest = require('./chunks-manifest.json');
+
+const chunks = {
+  'enriched-chunk-1.json': require('./enriched-chunk-1.json'),
+  'enriched-chunk-2.json': require('./enriched-chunk-2.json'),
+};
+
+function loadFixtureChunks() {
+  return manifest.chunks.map(ch => chunks[ch.filename]);
+}
+
+function loadFixtureRecords() {
+  return loadFixtureChunks().flat();
+}
+
+module.exports = { loadFixtureChunks, loadFixtureRecords };
@@ -0,0 +1,100 @@
+const { selectMedicine, packagesOf, findAlternatives, findRelated, rankAlternatives, dedupKey } = require('..');
+const { loadFixtureRecords } = require('../__fixtures__');
+
+const records = loadFixtureRecords();
+const ndcs = (list) => list.map(r => r.ndc);
+
+describe('selectMedicine', () => {
+  it('returns null when no record has the exact description', () => {
+    expect(selectMedicine(records, 'metformin hcl 500 mg tablet')).toBeNull();
+  });
+
+  it('prefers the first exact match with FDA data and keeps every exact match', () => {
+    const selected = selectMedicine(records, 'METFORMIN HCL 500 MG TABLET');
+    expect(selected.ndc).toBe('00093104801');
+    expect(selected.__bestMatcher.labelerName).toBe('Teva');
+    expect(selected.fda_nonproprietary_name).toBe('METFORMIN HYDROCHLORIDE');
+    expect(ndcs(selected.allMatches)).toEqual(['00093104801', '00093104810', '65862000899', '99999000001']);
+  });
+});
+
+describe('packagesOf', () => {
+  it('lists every package of the description by unit price, unpriced last', () => {
+    const selected = selectMedicine(records, 'METFORMIN HCL 500 MG TABLET');
+    expect(ndcs(packagesOf(selected))).toEqual(['65862000899', '00093104801', '00093104810', '99999000001']);
+  });
+
+  it('is empty without a selection', () => {
+    expect(packagesOf(null)).toEqual([]);
+  });
+});
+
+describe('findRelated', () => {
+  it('matches by FDA brand/generic name substring and skips records without FDA data', () => {
+    const selected = selectMedicine(records, 'GLUCOPHAGE 500 MG TABLET');
+    const related = ndcs(findRelated(records, selected));
+    expect(related).toContain('00093505301'); // GLIPIZIDE AND METFORMIN HYDROCHLORIDE contains the generic name
+    expect(related).toContain('68012000201'); // branded records are related; exclusion happens later
+    expect(related).not.toContain('99999000001');
+    expect(related).not.toContain('68180098101');
+  });
+});
+
+describe('findAlternatives', () => {
+  it('excludes branded records', () => {
+    const selected = selectMedicine(records, 'GLUCOPHAGE 500 MG TABLET');
+    const alternatives = findAlternatives(records, selected);
+    expect(alternatives.every(r => r.classification_for_rate_setting !== 'B')).toBe(true);
+    expect(ndcs(alternatives)).not.toContain('68012000201');
+  });
+
+  it('excludes the selection and anything sharing its description | price | labeler key', () => {
+    const selected = selectMedicine(records, 'METFORMIN HCL 500 MG TABLET');
+    const alternatives = findAlternatives(records, selected);
+    expect(ndcs(alternatives)).not.toContain('00093104801');
+    expect(ndcs(alternatives)).not.toContain('00093104810');
+    expect(alternatives.some(r => dedupKey(r) === dedupKey(selected))).toBe(false);
+  });
+
+  it('de-duplicates by description | price | labeler', () => {
+    const selected = selectMedicine(records, 'GLUCOPHAGE 500 MG TABLET');
+    const keys = findAlternatives(records, selected).map(dedupKey);
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(ndcs(findAlternatives(records, selected))).not.toContain('00093104810');
+  });
+
+  it('drops candidates with a different active ingredient set', () => {
+    const selected = selectMedicine(records, 'GLUCOPHAGE 500 MG TABLET');
+    expect(ndcs(findAlternatives(records, selected))).not.toContain('00093505301');
+  });
+
+  it('orders exact strength first, then nearest strength', () => {
+    const selected = selectMedicine(records, 'GLUCOPHAGE 500 MG TABLET');
+    expect(ndcs(findAlternatives(records, selected))).toEqual([
+      '00093104801', // 500 mg, Teva
+      '65862000899', // 500 mg, Aurobindo
+      '00378071201', // 500 mg ER (form filtering is a UI concern)
+      '00093104901', // 850 mg
+      '00093727601', // 1000 mg
+    ]);
+  });
+
+  it('drops candidates without ingredient data when the selection\'s ingredient set is known', () => {
+    const selected = selectMedicine(records, 'GLUCOPHAGE 500 MG TABLET');
+    expect(ndcs(findRelated(records, selected))).toContain('10135000116');
+    expect(ndcs(findAlternatives(records, selected))).not.toContain('10135000116');
+  });
+
+  it('keeps candidates without ingredient data, after the others, when the selection\'s set is unknown', () => {
+    const rec = (ndc, ingredients) => ({
+      ndc,
+      fdaMatches: [{ genericName: 'METFORMIN', activeIngredientsDetailed: ingredients && ingredients.map(name => ({ name })) }],
+    });
+    const unknown = rec('00000000001');
+    expect(ndcs(rankAlternatives([rec('00000000002'), rec('00000000003', ['METFORMIN'])], unknown))).toEqual(['00000000003', '00000000002']);
+  });
+
+  it('returns nothing for a record without FDA context', () => {
+    expect(findAlternatives(records, records.find(r => r.ndc === '99999000001'))).toEqual([]);
+  });
+});
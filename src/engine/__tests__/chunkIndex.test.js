@@ -0,0 +1,69 @@
+const {
+  tokenize, buildInvertedIndex, locateDescription, chunksForAlternatives,
+  selectMedicine, findAlternatives, LruCache,
+} = require('..');
+const { loadFixtureChunks, loadFixtureRecords } = require('../__fixtures__');
+
+const chunks = loadFixtureChunks();
+const index = buildInvertedIndex(chunks);
+const recordsIn = (chunkIndices) => chunkIndices.flatMap(c => chunks[c]);
+
+describe('tokenize', () => {
+  it('lowercases, splits on punctuation and drops one-character tokens', () => {
+    expect(tokenize('Metformin HCl 500 MG/5 ML (A)')).toEqual(['metformin', 'hcl', '500', 'mg', 'ml']);
+  });
+});
+
+describe('locateDescription', () => {
+  it('finds every record sharing a description', () => {
+    const positions = locateDescription(index, 'METFORMIN HCL 500 MG TABLET');
+    const found = positions.map(([c, o]) => chunks[c][o].ndc_description);
+    expect(found.length).toBeGreaterThan(0);
+    expect(found).toContain('METFORMIN HCL 500 MG TABLET');
+  });
+
+  it('returns nothing for unknown terms and null when nothing is indexable', () => {
+    expect(locateDescription(index, 'NOTADRUG 5 MG')).toEqual([]);
+    expect(locateDescription(index, 'a')).toBeNull();
+  });
+});
+
+describe('chunksForAlternatives', () => {
+  it('loads enough chunks to reproduce the full alternatives list', () => {
+    const all = loadFixtureRecords();
+    const description = 'GLUCOPHAGE 500 MG TABLET';
+    const located = Array.from(new Set(locateDescription(index, description).map(([c]) => c)));
+    const selected = selectMedicine(recordsIn(located), description);
+    expect(selected).not.toBeNull();
+    const needed = chunksForAlternatives(index, selected, chunks.length);
+    const ndcs = (records) => findAlternatives(records, selected).map(r => r.ndc);
+    expect(ndcs(recordsIn(needed))).toEqual(ndcs(all));
+  });
+
+  it('still narrows on names with a one-character word', () => {
+    const vitamin = (ndc, ndc_description, fda) => ({ ndc, ndc_description, fdaMatches: [fda] });
+    const b12Chunks = [
+      [vitamin('00000000001', 'VITAMIN B 12 1000 MCG TABLET', { genericName: 'Vitamin B 12', activeIngredientsDetailed: [{ name: 'CYANOCOBALAMIN' }] })],
+      [vitamin('00000000002', 'B-12 1000 MCG TABLET', { brandName: 'Vitamin B 12 Extra', genericName: 'B-12' })],
+      [vitamin('00000000003', 'VITAMIN C 500 MG TABLET', { genericName: 'Vitamin C', activeIngredientsDetailed: [{ name: 'ASCORBIC ACID' }] })],
+    ];
+    const selected = b12Chunks[0][0];
+    expect(chunksForAlternatives(buildInvertedIndex(b12Chunks), selected, b12Chunks.length)).toEqual([0, 1]);
+  });
+
+  it('needs no chunks for a record without FDA data', () => {
+    expect(chunksForAlternatives(index, { ndc_description: 'X', fdaMatches: [] }, chunks.length)).toEqual([]);
+  });
+});
+
+describe('LruCache', () => {
+  it('evicts the least recently used entry', () => {
+    const cache = new LruCache(2);
+    cache.set('a', 1).set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    expect(cache.has('a')).toBe(true);
+    expect(cache.has('b')).toBe(false);
+    expect(cache.size).toBe(2);
+  });
+});
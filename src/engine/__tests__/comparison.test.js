@@ -0,0 +1,54 @@
+const {
+  comparisonRows, toggleComparisonItem, inComparison, dosePrice, COMPARISON_FIELDS, COMPARE_MAX, DEFAULT_REGIMEN,
+} = require('..');
+const { loadFixtureRecords } = require('../__fixtures__');
+
+const records = loadFixtureRecords();
+const byNdc = (ndc) => records.find(r => r.ndc === ndc);
+const brand = byNdc('00087606005');
+const generic = byNdc('65862000899');
+
+describe('comparisonRows', () => {
+  const rows = comparisonRows([brand, generic], { quantity: 2, frequency: 1, days: 30 });
+  const row = (key) => rows.find(r => r.key === key);
+
+  it('has one row per field with a value per record', () => {
+    expect(rows.map(r => r.key)).toEqual(COMPARISON_FIELDS.map(f => f.key));
+    expect(rows.every(r => r.values.length === 2)).toBe(true);
+  });
+
+  it('formats prices, including the price of one dose', () => {
+    expect(row('nadacPerUnit').values).toEqual(['$1.86000', '$0.01476']);
+    expect(row('dosePrice').values[0]).toBe('$3.7200 (2 EA)');
+    expect(row('classification').values).toEqual(['Brand', 'Generic']);
+  });
+
+  it('flags differing fields only', () => {
+    expect(row('nadacPerUnit').differs).toBe(true);
+    expect(row('pricingUnit').differs).toBe(false);
+    expect(row('routes')).toMatchObject({ values: ['ORAL', 'ORAL'], differs: false });
+  });
+
+  it('never flags a single record', () => {
+    expect(comparisonRows([brand], DEFAULT_REGIMEN).some(r => r.differs)).toBe(false);
+  });
+});
+
+describe('comparison set', () => {
+  it('toggles records by NDC', () => {
+    const items = toggleComparisonItem([], brand);
+    expect(inComparison(items, { ...brand })).toBe(true);
+    expect(toggleComparisonItem(items, { ndc: '00087-6060-05' })).toEqual([]);
+  });
+
+  it('stops at the maximum size', () => {
+    let items = [];
+    for (const rec of records) items = toggleComparisonItem(items, rec);
+    expect(items).toHaveLength(COMPARE_MAX);
+  });
+
+  it('prices a dose only with a positive quantity', () => {
+    expect(dosePrice(generic, { quantity: 0 })).toBeNull();
+    expect(dosePrice(generic, { quantity: 3 })).toBeCloseTo(0.04428);
+  });
+});
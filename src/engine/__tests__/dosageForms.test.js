@@ -0,0 +1,79 @@
+const { formGroupFor, summarizeFormGroups, defaultFormsFor, filterByFormAndTe } = require('..');
+const equivalence = require('../../config/dosage-form-equivalence.json');
+
+// A record whose best FDA match has the given form and routes
+const rec = (dosageForm, routes = ['ORAL']) => ({ fdaMatches: [{ dosageForm, routes }] });
+
+describe('formGroupFor', () => {
+  it('puts substitutable forms in one group per route set', () => {
+    expect(formGroupFor(rec('CAPSULE'))).toEqual({ key: 'capsule|ORAL', label: 'Capsule (ORAL)' });
+    expect(formGroupFor(rec('capsule,  gelatin coated')).key).toBe('capsule|ORAL');
+    expect(formGroupFor(rec('TABLET, FILM COATED')).key).toBe(formGroupFor(rec('TABLET')).key);
+  });
+
+  it('keeps extended and delayed release forms apart from immediate release', () => {
+    expect(formGroupFor(rec('CAPSULE, EXTENDED RELEASE'))).toEqual({ key: 'capsule-er|ORAL', label: 'Capsule, extended release (ORAL)' });
+    expect(formGroupFor(rec('TABLET, DELAYED RELEASE')).key).toBe('tablet-dr|ORAL');
+  });
+
+  it('keys by the sorted route set', () => {
+    expect(formGroupFor(rec('SOLUTION', ['oral'])).key).toBe('solution|ORAL');
+    expect(formGroupFor(rec('SOLUTION', ['TOPICAL', 'ORAL']))).toEqual({ key: 'solution|ORAL,TOPICAL', label: 'Solution (ORAL, TOPICAL)' });
+    expect(formGroupFor(rec('CREAM', []))).toEqual({ key: 'cream', label: 'Cream' });
+  });
+
+  it('gives unlisted forms their own group and records without FDA data the unknown group', () => {
+    expect(formGroupFor(rec('PATCH, EXTENDED RELEASE', ['TRANSDERMAL']))).toEqual({
+      key: 'patch, extended release|TRANSDERMAL',
+      label: 'Patch, Extended Release (TRANSDERMAL)',
+    });
+    expect(formGroupFor({ fdaMatches: [] })).toEqual({ key: 'unknown', label: 'Unknown form' });
+    expect(formGroupFor(null).key).toBe('unknown');
+  });
+});
+
+describe('summarizeFormGroups', () => {
+  it('counts records per group in first-seen order', () => {
+    const records = [rec('TABLET'), rec('CAPSULE'), rec('TABLET, FILM COATED'), { fdaMatches: [] }];
+    expect(summarizeFormGroups(records).map(g => [g.key, g.count])).toEqual([['tablet|ORAL', 2], ['capsule|ORAL', 1], ['unknown', 1]]);
+  });
+});
+
+describe('defaultFormsFor', () => {
+  it('defaults to the selection\'s own group, or every group when its form is unknown', () => {
+    expect(defaultFormsFor(rec('TABLET, FILM COATED'))).toEqual(['tablet|ORAL']);
+    expect(defaultFormsFor({ fdaMatches: [] })).toBeNull();
+  });
+});
+
+describe('filterByFormAndTe', () => {
+  const withTe = (dosageForm, teCode) => ({ ...rec(dosageForm), orangeBook: { teCode } });
+  const records = [withTe('TABLET', 'AB'), withTe('TABLET', 'BX'), withTe('CAPSULE', 'AB1'), rec('TABLET')];
+
+  it('keeps the listed form groups, or every group for null', () => {
+    expect(filterByFormAndTe(records, { forms: ['tablet|ORAL'] })).toEqual([records[0], records[1], records[3]]);
+    expect(filterByFormAndTe(records, { forms: [] })).toEqual([]);
+    expect(filterByFormAndTe(records)).toEqual(records);
+  });
+
+  it('narrows to AB-rated records on request', () => {
+    expect(filterByFormAndTe(records, { abRatedOnly: true })).toEqual([records[0], records[2]]);
+    expect(filterByFormAndTe(records, { forms: ['tablet|ORAL'], abRatedOnly: true })).toEqual([records[0]]);
+  });
+});
+
+describe('dosage form equivalence config', () => {
+  const release = (form) => (/EXTENDED/.test(form) ? 'extended' : /DELAYED/.test(form) ? 'delayed' : 'immediate');
+
+  it('lists every group id and form once', () => {
+    const forms = equivalence.groups.flatMap(g => g.forms.map(f => f.toUpperCase()));
+    expect(new Set(forms).size).toBe(forms.length);
+    expect(new Set(equivalence.groups.map(g => g.id)).size).toBe(equivalence.groups.length);
+  });
+
+  it('never mixes release mechanisms within a group', () => {
+    for (const g of equivalence.groups) {
+      expect(new Set(g.forms.map(release))).toEqual(new Set([release(g.forms[0])]));
+    }
+  });
+});
@@ -0,0 +1,65 @@
+const {
+  selectMedicine, findAlternatives, buildExportRows, toCsv, toXlsx, renderPrintReport, EXPORT_COLUMNS, DEFAULT_REGIMEN,
+} = require('..');
+const { loadFixtureRecords } = require('../__fixtures__');
+
+const records = loadFixtureRecords();
+const selected = selectMedicine(records, 'GLUCOPHAGE 500 MG TABLET');
+const alternatives = findAlternatives(records, selected);
+const rows = buildExportRows(selected, alternatives, DEFAULT_REGIMEN, { asOfDate: '12/11/2024' });
+
+// Text of one stored zip entry; the writer never compresses
+function zipEntry(bytes, name) {
+  const text = Buffer.from(bytes).toString('utf8');
+  const start = text.indexOf(`${name}<?xml`) + name.length;
+  return text.slice(start, text.indexOf('</worksheet>', start));
+}
+
+describe('buildExportRows', () => {
+  it('puts the selection first and includes every alternative', () => {
+    expect(rows).toHaveLength(alternatives.length + 1);
+    expect(rows[0]).toMatchObject({ role: 'Selected', ndc: selected.ndc, classification: 'Brand', savings: null });
+    expect(rows.slice(1).every(r => r.role === 'Alternative')).toBe(true);
+  });
+
+  it('computes regimen cost and savings against the selection', () => {
+    const generic = rows.find(r => r.ndc === '65862000899');
+    expect(generic).toMatchObject({ nadacPerUnit: 0.01476, pricingUnit: 'EA', regimenCost: 0.89, savings: 110.71 });
+    expect(rows.every(r => r.asOfDate)).toBe(true);
+  });
+});
+
+describe('export formats', () => {
+  it('writes CSV with a header row and quotes cells that need it', () => {
+    const csv = toCsv([{ ...rows[0], description: 'A, "B"' }]);
+    const [header, line] = csv.split('\r\n');
+    expect(header.split(',')).toHaveLength(EXPORT_COLUMNS.length);
+    expect(line).toContain('"A, ""B"""');
+  });
+
+  it('keeps spreadsheets from running text cells as formulas, but leaves numbers alone', () => {
+    const formulas = { description: '=HYPERLINK("http://x")', labeler: '@SUM(A1)', strength: '+1', pricingUnit: '-EA', savings: -12.5 };
+    const line = toCsv([{ ...rows[1], ...formulas }]).split('\r\n')[1];
+    expect(line).toContain(`"'=HYPERLINK(""http://x"")"`);
+    expect(line).toContain(",'@SUM(A1),");
+    expect(line).toContain(",'+1,");
+    expect(line).toContain(",'-EA,");
+    expect(line).toContain(',-12.5,');
+  });
+
+  it('writes a workbook with the rows and an About sheet', () => {
+    const bytes = toXlsx(rows, { title: 'Glucophage', asOfDate: '12/11/2024', regimen: DEFAULT_REGIMEN });
+    expect(Buffer.from(bytes.slice(0, 2)).toString()).toBe('PK');
+    const sheet = zipEntry(bytes, 'xl/worksheets/sheet1.xml');
+    expect(sheet).toContain(`<t xml:space="preserve">${selected.ndc}</t>`);
+    expect(sheet).toContain('<v>0.01476</v>');
+    expect(zipEntry(bytes, 'xl/worksheets/sheet2.xml')).toContain('12/11/2024');
+  });
+
+  it('renders a print report with the as-of date', () => {
+    const html = renderPrintReport(rows, { title: 'Glucophage <500>', asOfDate: '12/11/2024', regimen: DEFAULT_REGIMEN });
+    expect(html).toContain('Glucophage &lt;500&gt;');
+    expect(html).toContain('Data as of 12/11/2024');
+    expect(html.match(/<tr class=/g)).toHaveLength(rows.length);
+  });
+});
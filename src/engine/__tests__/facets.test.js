@@ -0,0 +1,70 @@
+const {
+  describeFacets, descriptionAllowed, matchesRecordFilter, explanationCodesOf, explanationCodeLabel,
+  suggest, fuzzySearch, buildFuzzyIndex, DEFAULT_RECORD_FILTER,
+} = require('..');
+
+const row = (ndc, description, fields) => ({
+  ndc, ndc_description: description, pharmacy_type_indicator: 'C/I', otc: 'N', explanation_code: '1', ...fields,
+});
+const records = [
+  row('00000000001', 'MIXED 10 MG TABLET', { classification_for_rate_setting: 'B' }),
+  row('00000000002', 'MIXED 10 MG TABLET', { classification_for_rate_setting: 'G', explanation_code: '4, 5' }),
+  row('00000000003', 'OTC 20 MG TABLET', { classification_for_rate_setting: 'G', otc: 'Y', pharmacy_type_indicator: 'I' }),
+];
+const descFacets = describeFacets(records);
+const descriptions = Object.keys(descFacets).sort();
+// The classification map keeps one class per description; facets know both
+const descClassMap = { 'MIXED 10 MG TABLET': 'B', 'OTC 20 MG TABLET': 'G' };
+
+describe('describeFacets', () => {
+  it('collects every code among a description\'s NDCs', () => {
+    expect(descFacets['MIXED 10 MG TABLET']).toEqual({
+      classifications: ['B', 'G'], pharmacyTypes: ['C', 'I'], otc: ['N'], explanationCodes: ['1', '4', '5'],
+    });
+    expect(descFacets['OTC 20 MG TABLET']).toMatchObject({ pharmacyTypes: ['I'], otc: ['Y'] });
+  });
+});
+
+describe('descriptionAllowed', () => {
+  it('lists a description with brand and generic NDCs under both filters', () => {
+    const allowed = (drugFilter) => descriptions.filter(d => descriptionAllowed(d, { drugFilter, descClassMap, descFacets }));
+    expect(allowed('branded')).toEqual(['MIXED 10 MG TABLET']);
+    expect(allowed('generic')).toEqual(['MIXED 10 MG TABLET', 'OTC 20 MG TABLET']);
+    // Without facets only the mapped class counts
+    expect(descriptionAllowed('MIXED 10 MG TABLET', { drugFilter: 'generic', descClassMap })).toBe(false);
+  });
+
+  it('applies the record filter to the description\'s facets', () => {
+    const allowed = (recordFilter) => descriptions.filter(d => descriptionAllowed(d, { descFacets, recordFilter }));
+    expect(allowed({ ...DEFAULT_RECORD_FILTER, otc: 'otc' })).toEqual(['OTC 20 MG TABLET']);
+    expect(allowed({ ...DEFAULT_RECORD_FILTER, pharmacyType: 'chain' })).toEqual(['MIXED 10 MG TABLET']);
+    expect(allowed({ ...DEFAULT_RECORD_FILTER, explanationCodes: ['5', '6'] })).toEqual(['MIXED 10 MG TABLET']);
+  });
+});
+
+describe('matchesRecordFilter', () => {
+  it('filters records on their own codes', () => {
+    expect(records.filter(r => matchesRecordFilter(r, { ...DEFAULT_RECORD_FILTER, explanationCodes: ['4'] })).map(r => r.ndc))
+      .toEqual(['00000000002']);
+    expect(records.filter(r => matchesRecordFilter(r, { ...DEFAULT_RECORD_FILTER, otc: 'rx', pharmacyType: 'independent' })).map(r => r.ndc))
+      .toEqual(['00000000001', '00000000002']);
+    expect(records.every(r => matchesRecordFilter(r, DEFAULT_RECORD_FILTER))).toBe(true);
+  });
+});
+
+describe('explanation codes', () => {
+  it('splits multi-code values and labels unknown codes', () => {
+    expect(explanationCodesOf({ explanation_code: '4, 5' })).toEqual(['4', '5']);
+    expect(explanationCodesOf({})).toEqual([]);
+    expect(explanationCodeLabel('1')).toMatch(/survey/);
+    expect(explanationCodeLabel('42')).toBe('Explanation code 42');
+  });
+});
+
+describe('suggestion filters', () => {
+  it('narrow substring and fuzzy suggestions alike', () => {
+    const options = { drugFilter: 'generic', descClassMap, descFacets, recordFilter: { ...DEFAULT_RECORD_FILTER, otc: 'rx' } };
+    expect(suggest(descriptions, 'tablet', options)).toEqual(['MIXED 10 MG TABLET']);
+    expect(fuzzySearch(buildFuzzyIndex(records), 'tablet', options).map(r => r.description)).toEqual(['MIXED 10 MG TABLET']);
+  });
+});
@@ -0,0 +1,140 @@
+const zlib = require('zlib');
+const {
+  parseCsv, formularyLines, formularyLineResult, summarizeFormulary, formularyCsv,
+  buildXlsx, readXlsxRows, selectMedicine, findAlternatives, cheaperGeneric,
+} = require('..');
+const { loadFixtureRecords } = require('../__fixtures__');
+
+const records = loadFixtureRecords();
+const byNdc = (ndc) => records.find(r => r.ndc === ndc);
+
+describe('parseCsv', () => {
+  it('handles quotes, CRLF and a byte order mark', () => {
+    expect(parseCsv('\uFEFFNDC,Name\r\n"00087-6060-05","A, ""B"""\r\n')).toEqual([
+      ['NDC', 'Name'],
+      ['00087-6060-05', 'A, "B"'],
+    ]);
+  });
+
+  it('detects semicolon and tab delimiters', () => {
+    expect(parseCsv('ndc;qty\n00087606005;30')).toEqual([['ndc', 'qty'], ['00087606005', '30']]);
+    expect(parseCsv('ndc\tqty\n00087606005\t30')[1]).toEqual(['00087606005', '30']);
+  });
+});
+
+describe('formularyLines', () => {
+  it('finds the NDC and quantity columns by header', () => {
+    const out = formularyLines(parseCsv('Drug,Package NDC,Qty Dispensed\nx,00087-6060-05,"1,200"\n,,\ny,00093104801,\n'));
+    expect(out).toMatchObject({ ndcColumn: 'Package NDC', quantityColumn: 'Qty Dispensed' });
+    expect(out.lines).toEqual([
+      { line: 2, input: '00087-6060-05', quantity: 1200 },
+      { line: 4, input: '00093104801', quantity: null },
+    ]);
+  });
+
+  it('reads a header-less list from the first column', () => {
+    expect(formularyLines([['00087606005'], ['65862000899']])).toMatchObject({ ndcColumn: null, lines: [{ line: 1 }, { line: 2 }] });
+  });
+
+  it('restores leading zeros of numeric spreadsheet NDCs', () => {
+    expect(formularyLines([['NDC'], [87606005]]).lines[0].input).toBe('00087606005');
+  });
+
+  it('rejects an empty file', () => {
+    expect(() => formularyLines([[''], []])).toThrow('no rows');
+  });
+});
+
+describe('formulary pricing', () => {
+  const selected = selectMedicine(records, 'GLUCOPHAGE 500 MG TABLET');
+  const cheapest = cheaperGeneric(selected, findAlternatives(records, selected));
+
+  it('prices a line against its cheapest comparable generic', () => {
+    const r = formularyLineResult({ line: 2, input: '00087-6060-05', quantity: 60 }, selected, cheapest);
+    expect(r).toMatchObject({
+      status: 'matched', ndc: '00087606005', classification: 'B', lineCost: 111.6,
+      genericNdc: '65862000899', genericPerUnit: 0.01476, savings: 110.71,
+    });
+  });
+
+  it('flags unmatched lines and totals the rest', () => {
+    const results = [
+      formularyLineResult({ line: 2, input: '00087606005', quantity: 60 }, selected, cheapest),
+      formularyLineResult({ line: 3, input: '65862000899', quantity: null }, byNdc('65862000899'), null),
+      formularyLineResult({ line: 4, input: '12345678901', quantity: 1 }, null, null, 'notFound'),
+      formularyLineResult({ line: 5, input: 'abc', quantity: 1 }, null, null, 'invalid'),
+    ];
+    expect(results[2]).toMatchObject({ status: 'notFound', lineCost: null, savings: null });
+    expect(summarizeFormulary(results)).toEqual({
+      lines: 4, matched: 2, notFound: 1, invalid: 1, withSavings: 1, currentTotal: 111.61, totalSavings: 110.71, optimizedTotal: 0.9,
+    });
+    const csv = formularyCsv(results).split('\r\n');
+    expect(csv[0]).toMatch(/^Line,Uploaded NDC,Status,/);
+    expect(csv[3]).toContain('Not in dataset');
+  });
+});
+
+describe('readXlsxRows', () => {
+  const sheets = [{ name: 'Formulary', rows: [['NDC', 'Quantity'], ['00087606005', 30], ['A & B', '', 2]] }];
+
+  it('reads the first sheet of a stored workbook', async () => {
+    expect(await readXlsxRows(buildXlsx(sheets))).toEqual([['NDC', 'Quantity'], ['00087606005', 30], ['A & B', '', 2]]);
+  });
+
+  it('drops control characters XML cannot hold and keeps tabs, newlines and non-ASCII text', async () => {
+    const rows = [['A\u0000B\u0008C\u000bD\u001fE', 'tab\there\nnext', 'café 💊']];
+    expect(await readXlsxRows(buildXlsx([{ name: 'Sheet', rows }]))).toEqual([['ABCDE', 'tab\there\nnext', 'café 💊']]);
+  });
+
+  it('drops unpaired surrogates and U+FFFE/U+FFFF but keeps characters outside the BMP', async () => {
+    const rows = [['a\ud83db\udc8ac\ufffe\uffffd', '💊 pill']];
+    expect(await readXlsxRows(buildXlsx([{ name: 'Sheet', rows }]))).toEqual([['abcd', '💊 pill']]);
+  });
+
+  it('reads deflated entries and shared strings', async () => {
+    // Re-pack the sheet the way spreadsheet apps do: shared strings and compressed entries
+    const sheet = '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>'
+      + '<row r="3"><c r="B3"><v>12.5</v></c></row></sheetData></worksheet>';
+    const shared = '<sst><si><t>NDC</t></si><si><r><t>Qu</t></r><r><t>antity</t></r></si></sst>';
+    const parts = { 'xl/worksheets/sheet1.xml': sheet, 'xl/sharedStrings.xml': shared };
+    const bytes = deflatedZip(parts);
+    const inflateRaw = async (data) => new Uint8Array(zlib.inflateRawSync(data));
+    expect(await readXlsxRows(bytes, inflateRaw)).toEqual([['NDC', 'Quantity'], [], ['', 12.5]]);
+    await expect(readXlsxRows(bytes)).rejects.toThrow('Unsupported XLSX compression');
+  });
+});
+
+// Minimal zip with deflated entries (CRC left at zero; the reader does not check it)
+function deflatedZip(parts) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(parts)) {
+    const nameBytes = Buffer.from(name);
+    const data = zlib.deflateRawSync(Buffer.from(text));
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(text.length, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    local.push(header, nameBytes, data);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(text.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+  const dir = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(parts).length, 8);
+  end.writeUInt16LE(Object.keys(parts).length, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...local, dir, end]));
+}
@@ -0,0 +1,56 @@
+const { buildFuzzyIndex, fuzzySearch, resolveDescription, editDistance } = require('..');
+const { loadFixtureRecords } = require('../__fixtures__');
+
+const index = buildFuzzyIndex(loadFixtureRecords());
+const descriptionsFor = (q, opts) => fuzzySearch(index, q, opts).map(r => r.description);
+
+describe('editDistance', () => {
+  it('counts transpositions as one edit and stops past the limit', () => {
+    expect(editDistance('metfromin', 'metformin', 2)).toBe(1);
+    expect(editDistance('metformn', 'metformin', 2)).toBe(1);
+    expect(editDistance('aspirin', 'metformin', 2)).toBe(3);
+  });
+});
+
+describe('fuzzySearch', () => {
+  it('tolerates typos', () => {
+    expect(descriptionsFor('metformn 500')).toContain('METFORMIN HCL 500 MG TABLET');
+  });
+
+  it('matches tokens in any order', () => {
+    expect(descriptionsFor('500 mg metformin')[0]).toBe('METFORMIN HCL 500 MG TABLET');
+  });
+
+  it('finds descriptions through FDA brand and ingredient names', () => {
+    const [hit] = fuzzySearch(index, 'metformin hydrochloride').filter(r => r.description === 'GLUCOPHAGE 500 MG TABLET');
+    expect(hit.via).toContain('METFORMIN HYDROCHLORIDE');
+    expect(descriptionsFor('glipizide')).toEqual(['GLIPIZIDE-METFORMIN 5-500 MG TAB']);
+  });
+
+  it('ranks exact and prefix hits first', () => {
+    expect(descriptionsFor('metformin hcl 850 mg tablet')[0]).toBe('METFORMIN HCL 850 MG TABLET');
+    expect(descriptionsFor('glu')).toEqual(['GLUMETZA ER 500 MG TABLET', 'GLUCOPHAGE 500 MG TABLET'].sort((a, b) => a.length - b.length));
+  });
+
+  it('returns highlight spans for the matched description text', () => {
+    const [hit] = fuzzySearch(index, 'lisin 10');
+    expect(hit.description).toBe('LISINOPRIL 10 MG TABLET');
+    expect(hit.spans).toEqual([[0, 5], [11, 13]]);
+  });
+
+  it('requires numbers to match exactly or as a prefix', () => {
+    expect(descriptionsFor('lisinopril 20')).toEqual([]);
+  });
+
+  it('applies the branded/generic filter', () => {
+    const descClassMap = { 'GLUCOPHAGE 500 MG TABLET': 'B', 'METFORMIN HCL 500 MG TABLET': 'G' };
+    expect(descriptionsFor('metformin 500', { drugFilter: 'branded', descClassMap })).toEqual(['GLUCOPHAGE 500 MG TABLET']);
+  });
+});
+
+describe('resolveDescription', () => {
+  it('resolves free text to the top-ranked description', () => {
+    expect(resolveDescription(index, 'glucophage 500')).toBe('GLUCOPHAGE 500 MG TABLET');
+    expect(resolveDescription(index, 'zzzz')).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+const { selectMedicine, findAlternatives, genericEquivalent } = require('..');
+const { loadFixtureRecords } = require('../__fixtures__');
+
+const records = loadFixtureRecords();
+const regimen = { quantity: 1, frequency: 2, days: 30 };
+
+// GLUCOPHAGE 500 MG ($1.86 EA); our cheapest comparable generic is 65862000899 ($0.01476)
+function glucophage(fields = {}) {
+  const selected = { ...selectMedicine(records, 'GLUCOPHAGE 500 MG TABLET'), ...fields };
+  return { selected, alternatives: findAlternatives(records, selected) };
+}
+
+describe('genericEquivalent', () => {
+  it('is null for generic selections', () => {
+    const selected = selectMedicine(records, 'METFORMIN HCL 500 MG TABLET', { ndc: '65862000899' });
+    expect(genericEquivalent(selected, findAlternatives(records, selected))).toBeNull();
+  });
+
+  it('prices the CMS corresponding generic and agrees with a close match', () => {
+    const { selected, alternatives } = glucophage({
+      corresponding_generic_drug_nadac_per_unit: '0.0145',
+      corresponding_generic_drug_effective_date: '01/10/2024',
+    });
+    const eq = genericEquivalent(selected, alternatives, { regimen });
+    expect(eq.cms.perUnit).toBeCloseTo(0.0145);
+    expect(eq.cms.effectiveDate).toBe('01/10/2024');
+    expect(eq.cms.savings.perUnit).toBeCloseTo(1.8455);
+    expect(eq.cms.savings.pct).toBeCloseTo(99.22, 1);
+    expect(eq.cms.savings.regimen).toBeCloseTo(110.73);
+    expect(eq.matched.record.ndc).toBe('65862000899');
+    expect(eq.matched.savings.regimen).toBeCloseTo(110.71);
+    expect(eq.status).toBe('agree');
+  });
+
+  it('flags a matched generic priced outside the tolerance', () => {
+    const { selected, alternatives } = glucophage({ corresponding_generic_drug_nadac_per_unit: '0.0123' });
+    const eq = genericEquivalent(selected, alternatives);
+    expect(eq.status).toBe('differ');
+    expect(eq.difference).toBeCloseTo(0.00246);
+    expect(eq.differencePct).toBeCloseTo(20, 0);
+    expect(eq.cms.savings.regimen).toBeNull();
+    expect(genericEquivalent(selected, alternatives, { tolerance: 0.25 }).status).toBe('agree');
+  });
+
+  it('reports when only one of the two sources has a generic', () => {
+    const { selected, alternatives } = glucophage({ corresponding_generic_drug_nadac_per_unit: '0.0123' });
+    expect(genericEquivalent(selected, []).status).toBe('cms-only');
+    const plain = glucophage({ corresponding_generic_drug_nadac_per_unit: undefined });
+    expect(genericEquivalent(plain.selected, plain.alternatives).status).toBe('matched-only');
+    expect(genericEquivalent(plain.selected, []).status).toBe('none');
+    expect(alternatives.length).toBeGreaterThan(0);
+  });
+});
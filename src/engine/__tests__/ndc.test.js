@@ -0,0 +1,61 @@
+const { parseNdc, formatNdc11, normalizeMedNdc, openFdaHyphenZeroFill, packageNdcToNdc11 } = require('..');
+
+describe('parseNdc', () => {
+  it.each([
+    ['0093-1048-01', '4-4-2'],
+    ['00093-1048-01', '5-4-2'],
+    ['00093 1048 01', '5-4-2'],
+    ['00093104801', '11-digit'],
+  ])('reads %s as %s', (input, format) => {
+    expect(parseNdc(input)).toEqual({ format, candidates: ['00093104801'] });
+  });
+
+  it('pads the short segment of 5-3-2 and 5-4-1 labels', () => {
+    expect(parseNdc('65862-899-01').candidates).toEqual(['65862089901']);
+    expect(parseNdc('65862-0008-9').candidates).toEqual(['65862000809']);
+  });
+
+  it('lists every label layout for an unhyphenated 10-digit NDC', () => {
+    expect(parseNdc('0093104801')).toEqual({
+      format: '10-digit',
+      candidates: ['00093104801', '00931004801', '00931048001'],
+    });
+  });
+
+  it.each([
+    ['UPC-A', '300931048011'],
+    ['EAN-13', '0300931048011'],
+    ['GTIN-14', '00300931048011'],
+    ['GS1 with parentheses', '(01)00300931048011(17)251231'],
+    ['GS1 element string', '010030093104801117251231'],
+  ])('extracts the NDC from a %s barcode', (_, input) => {
+    const parsed = parseNdc(input);
+    expect(parsed.format).toBe('barcode');
+    expect(parsed.candidates[0]).toBe('00093104801');
+  });
+
+  it('rejects bad check digits and unknown layouts', () => {
+    expect(parseNdc('300931048010')).toBeNull();
+    expect(parseNdc('0093-104-801')).toBeNull();
+    expect(parseNdc('metformin')).toBeNull();
+    expect(parseNdc('')).toBeNull();
+  });
+});
+
+describe('NDC helpers', () => {
+  it('formats 11-digit NDCs as 5-4-2', () => {
+    expect(formatNdc11('00093104801')).toBe('00093-1048-01');
+  });
+
+  it('keeps the pipeline normalizations', () => {
+    expect(normalizeMedNdc(' 00093-1048-01 ')).toBe('00093104801');
+    expect(openFdaHyphenZeroFill('0093-1048')).toBe('009301048');
+  });
+
+  it('converts openFDA package NDCs to the 11-digit NADAC form', () => {
+    expect(packageNdcToNdc11('0093-1048-01')).toBe('00093104801');
+    expect(packageNdcToNdc11('65862-008-05')).toBe('65862000805');
+    expect(packageNdcToNdc11('0093104801')).toBeNull();
+    expect(packageNdcToNdc11(undefined)).toBeNull();
+  });
+});
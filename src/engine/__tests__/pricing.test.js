@@ -0,0 +1,31 @@
+const { totalUnits, compareSavings, sortBySavings } = require('..');
+
+const regimen = { quantity: 1, frequency: 2, days: 30 };
+const brand = { ndc: 'B', nadac_per_unit: '1.00', pricing_unit: 'EA' };
+const cheap = { ndc: 'C', nadac_per_unit: '0.10', pricing_unit: 'EA' };
+const cheaper = { ndc: 'D', nadac_per_unit: '0.05', pricing_unit: 'EA' };
+const liquid = { ndc: 'L', nadac_per_unit: '0.01', pricing_unit: 'ML' };
+
+describe('pricing', () => {
+  it('multiplies quantity, frequency and days', () => {
+    expect(totalUnits(regimen)).toBe(60);
+    expect(totalUnits({ quantity: 0, frequency: 2, days: 30 })).toBeNull();
+  });
+
+  it('computes dollar and percent savings versus the selection', () => {
+    const cmp = compareSavings(brand, cheap, regimen);
+    expect(cmp.comparable).toBe(true);
+    expect(cmp.savings).toBeCloseTo(54);
+    expect(cmp.savingsPct).toBeCloseTo(90);
+  });
+
+  it('refuses to compare mismatched pricing units', () => {
+    const cmp = compareSavings(brand, liquid, regimen);
+    expect(cmp.comparable).toBe(false);
+    expect(cmp.savings).toBeNull();
+  });
+
+  it('sorts by savings and keeps non-comparable records last in their original order', () => {
+    expect(sortBySavings([liquid, cheap, cheaper], brand, regimen).map(r => r.ndc)).toEqual(['D', 'C', 'L']);
+  });
+});
@@ -0,0 +1,30 @@
+const { clinicalDrugName, hasRxNorm, groupByClinicalDrug } = require('..');
+
+const glucophage = { ndc: '00087606005', rxnorm: { rxcui: '861008', name: 'metformin hydrochloride 500 MG Oral Tablet [Glucophage]' } };
+const metformin500 = { ndc: '65862000899', rxnorm: { rxcui: '861007', name: 'metformin hydrochloride 500 MG Oral Tablet' } };
+const metformin850 = { ndc: '00093104901', rxnorm: { rxcui: '861010', name: 'metformin hydrochloride 850 MG Oral Tablet' } };
+const otherMetformin500 = { ndc: '00093104801', rxnorm: { rxcui: '861007', name: 'metformin hydrochloride 500 MG Oral Tablet' } };
+const unmapped = { ndc: '68180098101' };
+
+describe('rxnorm', () => {
+  it('drops the bracketed brand from branded concept names', () => {
+    expect(clinicalDrugName(glucophage)).toBe('metformin hydrochloride 500 MG Oral Tablet');
+    expect(clinicalDrugName(unmapped)).toBe('');
+    expect(hasRxNorm([unmapped])).toBe(false);
+    expect(hasRxNorm([unmapped, metformin850])).toBe(true);
+  });
+
+  it("groups by clinical drug with the selection's group first and unmapped records last", () => {
+    const groups = groupByClinicalDrug([metformin850, unmapped, metformin500, otherMetformin500], glucophage);
+    expect(groups.map(g => [g.name, g.rxcuis, g.records.map(r => r.ndc)])).toEqual([
+      ['metformin hydrochloride 500 MG Oral Tablet', ['861007'], ['65862000899', '00093104801']],
+      ['metformin hydrochloride 850 MG Oral Tablet', ['861010'], ['00093104901']],
+      ['', [], ['68180098101']],
+    ]);
+  });
+
+  it('names concepts without a name by RxCUI', () => {
+    const [group] = groupByClinicalDrug([{ ndc: '1', rxnorm: { rxcui: '123' } }]);
+    expect(group.name).toBe('RxCUI 123');
+  });
+});
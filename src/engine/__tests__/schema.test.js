@@ -0,0 +1,49 @@
+const Ajv = require('ajv');
+const { SCHEMAS, SCHEMA_VERSION, checkSchemaVersion, buildInvertedIndex } = require('..');
+const { loadFixtureChunks, loadFixtureRecords } = require('../__fixtures__');
+const fixtureManifest = require('../__fixtures__/chunks-manifest.json');
+
+const records = loadFixtureRecords();
+const ajv = new Ajv({ allErrors: true });
+const validate = (kind, data) => {
+  const fn = ajv.getSchema(SCHEMAS[kind].$id) || ajv.compile(SCHEMAS[kind]);
+  return fn(data) ? [] : fn.errors.map(e => `${e.dataPath} ${e.message}`);
+};
+
+describe('output schemas', () => {
+  it('accept the fixture dataset', () => {
+    expect(validate('chunkManifest', fixtureManifest)).toEqual([]);
+    expect(records.flatMap(r => validate('enrichedRecord', r))).toEqual([]);
+    const descriptions = Array.from(new Set(records.map(r => r.ndc_description))).sort();
+    expect(validate('searchIndex', { descriptions })).toEqual([]);
+    expect(validate('descriptionClassification', { 'GLUCOPHAGE 500 MG TABLET': 'B', 'METFORMIN HCL 500 MG TABLET': 'G' })).toEqual([]);
+    expect(validate('invertedIndex', buildInvertedIndex(loadFixtureChunks()))).toEqual([]);
+  });
+
+  it('reject fields outside the contract and malformed values', () => {
+    const rec = records.find(r => r.ndc === '00087606005');
+    expect(validate('enrichedRecord', { ...rec, fda_labeler_name: 'Bristol' })).toEqual([' should NOT have additional properties']);
+    expect(validate('enrichedRecord', { ...rec, ndc: '0087-6060-05' })).toEqual(['.ndc should match pattern "^[0-9]{11}$"']);
+    expect(validate('enrichedRecord', { ...rec, nadac_per_unit: 1.86 })).toEqual(['.nadac_per_unit should be string']);
+  });
+
+  it('require a schema version on the manifest', () => {
+    const { schemaVersion, ...unversioned } = fixtureManifest;
+    expect(validate('chunkManifest', unversioned)).toEqual([" should have required property 'schemaVersion'"]);
+  });
+});
+
+describe('checkSchemaVersion', () => {
+  it('accepts manifests of the current version', () => {
+    expect(checkSchemaVersion(fixtureManifest)).toBe(fixtureManifest);
+    expect(fixtureManifest.schemaVersion).toBe(SCHEMA_VERSION);
+  });
+
+  it('explains what to do about other versions', () => {
+    const { schemaVersion, ...unversioned } = fixtureManifest;
+    expect(() => checkSchemaVersion(unversioned)).toThrow(/predates schema versioning.*process:raw/);
+    expect(() => checkSchemaVersion({ ...fixtureManifest, schemaVersion: SCHEMA_VERSION + 1 })).toThrow(/update the app/);
+    expect(() => checkSchemaVersion({ ...fixtureManifest, schemaVersion: 0 })).toThrow(/rerun npm run process:raw/);
+    expect(() => checkSchemaVersion([])).toThrow(/not a chunk manifest/);
+  });
+});
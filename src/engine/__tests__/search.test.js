@@ -0,0 +1,36 @@
+const { suggest } = require('..');
+
+const descriptions = [
+  'GLUCOPHAGE 500 MG TABLET',
+  'METFORMIN HCL 500 MG TABLET',
+  'METFORMIN HCL 850 MG TABLET',
+  'METFORMIN HCL ER 500 MG TABLET',
+];
+const descClassMap = {
+  'GLUCOPHAGE 500 MG TABLET': 'B',
+  'METFORMIN HCL 500 MG TABLET': 'G',
+  'METFORMIN HCL 850 MG TABLET': 'G',
+};
+
+describe('suggest', () => {
+  it('requires at least two characters', () => {
+    expect(suggest(descriptions, 'm')).toEqual([]);
+  });
+
+  it('matches a case-insensitive substring', () => {
+    expect(suggest(descriptions, '500 mg')).toEqual([
+      'GLUCOPHAGE 500 MG TABLET',
+      'METFORMIN HCL 500 MG TABLET',
+      'METFORMIN HCL ER 500 MG TABLET',
+    ]);
+  });
+
+  it('applies the branded/generic filter and drops unclassified descriptions', () => {
+    expect(suggest(descriptions, '500', { drugFilter: 'branded', descClassMap })).toEqual(['GLUCOPHAGE 500 MG TABLET']);
+    expect(suggest(descriptions, '500', { drugFilter: 'generic', descClassMap })).toEqual(['METFORMIN HCL 500 MG TABLET']);
+  });
+
+  it('limits the number of suggestions', () => {
+    expect(suggest(descriptions, 'tablet', { limit: 2 })).toHaveLength(2);
+  });
+});
@@ -0,0 +1,22 @@
+const { shortageBadge } = require('..');
+
+describe('shortageBadge', () => {
+  it('labels known statuses and describes them in the title', () => {
+    const badge = shortageBadge({
+      shortage: { status: 'Current', updateDate: '2024-11-20', availability: 'Limited Availability', reason: 'Demand increase for the drug' },
+    });
+    expect(badge).toEqual({
+      label: 'Shortage',
+      tone: 'current',
+      title: 'FDA drug shortage: Current · updated 2024-11-20 · Limited Availability · Demand increase for the drug',
+    });
+    expect(shortageBadge({ shortage: { status: 'to be discontinued' } }).tone).toBe('discontinued');
+    expect(shortageBadge({ shortage: { status: 'Resolved' } }).label).toBe('Shortage resolved');
+  });
+
+  it('shows unknown statuses as they are and nothing for unlisted NDCs', () => {
+    expect(shortageBadge({ shortage: { status: 'Under Review' } }).label).toBe('Under Review');
+    expect(shortageBadge({ ndc: '00093104801' })).toBeNull();
+    expect(shortageBadge(null)).toBeNull();
+  });
+});
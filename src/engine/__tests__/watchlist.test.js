@@ -0,0 +1,62 @@
+const {
+  selectMedicine, findAlternatives, cheaperGeneric, createWatchItem, watchChanges, acknowledgeWatchItem,
+  serializeWatchlist, parseWatchlist, mergeWatchlists,
+} = require('..');
+const { loadFixtureRecords } = require('../__fixtures__');
+
+const records = loadFixtureRecords();
+const NOW = new Date('2025-01-06T12:00:00Z');
+
+describe('cheaperGeneric', () => {
+  it('picks the cheapest same-form, same-strength, same-unit alternative', () => {
+    const selected = selectMedicine(records, 'GLUCOPHAGE 500 MG TABLET');
+    expect(cheaperGeneric(selected, findAlternatives(records, selected)).ndc).toBe('65862000899');
+  });
+
+  it('returns null when nothing is cheaper', () => {
+    const selected = selectMedicine(records, 'METFORMIN HCL 500 MG TABLET', { ndc: '65862000899' });
+    expect(cheaperGeneric(selected, findAlternatives(records, selected))).toBeNull();
+  });
+});
+
+describe('watch items', () => {
+  const rec = {
+    ndc: '00087-6060-05',
+    ndc_description: 'GLUCOPHAGE 500 MG TABLET',
+    nadac_per_unit: '1.86',
+    classification_for_rate_setting: 'B',
+    explanation_code: '1',
+    as_of_date: '12/11/2024',
+  };
+
+  it('reports no changes until a watched field differs', () => {
+    const item = createWatchItem(rec, null, NOW);
+    expect(item.ndc).toBe('00087606005');
+    expect(watchChanges(item, { ...rec, nadac_per_unit: '1.860', as_of_date: '12/18/2024' })).toEqual([]);
+    expect(watchChanges(item, { ...rec, nadac_per_unit: '1.91', classification_for_rate_setting: 'G' })).toEqual([
+      { field: 'nadac_per_unit', previous: '1.86', current: '1.91' },
+      { field: 'classification_for_rate_setting', previous: 'B', current: 'G' },
+    ]);
+  });
+
+  it('takes the current values as the new baseline when acknowledged', () => {
+    const current = { ...rec, explanation_code: '4' };
+    const item = acknowledgeWatchItem(createWatchItem(rec, null, NOW), current, { ndc: '65862000899' });
+    expect(watchChanges(item, current)).toEqual([]);
+    expect(item.cheaperGenericNdc).toBe('65862000899');
+  });
+
+  it('round-trips through export and import, dropping invalid and duplicate NDCs', () => {
+    const item = createWatchItem(rec, null, NOW);
+    const exported = JSON.stringify(serializeWatchlist([item, { ...item }, { ndc: '123' }], NOW));
+    expect(parseWatchlist(exported)).toEqual([item]);
+    expect(() => parseWatchlist({ items: [] })).toThrow('Not a watchlist export');
+  });
+
+  it('keeps existing baselines when merging an import', () => {
+    const item = createWatchItem(rec, null, NOW);
+    const other = { ...item, ndc: '65862000899' };
+    const merged = mergeWatchlists([item], [{ ...item, snapshot: {} }, other]);
+    expect(merged).toEqual([item, other]);
+  });
+});
@@ -0,0 +1,115 @@
+// Selection, alternative discovery and ranking (formerly inline in App.handleMedicineSelect)
+
+const { bestMatcherOf, dedupKey } = require('./records');
+const { ingredientSetKey, strengthDistance } = require('./strength');
+
+// Preferred record among several: the first with FDA data, else the first
+function preferRecord(records) {
+  if (!Array.isArray(records) || records.length === 0) return null;
+  return records.find(r => bestMatcherOf(r)) || records[0];
+}
+
+// Selected medicine for an exact description, decorated with its FDA context and every record sharing the description.
+// `ndc` picks that package among them instead of the preferred record.
+function selectMedicine(records, description, { ndc } = {}) {
+  const exactMatches = (records || []).filter(med => med.ndc_description === description);
+  const medicine = (ndc && exactMatches.find(med => med.ndc === ndc)) || preferRecord(exactMatches);
+  if (!medicine) return null;
+  const bestMatcher = bestMatcherOf(medicine);
+  return {
+    ...medicine,
+    __bestMatcher: bestMatcher,
+    fda_nonproprietary_name: (bestMatcher && bestMatcher.genericName) ? bestMatcher.genericName : medicine.fda_nonproprietary_name,
+    allMatches: exactMatches,
+  };
+}
+
+// Every package (NDC) sharing the selection's description, cheapest unit price first; unpriced records last
+function packagesOf(selected) {
+  const seen = new Set();
+  const unique = [];
+  for (const r of (selected && selected.allMatches) || []) {
+    if (seen.has(r.ndc)) continue;
+    seen.add(r.ndc);
+    unique.push(r);
+  }
+  const price = (r) => {
+    const n = parseFloat(r.nadac_per_unit);
+    return Number.isFinite(n) ? n : Infinity;
+  };
+  return unique.sort((a, b) => price(a) - price(b) || String(a.ndc).localeCompare(String(b.ndc)));
+}
+
+// Records whose FDA brand/generic names contain the selection's best brand or generic name (case-insensitive)
+function findRelated(records, selected) {
+  const bestMatcher = bestMatcherOf(selected);
+  const searchKeys = new Set();
+  if (bestMatcher && bestMatcher.genericName) searchKeys.add(bestMatcher.genericName.toLowerCase());
+  if (bestMatcher && bestMatcher.brandName) searchKeys.add(bestMatcher.brandName.toLowerCase());
+  const out = [];
+  const seen = new Set();
+  for (const r of records || []) {
+    const ms = Array.isArray(r.fdaMatches) ? r.fdaMatches : [];
+    if (!ms.length) continue;
+    const ok = ms.some(m => {
+      const bn = (m.brandName || '').toLowerCase();
+      const gn = (m.genericName || '').toLowerCase();
+      for (const k of searchKeys) {
+        if (k && ((bn && bn.includes(k)) || (gn && gn.includes(k)))) return true;
+      }
+      return false;
+    });
+    if (!ok) continue;
+    const key = `${r.ndc}|${r.ndc_description}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(r);
+  }
+  return out;
+}
+
+// Drop branded records and the selection itself, then de-dup by description | price | labeler
+function excludeAndDedup(related, selected) {
+  const selectedKey = dedupKey(selected);
+  const seenKeys = new Set();
+  const unique = [];
+  for (const r of related) {
+    if ((r.classification_for_rate_setting || '').toUpperCase() === 'B') continue;
+    const key = dedupKey(r);
+    if (key === selectedKey || seenKeys.has(key)) continue;
+    seenKeys.add(key);
+    unique.push(r);
+  }
+  return unique;
+}
+
+// Same active ingredient set required once the selection's set is known (records without a known set
+// are dropped then; otherwise they rank after records with one), then exact strength matches, then
+// nearest strength by normalized value
+function rankAlternatives(candidates, selected) {
+  const selectedSet = ingredientSetKey(selected);
+  const scored = [];
+  for (const r of candidates) {
+    const set = ingredientSetKey(r);
+    if (selectedSet && set !== selectedSet) continue;
+    const distance = strengthDistance(selected.strength, r.strength);
+    scored.push({ rec: r, tier: set ? 0 : 1, exact: distance < 1e-9 ? 0 : 1, distance });
+  }
+  scored.sort((a, b) => (a.tier - b.tier) || (a.exact - b.exact) || (a.distance === b.distance ? 0 : (a.distance < b.distance ? -1 : 1)));
+  return scored.map(s => s.rec);
+}
+
+function findAlternatives(records, selected) {
+  if (!selected) return [];
+  return rankAlternatives(excludeAndDedup(findRelated(records, selected), selected), selected);
+}
+
+module.exports = {
+  preferRecord,
+  selectMedicine,
+  packagesOf,
+  findRelated,
+  excludeAndDedup,
+  rankAlternatives,
+  findAlternatives,
+};
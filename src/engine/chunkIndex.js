@@ -0,0 +1,155 @@
+/*
+  Inverted index over enriched chunks so the UI fetches only the chunks it needs
+  - terms: token -> flat postings [chunk, offset, chunk, offset, ...] from ndc_description and FDA brand/generic names
+  - ingredients: active ingredient set key -> chunk indices holding records with that set
+  - ndcs: 11-digit NDC -> chunk indices holding it (NDC lookup)
+  Built by scripts/raw-process.js with the same tokenizer used to query it here.
+*/
+
+const { ingredientSetKey } = require('./strength');
+const { normalizeMedNdc } = require('./ndc');
+
+const INDEX_VERSION = 1;
+const MIN_TOKEN_LENGTH = 2;
+
+function tokenize(text) {
+  const tokens = (text || '').toString().toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length >= MIN_TOKEN_LENGTH);
+  return Array.from(new Set(tokens));
+}
+
+function recordTerms(rec) {
+  const terms = new Set(tokenize(rec.ndc_description));
+  for (const m of Array.isArray(rec.fdaMatches) ? rec.fdaMatches : []) {
+    for (const t of tokenize(m.brandName)) terms.add(t);
+    for (const t of tokenize(m.genericName)) terms.add(t);
+  }
+  return terms;
+}
+
+// Chunk order that keeps records with the same ingredient set together
+function ingredientSortKey(rec) {
+  return ingredientSetKey(rec) || `~${(rec.ndc_description || '').toLowerCase()}`;
+}
+
+function buildInvertedIndex(chunks) {
+  const terms = new Map();
+  const ingredients = new Map();
+  const ndcs = {};
+  chunks.forEach((records, c) => {
+    records.forEach((rec, o) => {
+      for (const t of recordTerms(rec)) {
+        const postings = terms.get(t);
+        if (postings) postings.push(c, o); else terms.set(t, [c, o]);
+      }
+      const ndc = normalizeMedNdc(rec.ndc);
+      if (ndc) {
+        if (!ndcs[ndc]) ndcs[ndc] = [];
+        if (!ndcs[ndc].includes(c)) ndcs[ndc].push(c);
+      }
+      const key = ingredientSetKey(rec);
+      if (key) {
+        if (!ingredients.has(key)) ingredients.set(key, new Set());
+        ingredients.get(key).add(c);
+      }
+    });
+  });
+  const sortedTerms = {};
+  for (const t of Array.from(terms.keys()).sort()) sortedTerms[t] = terms.get(t);
+  const ingredientChunks = {};
+  for (const [key, set] of ingredients) ingredientChunks[key] = Array.from(set).sort((a, b) => a - b);
+  return { version: INDEX_VERSION, terms: sortedTerms, ingredients: ingredientChunks, ndcs };
+}
+
+function postingKeys(postings) {
+  const out = new Set();
+  for (let i = 0; i < postings.length; i += 2) out.add(`${postings[i]}:${postings[i + 1]}`);
+  return out;
+}
+
+function intersect(sets) {
+  if (sets.length === 0) return new Set();
+  const [smallest, ...rest] = [...sets].sort((a, b) => a.size - b.size);
+  return new Set([...smallest].filter(k => rest.every(s => s.has(k))));
+}
+
+function toChunkList(keys) {
+  return Array.from(new Set([...keys].map(k => parseInt(k.split(':')[0], 10)))).sort((a, b) => a - b);
+}
+
+// [chunk, offset] positions of records whose description contains every token of `description`;
+// null when the description has no indexable tokens
+function locateDescription(index, description) {
+  const tokens = tokenize(description);
+  if (tokens.length === 0) return null;
+  const sets = tokens.map(t => postingKeys(index.terms[t] || []));
+  return [...intersect(sets)].map(k => k.split(':').map(n => parseInt(n, 10)));
+}
+
+// Postings for records with a token that passes `test`; used for the partial first/last tokens of a substring
+function postingsMatching(index, test) {
+  const out = new Set();
+  for (const term of Object.keys(index.terms)) {
+    if (!test(term)) continue;
+    for (const k of postingKeys(index.terms[term])) out.add(k);
+  }
+  return out;
+}
+
+// Positions of records whose FDA name may contain `name` as a substring (a superset of the engine's match)
+function locateNameSubstring(index, name) {
+  const tokens = (name || '').toString().toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  if (tokens.length === 0) return null;
+  const sets = [];
+  if (tokens.length === 1) {
+    sets.push(postingsMatching(index, term => term.includes(tokens[0])));
+  } else {
+    const first = tokens[0];
+    const last = tokens[tokens.length - 1];
+    sets.push(postingsMatching(index, term => term.endsWith(first)));
+    sets.push(postingsMatching(index, term => term.startsWith(last)));
+    // Middle tokens are whole words; ones too short to be indexed ("b" in "vitamin b 12") cannot narrow
+    for (const t of tokens.slice(1, -1)) {
+      if (t.length >= MIN_TOKEN_LENGTH) sets.push(postingKeys(index.terms[t] || []));
+    }
+  }
+  return intersect(sets);
+}
+
+// Chunks holding any of the given 11-digit NDCs; null when the index predates NDC postings
+function chunksForNdcs(index, ndcs) {
+  if (!index.ndcs) return null;
+  const chunks = new Set();
+  for (const ndc of ndcs) for (const c of index.ndcs[ndc] || []) chunks.add(c);
+  return Array.from(chunks).sort((a, b) => a - b);
+}
+
+// Chunks needed to compute alternatives for `selected`: name-related records plus its ingredient group
+function chunksForAlternatives(index, selected, numberOfChunks) {
+  const fm = selected && Array.isArray(selected.fdaMatches) ? selected.fdaMatches : [];
+  const best = fm.length > 0 ? fm[0] : null;
+  if (!best) return [];
+  const chunks = new Set();
+  for (const name of [best.genericName, best.brandName]) {
+    if (!name) continue;
+    const keys = locateNameSubstring(index, name);
+    if (keys === null) {
+      // Nothing to narrow on; every chunk may hold a match
+      for (let c = 0; c < numberOfChunks; c++) chunks.add(c);
+      continue;
+    }
+    for (const c of toChunkList(keys)) chunks.add(c);
+  }
+  const key = ingredientSetKey(selected);
+  for (const c of (key && index.ingredients[key]) || []) chunks.add(c);
+  return Array.from(chunks).sort((a, b) => a - b);
+}
+
+module.exports = {
+  INDEX_VERSION,
+  tokenize,
+  ingredientSortKey,
+  buildInvertedIndex,
+  locateDescription,
+  chunksForNdcs,
+  chunksForAlternatives,
+};
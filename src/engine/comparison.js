@@ -0,0 +1,124 @@
+// Side-by-side comparison of a few records: one row per field, flagging fields whose values differ
+
+const { bestMatcherOf, resolveLabeler, packageDescriptionOf, getTeCode } = require('./records');
+const { formatRecordStrength } = require('./strength');
+const { formatNdc11, normalizeMedNdc } = require('./ndc');
+const { explanationCodesOf, explanationCodeLabel } = require('./facets');
+const { clinicalDrugName } = require('./rxnorm');
+
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 5;
+
+const CLASSIFICATION_LABELS = { B: 'Brand', G: 'Generic' };
+const OTC_LABELS = { Y: 'Yes (OTC)', N: 'No (Rx)' };
+
+function text(v) {
+  return v === undefined || v === null || v === 'NULL' ? '' : v.toString().trim();
+}
+
+function unitPrice(rec) {
+  const n = parseFloat(rec && rec.nadac_per_unit);
+  return Number.isFinite(n) ? n : null;
+}
+
+// NADAC for one dose of the regimen (quantity per dose x unit price)
+function dosePrice(rec, regimen) {
+  const price = unitPrice(rec);
+  const quantity = parseFloat(regimen && regimen.quantity);
+  if (price === null || !Number.isFinite(quantity) || quantity <= 0) return null;
+  return price * quantity;
+}
+
+const fdaField = (rec, pick) => {
+  const best = bestMatcherOf(rec);
+  return best ? pick(best) : '';
+};
+
+// Display value of each compared field; '' when the record has no value
+const COMPARISON_FIELDS = [
+  { key: 'ndc', label: 'NDC', value: rec => formatNdc11(text(rec.ndc)) },
+  { key: 'description', label: 'Description', value: rec => text(rec.ndc_description) },
+  { key: 'nadacPerUnit', label: 'NADAC per unit', value: rec => (unitPrice(rec) === null ? '' : `$${unitPrice(rec).toFixed(5)}`) },
+  {
+    key: 'dosePrice',
+    label: 'Price per dose',
+    value: (rec, regimen) => {
+      const p = dosePrice(rec, regimen);
+      return p === null ? '' : `$${p.toFixed(4)} (${regimen.quantity} ${text(rec.pricing_unit) || 'unit'})`;
+    },
+  },
+  { key: 'pricingUnit', label: 'Pricing unit', value: rec => text(rec.pricing_unit) },
+  {
+    key: 'classification',
+    label: 'Classification',
+    value: rec => CLASSIFICATION_LABELS[text(rec.classification_for_rate_setting).toUpperCase()] || text(rec.classification_for_rate_setting),
+  },
+  { key: 'otc', label: 'OTC', value: rec => OTC_LABELS[text(rec.otc).toUpperCase()] || text(rec.otc) },
+  { key: 'labeler', label: 'Labeler', value: rec => resolveLabeler(rec) },
+  { key: 'strength', label: 'Strength', value: rec => formatRecordStrength(rec) },
+  { key: 'dosageForm', label: 'Dosage form', value: rec => fdaField(rec, b => text(b.dosageForm)) },
+  { key: 'routes', label: 'Routes', value: rec => fdaField(rec, b => (b.routes || []).join(', ')) },
+  {
+    key: 'activeIngredients',
+    label: 'Active ingredients',
+    value: rec => fdaField(rec, b => (b.activeIngredientsDetailed || [])
+      .map(ai => [text(ai.name), text(ai.strength)].filter(Boolean).join(' '))
+      .filter(Boolean)
+      .join('; ')),
+  },
+  { key: 'package', label: 'Package', value: rec => packageDescriptionOf(rec) },
+  { key: 'teCode', label: 'TE code (Orange Book)', value: rec => getTeCode(rec) },
+  {
+    key: 'explanationCode',
+    label: 'Explanation code',
+    value: rec => explanationCodesOf(rec).map(c => `${c} (${explanationCodeLabel(c)})`).join('; '),
+  },
+  {
+    key: 'shortage',
+    label: 'FDA drug shortage',
+    value: rec => (rec.shortage ? [rec.shortage.status, rec.shortage.updateDate].filter(Boolean).join(', updated ') : ''),
+  },
+  {
+    key: 'rxnorm',
+    label: 'RxNorm clinical drug',
+    value: rec => (rec.rxnorm ? `${clinicalDrugName(rec) || '--'} (RxCUI ${rec.rxnorm.rxcui})` : ''),
+  },
+  { key: 'effectiveDate', label: 'Effective date', value: rec => text(rec.effective_date) },
+  { key: 'asOfDate', label: 'Data as of', value: rec => text(rec.as_of_date) },
+  {
+    key: 'matchConfidence',
+    label: 'Match confidence',
+    value: rec => (rec.matchConfidence ? `${rec.matchConfidence.level} (${Number(rec.matchConfidence.score).toFixed(2)})` : ''),
+  },
+];
+
+// Rows of the comparison table: { key, label, values (one per record), differs }
+function comparisonRows(records, regimen) {
+  return COMPARISON_FIELDS.map(field => {
+    const values = records.map(rec => field.value(rec, regimen));
+    const distinct = new Set(values.map(v => v.toUpperCase()));
+    return { key: field.key, label: field.label, values, differs: records.length > 1 && distinct.size > 1 };
+  });
+}
+
+const sameNdc = (a, b) => normalizeMedNdc(a.ndc) === normalizeMedNdc(b.ndc);
+
+function inComparison(items, rec) {
+  return !!rec && items.some(item => sameNdc(item, rec));
+}
+
+// Adds `rec` to the comparison set, or removes it when present; the set never grows past COMPARE_MAX
+function toggleComparisonItem(items, rec) {
+  if (inComparison(items, rec)) return items.filter(item => !sameNdc(item, rec));
+  return items.length >= COMPARE_MAX ? items : [...items, rec];
+}
+
+module.exports = {
+  COMPARE_MIN,
+  COMPARE_MAX,
+  COMPARISON_FIELDS,
+  dosePrice,
+  comparisonRows,
+  inComparison,
+  toggleComparisonItem,
+};
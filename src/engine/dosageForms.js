@@ -0,0 +1,63 @@
+// Dosage form and route grouping for alternatives, driven by config/dosage-form-equivalence.json
+
+const equivalence = require('../config/dosage-form-equivalence.json');
+const { bestMatcherOf, isAbRated } = require('./records');
+
+function normalizeForm(form) {
+  return (form || '').toString().trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+const FORM_TO_GROUP = new Map();
+for (const g of equivalence.groups || []) {
+  for (const f of g.forms || []) FORM_TO_GROUP.set(normalizeForm(f), g);
+}
+
+function titleCase(s) {
+  return s.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+}
+
+// Form group + route set for a record, from its best FDA match. Records without FDA data share one 'unknown' group.
+function formGroupFor(rec) {
+  const best = bestMatcherOf(rec);
+  const form = normalizeForm(best && best.dosageForm);
+  if (!form) return { key: 'unknown', label: 'Unknown form' };
+  const group = FORM_TO_GROUP.get(form);
+  const formId = group ? group.id : form.toLowerCase();
+  const formLabel = group ? group.label : titleCase(form);
+  const routes = Array.from(new Set((best.routes || []).map(normalizeForm).filter(Boolean))).sort();
+  return {
+    key: routes.length ? `${formId}|${routes.join(',')}` : formId,
+    label: routes.length ? `${formLabel} (${routes.join(', ')})` : formLabel,
+  };
+}
+
+// Ordered list of form groups present in `records`, with counts, in first-seen order
+function summarizeFormGroups(records) {
+  const groups = new Map();
+  for (const rec of records) {
+    const g = formGroupFor(rec);
+    const cur = groups.get(g.key);
+    if (cur) cur.count++; else groups.set(g.key, { ...g, count: 1 });
+  }
+  return Array.from(groups.values());
+}
+
+// Form group keys shown by default for a selection: its own group; null (every group) when its form is unknown
+function defaultFormsFor(rec) {
+  const group = formGroupFor(rec);
+  return group.key === 'unknown' ? null : [group.key];
+}
+
+// Alternatives in the form groups `forms` (null = every group), AB-rated only when `abRatedOnly`
+function filterByFormAndTe(records, { forms = null, abRatedOnly = false } = {}) {
+  let included = forms === null ? records : records.filter(r => forms.includes(formGroupFor(r).key));
+  if (abRatedOnly) included = included.filter(isAbRated);
+  return included;
+}
+
+module.exports = {
+  formGroupFor,
+  summarizeFormGroups,
+  defaultFormsFor,
+  filterByFormAndTe,
+};
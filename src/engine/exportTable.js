@@ -0,0 +1,168 @@
+/*
+  Export of a selection and its alternatives as CSV, XLSX or a printable HTML report
+  - One row per record: the selected medicine first, then every alternative in display order
+  - Each row carries the dataset as-of date so exported files can be filed for audit
+*/
+
+const { bestMatcherOf, resolveLabeler } = require('./records');
+const { formatRecordStrength } = require('./strength');
+const { formGroupFor } = require('./dosageForms');
+const { totalCost, totalUnits, compareSavings } = require('./pricing');
+const { buildXlsx } = require('./xlsx');
+
+const EXPORT_COLUMNS = [
+  { key: 'role', label: 'Role' },
+  { key: 'ndc', label: 'NDC' },
+  { key: 'description', label: 'Description' },
+  { key: 'nadacPerUnit', label: 'NADAC per unit' },
+  { key: 'pricingUnit', label: 'Pricing unit' },
+  { key: 'classification', label: 'Classification' },
+  { key: 'labeler', label: 'Labeler' },
+  { key: 'strength', label: 'Strength' },
+  { key: 'dosageForm', label: 'Dosage form' },
+  { key: 'regimenCost', label: 'Regimen cost' },
+  { key: 'savings', label: 'Savings vs selected' },
+  { key: 'savingsPercent', label: 'Savings %' },
+  { key: 'asOfDate', label: 'Data as of' },
+];
+
+const CLASSIFICATION_LABELS = { B: 'Brand', G: 'Generic' };
+
+function toNumber(v) {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function roundTo(n, digits) {
+  if (n === null || n === undefined || !Number.isFinite(n)) return null;
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function exportRow(rec, role, selected, regimen, asOfDate) {
+  const best = bestMatcherOf(rec);
+  const cls = (rec.classification_for_rate_setting || '').toString().toUpperCase();
+  const cmp = role === 'Selected' ? null : compareSavings(selected, rec, regimen);
+  return {
+    role,
+    ndc: rec.ndc || '',
+    description: rec.ndc_description || '',
+    nadacPerUnit: toNumber(rec.nadac_per_unit),
+    pricingUnit: rec.pricing_unit || '',
+    classification: CLASSIFICATION_LABELS[cls] || cls,
+    labeler: resolveLabeler(rec),
+    strength: formatRecordStrength(rec),
+    dosageForm: (best && best.dosageForm) || formGroupFor(rec).label,
+    regimenCost: roundTo(totalCost(rec, regimen), 2),
+    savings: cmp && cmp.comparable ? roundTo(cmp.savings, 2) : null,
+    savingsPercent: cmp && cmp.comparable ? roundTo(cmp.savingsPct, 1) : null,
+    asOfDate: rec.as_of_date || asOfDate || '',
+  };
+}
+
+// Rows for `selected` followed by every record in `alternatives`; `asOfDate` fills records without one
+function buildExportRows(selected, alternatives, regimen, { asOfDate } = {}) {
+  if (!selected) return [];
+  return [
+    exportRow(selected, 'Selected', selected, regimen, asOfDate),
+    ...(alternatives || []).map(rec => exportRow(rec, 'Alternative', selected, regimen, asOfDate)),
+  ];
+}
+
+// Text starting with = + - @ is prefixed with ' so spreadsheets do not run it as a formula
+// (descriptions and uploaded values are not ours); numbers are written as they are
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  const s = typeof v === 'number' ? String(v) : String(v).replace(/^[=+\-@]/, "'$&");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// RFC 4180 CSV with a header row. Spreadsheets that open CSV directly may drop NDC leading zeros;
+// the XLSX export keeps NDCs as text. `columns` defaults to the medicine export columns.
+function toCsv(rows, columns = EXPORT_COLUMNS) {
+  const lines = [columns.map(c => csvCell(c.label)).join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c.key])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Workbook with the rows and an "About" sheet describing the export
+function toXlsx(rows, { title, asOfDate, regimen, exportedAt = new Date() } = {}) {
+  const units = totalUnits(regimen);
+  return buildXlsx([
+    {
+      name: 'Medicines',
+      rows: [EXPORT_COLUMNS.map(c => c.label), ...rows.map(row => EXPORT_COLUMNS.map(c => row[c.key]))],
+    },
+    {
+      name: 'About',
+      rows: [
+        ['Report', title || ''],
+        ['Data as of', asOfDate || ''],
+        ['Exported at', exportedAt.toISOString()],
+        ['Regimen', regimen ? `${regimen.quantity} per dose x ${regimen.frequency} daily x ${regimen.days} days` : ''],
+        ['Units per regimen', units],
+        ['Source', 'CMS NADAC, enriched with openFDA NDC and FDA Orange Book data'],
+      ],
+    },
+  ]);
+}
+
+function escapeHtml(s) {
+  return String(s === undefined || s === null ? '' : s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatCell(key, v) {
+  if (v === null || v === undefined || v === '') return '--';
+  if (key === 'nadacPerUnit') return `$${v.toFixed(5)}`;
+  if (key === 'regimenCost' || key === 'savings') return `${v < 0 ? '-' : ''}$${Math.abs(v).toFixed(2)}`;
+  if (key === 'savingsPercent') return `${v.toFixed(1)}%`;
+  return v;
+}
+
+// Standalone print-styled HTML report of the rows
+function renderPrintReport(rows, { title, asOfDate, regimen, exportedAt = new Date() } = {}) {
+  const units = totalUnits(regimen);
+  const head = EXPORT_COLUMNS.map(c => `<th>${escapeHtml(c.label)}</th>`).join('');
+  const body = rows.map(row => `<tr class="${row.role === 'Selected' ? 'selected' : ''}">${
+    EXPORT_COLUMNS.map(c => `<td>${escapeHtml(formatCell(c.key, row[c.key]))}</td>`).join('')
+  }</tr>`).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title || 'Medicine report')}</title>
+<style>
+  @page { size: landscape; margin: 12mm; }
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a202c; font-size: 10pt; }
+  h1 { font-size: 14pt; margin: 0 0 4pt 0; }
+  p { margin: 0 0 8pt 0; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #a0aec0; padding: 3pt 5pt; text-align: left; vertical-align: top; }
+  th { background: #edf2f7; }
+  thead { display: table-header-group; }
+  tr { page-break-inside: avoid; }
+  tr.selected td { font-weight: 600; background: #ebf4ff; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title || 'Medicine report')}</h1>
+<p>Data as of ${escapeHtml(asOfDate || '--')} &middot; exported ${escapeHtml(exportedAt.toISOString())}${units === null ? '' : ` &middot; regimen costs for ${escapeHtml(units)} units`} &middot; ${rows.length} rows</p>
+<table><thead><tr>${head}</tr></thead><tbody>
+${body}
+</tbody></table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  buildExportRows,
+  toCsv,
+  toXlsx,
+  renderPrintReport,
+};
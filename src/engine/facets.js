@@ -0,0 +1,144 @@
+/*
+  NADAC rate-setting facets: classification (B/G), pharmacy type, OTC and explanation codes
+  - Records are filtered on their own fields; descriptions (suggestions) on the facets of all their
+    NDCs (description-facets.json, written by the pipeline with describeFacets)
+  - A description whose NDCs are classified differently (some B, some G) counts as both
+  - Record filter: { pharmacyType: 'all' | 'chain' | 'independent', otc: 'all' | 'otc' | 'rx', explanationCodes: [] }
+    (no codes = any code; several = any of them)
+*/
+
+// NADAC "Explanation Code" values (CMS NADAC data field definitions); a row may carry several
+const EXPLANATION_CODES = [
+  { code: '1', label: 'Calculated from the most recent survey' },
+  { code: '2', label: 'Survey average within ±2% of the current NADAC; carried forward' },
+  { code: '3', label: 'Adjusted for changes in published pricing, or carried forward' },
+  { code: '4', label: 'Carried forward from the previous file' },
+  { code: '5', label: 'Calculated from package size data' },
+  { code: '6', label: 'Brand/generic classification from the CMS drug product file category' },
+];
+
+const PHARMACY_TYPES = [
+  { key: 'chain', code: 'C', label: 'Chain' },
+  { key: 'independent', code: 'I', label: 'Independent' },
+];
+
+const OTC_OPTIONS = [
+  { key: 'otc', code: 'Y', label: 'OTC' },
+  { key: 'rx', code: 'N', label: 'Rx' },
+];
+
+const DEFAULT_RECORD_FILTER = { pharmacyType: 'all', otc: 'all', explanationCodes: [] };
+
+const upper = (v) => (v === undefined || v === null ? '' : String(v)).trim().toUpperCase();
+
+// "1, 5" -> ['1', '5']
+function explanationCodesOf(rec) {
+  return upper(rec && rec.explanation_code).split(/[^0-9]+/).filter(Boolean);
+}
+
+// "C/I" -> ['C', 'I']: the NADAC covers both chain and independent pharmacies
+function pharmacyTypeCodesOf(rec) {
+  return upper(rec && rec.pharmacy_type_indicator).split(/[^A-Z]+/).filter(Boolean);
+}
+
+const sortedUnique = (values) => Array.from(new Set(values)).sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+
+/*
+  description -> { classifications, pharmacyTypes, otc, explanationCodes } over every record of the
+  description, each a sorted list of the raw NADAC codes present
+*/
+function describeFacets(records) {
+  const byDescription = new Map();
+  for (const rec of records || []) {
+    const d = (rec.ndc_description || '').toString();
+    if (!d) continue;
+    if (!byDescription.has(d)) byDescription.set(d, { classifications: [], pharmacyTypes: [], otc: [], explanationCodes: [] });
+    const f = byDescription.get(d);
+    const cls = upper(rec.classification_for_rate_setting);
+    if (cls) f.classifications.push(cls);
+    f.pharmacyTypes.push(...pharmacyTypeCodesOf(rec));
+    if (upper(rec.otc)) f.otc.push(upper(rec.otc));
+    f.explanationCodes.push(...explanationCodesOf(rec));
+  }
+  const out = {};
+  for (const [d, f] of byDescription) {
+    out[d] = {
+      classifications: sortedUnique(f.classifications),
+      pharmacyTypes: sortedUnique(f.pharmacyTypes),
+      otc: sortedUnique(f.otc),
+      explanationCodes: sortedUnique(f.explanationCodes),
+    };
+  }
+  return out;
+}
+
+// Classifications of a description: every one its NDCs carry when facets are loaded, else the single mapped one
+function classificationsOf(description, { descFacets, descClassMap = {} } = {}) {
+  const facets = descFacets && descFacets[description];
+  if (facets) return facets.classifications;
+  const cls = upper(descClassMap[description]);
+  return cls ? [cls] : [];
+}
+
+// Branded/Generic/All switch; 'B-ANDA' style subtypes count as their base class
+function matchesDrugFilter(classifications, drugFilter) {
+  if (drugFilter === 'branded') return classifications.some(c => c.startsWith('B'));
+  if (drugFilter === 'generic') return classifications.some(c => c.startsWith('G'));
+  return true;
+}
+
+const codeFor = (options, key) => (options.find(o => o.key === key) || {}).code;
+
+function isDefaultRecordFilter(filter) {
+  return !filter || ((filter.pharmacyType || 'all') === 'all' && (filter.otc || 'all') === 'all'
+    && (filter.explanationCodes || []).length === 0);
+}
+
+// Whether a set of facet codes passes the record filter (one record, or the union over a description)
+function facetsMatch({ pharmacyTypes, otc, explanationCodes }, filter) {
+  if (isDefaultRecordFilter(filter)) return true;
+  if (filter.pharmacyType && filter.pharmacyType !== 'all' && !pharmacyTypes.includes(codeFor(PHARMACY_TYPES, filter.pharmacyType))) return false;
+  if (filter.otc && filter.otc !== 'all' && !otc.includes(codeFor(OTC_OPTIONS, filter.otc))) return false;
+  const codes = filter.explanationCodes || [];
+  return codes.length === 0 || codes.some(c => explanationCodes.includes(c));
+}
+
+function matchesRecordFilter(rec, filter) {
+  return facetsMatch({
+    pharmacyTypes: pharmacyTypeCodesOf(rec),
+    otc: upper(rec && rec.otc) ? [upper(rec.otc)] : [],
+    explanationCodes: explanationCodesOf(rec),
+  }, filter);
+}
+
+/*
+  Whether a description can appear in suggestions: the drug filter and the record filter over its
+  facets. Without facets (older pipeline outputs) only the drug filter applies.
+*/
+function descriptionAllowed(description, { drugFilter = 'all', descClassMap = {}, descFacets = null, recordFilter = null } = {}) {
+  if (!matchesDrugFilter(classificationsOf(description, { descFacets, descClassMap }), drugFilter)) return false;
+  const facets = descFacets && descFacets[description];
+  return !facets || facetsMatch(facets, recordFilter);
+}
+
+// Legend entry for a code; codes CMS adds later still get a label
+function explanationCodeLabel(code) {
+  const known = EXPLANATION_CODES.find(c => c.code === String(code));
+  return known ? known.label : `Explanation code ${code}`;
+}
+
+module.exports = {
+  EXPLANATION_CODES,
+  PHARMACY_TYPES,
+  OTC_OPTIONS,
+  DEFAULT_RECORD_FILTER,
+  explanationCodesOf,
+  pharmacyTypeCodesOf,
+  describeFacets,
+  classificationsOf,
+  matchesDrugFilter,
+  isDefaultRecordFilter,
+  matchesRecordFilter,
+  descriptionAllowed,
+  explanationCodeLabel,
+};
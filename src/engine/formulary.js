@@ -0,0 +1,218 @@
+/*
+  Bulk formulary analysis: an uploaded NDC list priced against the dataset
+  - parseCsv / formularyLines turn an upload (CSV text or XLSX rows) into { line, input, quantity } entries
+  - formularyLineResult prices one line against its record and cheapest comparable generic
+    (cheaperGeneric, the same rule the watchlist uses)
+  - Lines without a quantity are priced per unit
+*/
+
+const { normalizeMedNdc } = require('./ndc');
+const { resolveLabeler } = require('./records');
+const { toCsv } = require('./exportTable');
+
+const FORMULARY_COLUMNS = [
+  { key: 'line', label: 'Line' },
+  { key: 'input', label: 'Uploaded NDC' },
+  { key: 'status', label: 'Status' },
+  { key: 'ndc', label: 'Matched NDC' },
+  { key: 'description', label: 'Description' },
+  { key: 'classification', label: 'Classification' },
+  { key: 'quantity', label: 'Quantity' },
+  { key: 'pricingUnit', label: 'Pricing unit' },
+  { key: 'nadacPerUnit', label: 'NADAC per unit' },
+  { key: 'lineCost', label: 'Line cost' },
+  { key: 'genericNdc', label: 'Cheapest generic NDC' },
+  { key: 'genericDescription', label: 'Cheapest generic' },
+  { key: 'genericLabeler', label: 'Generic labeler' },
+  { key: 'genericPerUnit', label: 'Generic NADAC per unit' },
+  { key: 'savings', label: 'Potential savings' },
+];
+
+const STATUS_LABELS = { matched: 'Matched', notFound: 'Not in dataset', invalid: 'Invalid NDC' };
+
+// Header cells recognised as the NDC and quantity columns (compared lower-cased, punctuation removed)
+const NDC_HEADERS = ['ndc', 'ndc11', 'ndc 11', 'ndc code', 'package ndc', 'national drug code'];
+const QUANTITY_HEADERS = ['quantity', 'qty', 'units', 'unit count', 'quantity dispensed', 'dispensed quantity', 'annual quantity'];
+
+// Rows of RFC 4180 CSV; the delimiter (comma, semicolon or tab) is taken from the first line
+function parseCsv(text) {
+  const src = (text || '').replace(/^\uFEFF/, '');
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const headerKey = (v) => String(v === undefined || v === null ? '' : v).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+function findColumn(header, names) {
+  const keys = header.map(headerKey);
+  const exact = keys.findIndex(k => names.includes(k));
+  if (exact >= 0) return exact;
+  return keys.findIndex(k => names.some(n => k.split(' ').includes(n)));
+}
+
+// Spreadsheets store NDCs typed as numbers without their leading zeros; treat those as 11-digit NDCs
+function ndcCellText(v) {
+  if (typeof v === 'number') {
+    const digits = String(Math.round(v));
+    return digits.length <= 11 ? digits.padStart(11, '0') : digits;
+  }
+  return String(v === undefined || v === null ? '' : v).trim();
+}
+
+function quantityOf(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = typeof v === 'number' ? v : parseFloat(String(v).replace(/,/g, ''));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/*
+  Lines of an uploaded table: { lines: [{ line, input, quantity }], ndcColumn, quantityColumn }
+  - The header row is the first non-empty row; without a recognisable NDC header the first
+    column is used and the first row is data
+  - `line` is the 1-based row number in the file; blank rows are skipped
+  - Throws when the table has no rows
+*/
+function formularyLines(rows) {
+  const first = (rows || []).findIndex(r => r && r.some(v => ndcCellText(v) !== ''));
+  if (first < 0) throw new Error('The file has no rows');
+  const header = rows[first];
+  let ndcColumn = findColumn(header, NDC_HEADERS);
+  const hasHeader = ndcColumn >= 0;
+  if (!hasHeader) ndcColumn = 0;
+  const quantityColumn = hasHeader ? findColumn(header, QUANTITY_HEADERS) : -1;
+  const lines = [];
+  for (let i = hasHeader ? first + 1 : first; i < rows.length; i++) {
+    const row = rows[i] || [];
+    const input = ndcCellText(row[ndcColumn]);
+    if (input === '') continue;
+    lines.push({ line: i + 1, input, quantity: quantityColumn >= 0 ? quantityOf(row[quantityColumn]) : null });
+  }
+  return {
+    lines,
+    ndcColumn: hasHeader ? String(header[ndcColumn]) : null,
+    quantityColumn: quantityColumn >= 0 ? String(header[quantityColumn]) : null,
+  };
+}
+
+function unitPrice(rec) {
+  const n = parseFloat(rec && rec.nadac_per_unit);
+  return Number.isFinite(n) ? n : null;
+}
+
+const round2 = (n) => (n === null ? null : Math.round(n * 100) / 100);
+
+/*
+  Result row for one uploaded line. `status` is 'matched' when `record` is set, otherwise
+  'notFound' for a valid NDC missing from the dataset or 'invalid' when it could not be parsed.
+  `cheapest` is the line's cheapest comparable generic (null when the record is already cheapest).
+*/
+function formularyLineResult({ line, input, quantity }, record, cheapest, status) {
+  const result = {
+    line,
+    input,
+    quantity,
+    status: record ? 'matched' : status || 'notFound',
+    ndc: '',
+    description: '',
+    pricingUnit: '',
+    classification: '',
+    nadacPerUnit: null,
+    lineCost: null,
+    genericNdc: '',
+    genericDescription: '',
+    genericLabeler: '',
+    genericPerUnit: null,
+    savings: null,
+  };
+  if (!record) return result;
+  const units = quantity === null ? 1 : quantity;
+  const price = unitPrice(record);
+  Object.assign(result, {
+    ndc: normalizeMedNdc(record.ndc),
+    description: record.ndc_description || '',
+    pricingUnit: record.pricing_unit || '',
+    classification: (record.classification_for_rate_setting || '').toString().toUpperCase(),
+    nadacPerUnit: price,
+    lineCost: price === null ? null : round2(price * units),
+  });
+  const genericPrice = unitPrice(cheapest);
+  if (cheapest && genericPrice !== null && price !== null) {
+    Object.assign(result, {
+      genericNdc: normalizeMedNdc(cheapest.ndc),
+      genericDescription: cheapest.ndc_description || '',
+      genericLabeler: resolveLabeler(cheapest),
+      genericPerUnit: genericPrice,
+      savings: round2((price - genericPrice) * units),
+    });
+  }
+  return result;
+}
+
+// Totals over result rows; the optimized total swaps every line with savings to its generic
+function summarizeFormulary(results) {
+  const summary = { lines: 0, matched: 0, notFound: 0, invalid: 0, withSavings: 0, currentTotal: 0, totalSavings: 0 };
+  for (const r of results || []) {
+    summary.lines += 1;
+    summary[r.status] += 1;
+    if (r.lineCost !== null) summary.currentTotal += r.lineCost;
+    if (r.savings !== null && r.savings > 0) {
+      summary.withSavings += 1;
+      summary.totalSavings += r.savings;
+    }
+  }
+  summary.currentTotal = round2(summary.currentTotal);
+  summary.totalSavings = round2(summary.totalSavings);
+  summary.optimizedTotal = round2(summary.currentTotal - summary.totalSavings);
+  return summary;
+}
+
+// CSV of result rows with readable status labels
+function formularyCsv(results) {
+  return toCsv((results || []).map(r => ({ ...r, status: STATUS_LABELS[r.status] || r.status })), FORMULARY_COLUMNS);
+}
+
+module.exports = {
+  FORMULARY_COLUMNS,
+  parseCsv,
+  formularyLines,
+  formularyLineResult,
+  summarizeFormulary,
+  formularyCsv,
+};
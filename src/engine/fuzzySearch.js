@@ -0,0 +1,199 @@
+/*
+  Ranked, typo-tolerant search over descriptions and their FDA names (search-index-fuzzy.json)
+  - Query tokens match in any order; every query token must match the description or one of
+    the brand/generic/active ingredient names of a record carrying that description
+  - Per token: exact > prefix > typo (Damerau-Levenshtein, 1 edit from 4 letters, 2 from 8) > typo in a prefix
+  - Whole-query exact/prefix/substring hits on the description rank first
+  - Results carry the description spans to highlight and the FDA names that matched
+  The pipeline builds the index with buildFuzzyIndex; the data worker queries it with fuzzySearch.
+*/
+
+const { descriptionAllowed } = require('./facets');
+
+const FUZZY_INDEX_VERSION = 1;
+const DEFAULT_LIMIT = 10;
+const TOKEN_RE = /[a-z]+|\d+(?:\.\d+)?/g;
+
+const SCORE = { exact: 1, prefix: 0.8, typo: 0.6, typoPrefix: 0.45 };
+const NAME_WEIGHT = 0.9; // a token matched only through an FDA name counts slightly less
+
+// Word and number tokens with their positions; "500MG" -> "500", "mg"
+function tokenSpans(text) {
+  const lower = (text || '').toString().toLowerCase();
+  const out = [];
+  TOKEN_RE.lastIndex = 0;
+  let m;
+  while ((m = TOKEN_RE.exec(lower)) !== null) out.push({ token: m[0], start: m.index, end: m.index + m[0].length });
+  return out;
+}
+
+function searchTokens(text) {
+  return Array.from(new Set(tokenSpans(text).map(t => t.token)));
+}
+
+function maxEdits(token) {
+  if (/^\d/.test(token)) return 0; // strengths must be typed exactly
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+}
+
+// Optimal string alignment distance, or limit + 1 once it is certain to exceed `limit`
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        v = Math.min(v, prevPrev[j - 2] + 1);
+      }
+      cur.push(v);
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > limit) return limit + 1;
+    prevPrev = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// How a query token matches a vocabulary token; 0 when it does not
+function tokenScore(query, term) {
+  if (query === term) return SCORE.exact;
+  if (term.startsWith(query)) return SCORE.prefix;
+  const limit = maxEdits(query);
+  if (limit === 0) return 0;
+  if (editDistance(query, term, limit) <= limit) return SCORE.typo;
+  if (term.length > query.length && editDistance(query, term.slice(0, query.length), limit) <= limit) return SCORE.typoPrefix;
+  return 0;
+}
+
+// Index entries per description: [description, [FDA names...]]; token -> entry ids for each source
+function buildFuzzyIndex(records) {
+  const namesByDesc = new Map();
+  for (const r of records || []) {
+    const d = (r.ndc_description || '').toString();
+    if (!d) continue;
+    if (!namesByDesc.has(d)) namesByDesc.set(d, new Set());
+    const names = namesByDesc.get(d);
+    for (const m of Array.isArray(r.fdaMatches) ? r.fdaMatches : []) {
+      if (m.brandName) names.add(m.brandName.toString().trim().toUpperCase());
+      if (m.genericName) names.add(m.genericName.toString().trim().toUpperCase());
+      for (const ai of Array.isArray(m.activeIngredientsDetailed) ? m.activeIngredientsDetailed : []) {
+        if (ai && ai.name) names.add(ai.name.toString().trim().toUpperCase());
+      }
+    }
+  }
+  const descriptions = Array.from(namesByDesc.keys()).sort();
+  const entries = [];
+  const descriptionTokens = {};
+  const nameTokens = {};
+  const post = (map, token, id) => {
+    if (!map[token]) map[token] = [];
+    map[token].push(id);
+  };
+  descriptions.forEach((d, id) => {
+    const names = Array.from(namesByDesc.get(d)).filter(n => n && n !== d).sort();
+    entries.push([d, names]);
+    const own = new Set(searchTokens(d));
+    for (const t of own) post(descriptionTokens, t, id);
+    const fromNames = new Set();
+    for (const n of names) for (const t of searchTokens(n)) if (!own.has(t)) fromNames.add(t);
+    for (const t of fromNames) post(nameTokens, t, id);
+  });
+  return { version: FUZZY_INDEX_VERSION, entries, descriptionTokens, nameTokens };
+}
+
+// entry id -> { score, terms } for the best vocabulary match of one query token
+function matchQueryToken(index, query) {
+  const best = new Map();
+  const consider = (map, weight) => {
+    for (const term of Object.keys(map)) {
+      const s = tokenScore(query, term);
+      if (s === 0) continue;
+      const score = s * weight;
+      for (const id of map[term]) {
+        const cur = best.get(id);
+        if (!cur || score > cur.score) best.set(id, { score, terms: [term] });
+        else if (score === cur.score) cur.terms.push(term);
+      }
+    }
+  };
+  consider(index.descriptionTokens, 1);
+  consider(index.nameTokens, NAME_WEIGHT);
+  return best;
+}
+
+function mergeSpans(spans) {
+  const sorted = spans.slice().sort((a, b) => a[0] - b[0]);
+  const out = [];
+  for (const s of sorted) {
+    const last = out[out.length - 1];
+    if (last && s[0] <= last[1]) last[1] = Math.max(last[1], s[1]);
+    else out.push([s[0], s[1]]);
+  }
+  return out;
+}
+
+// Character ranges of `description` covered by the matched terms (prefix matches highlight the typed part)
+function highlightSpans(descriptionSpans, queryTokens, matchedTerms) {
+  const spans = [];
+  for (const t of descriptionSpans) {
+    if (!matchedTerms.has(t.token)) continue;
+    const prefix = queryTokens.includes(t.token) ? null : queryTokens.find(q => t.token.startsWith(q));
+    spans.push([t.start, prefix ? t.start + prefix.length : t.end]);
+  }
+  return mergeSpans(spans);
+}
+
+// `filters` ({ drugFilter, descClassMap, descFacets, recordFilter }) narrow results as in search.js
+function fuzzySearch(index, term, { limit = DEFAULT_LIMIT, ...filters } = {}) {
+  const queryTokens = searchTokens(term);
+  if (!index || queryTokens.length === 0) return [];
+  const perToken = queryTokens.map(q => matchQueryToken(index, q));
+  // Every query token must match; start from the smallest candidate set
+  const [smallest] = perToken.slice().sort((a, b) => a.size - b.size);
+  const phrase = term.toString().trim().toLowerCase().replace(/\s+/g, ' ');
+  const results = [];
+  for (const id of smallest.keys()) {
+    if (!perToken.every(m => m.has(id))) continue;
+    const [description, names] = index.entries[id];
+    if (!descriptionAllowed(description, filters)) continue;
+    const lower = description.toLowerCase();
+    let score = perToken.reduce((sum, m) => sum + m.get(id).score, 0);
+    if (lower === phrase) score += 10;
+    else if (lower.startsWith(phrase)) score += 3;
+    else if (lower.includes(phrase)) score += 2;
+    const matchedTerms = new Set(perToken.flatMap(m => m.get(id).terms));
+    const descriptionSpans = tokenSpans(description);
+    const own = new Set(descriptionSpans.map(t => t.token));
+    const spans = highlightSpans(descriptionSpans, queryTokens, matchedTerms);
+    // FDA names that contributed a term the description itself lacks
+    const via = names.filter(n => searchTokens(n).some(t => matchedTerms.has(t) && !own.has(t)));
+    results.push({ description, score, spans, via });
+  }
+  results.sort((a, b) => (b.score - a.score)
+    || (a.description.length - b.description.length)
+    || (a.description < b.description ? -1 : (a.description > b.description ? 1 : 0)));
+  return results.slice(0, limit);
+}
+
+// Top-ranked description for free text; an exact description always ranks first
+function resolveDescription(index, term, options) {
+  const hits = fuzzySearch(index, term, { ...options, limit: 1 });
+  return hits.length > 0 ? hits[0].description : null;
+}
+
+module.exports = {
+  FUZZY_INDEX_VERSION,
+  searchTokens,
+  editDistance,
+  buildFuzzyIndex,
+  fuzzySearch,
+  resolveDescription,
+};
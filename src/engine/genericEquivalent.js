@@ -0,0 +1,81 @@
+/*
+  CMS corresponding generic price for branded NDCs, cross-checked against our own matching
+  - NADAC rows for brand drugs carry "Corresponding Generic Drug NADAC Per Unit" and its effective
+    date: CMS's own generic price for the same product, in the brand's pricing unit
+  - The matched generic is cheaperGeneric(selected, alternatives): same form group, strength and
+    pricing unit, cheapest first
+  - The two disagree when their per-unit prices differ by more than `tolerance` (relative to the
+    CMS price), or when only one of them exists
+*/
+
+const { cheaperGeneric } = require('./watchlist');
+const { totalUnits } = require('./pricing');
+
+const GENERIC_EQUIVALENT_TOLERANCE = 0.05;
+
+function toNumber(v) {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function isBranded(rec) {
+  return (rec && rec.classification_for_rate_setting ? String(rec.classification_for_rate_setting) : '').trim().toUpperCase().startsWith('B');
+}
+
+// Per-unit, percent and (with a regimen) total savings of paying `price` instead of `brandPrice`
+function savingsFrom(brandPrice, price, regimen) {
+  if (brandPrice === null || price === null) return null;
+  const perUnit = brandPrice - price;
+  const units = regimen ? totalUnits(regimen) : null;
+  return {
+    perUnit,
+    pct: brandPrice > 0 ? (perUnit / brandPrice) * 100 : null,
+    regimen: units === null ? null : perUnit * units,
+  };
+}
+
+/*
+  Generic equivalent of a branded selection, or null for generics:
+  {
+    brandPerUnit, pricingUnit,
+    cms: { perUnit, effectiveDate, savings } | null,
+    matched: { record, perUnit, savings } | null,
+    status: 'agree' | 'differ' | 'cms-only' | 'matched-only' | 'none',
+    difference, differencePct   // matched minus CMS, when both exist
+  }
+*/
+function genericEquivalent(selected, alternatives, { regimen = null, tolerance = GENERIC_EQUIVALENT_TOLERANCE } = {}) {
+  if (!isBranded(selected)) return null;
+  const brandPerUnit = toNumber(selected.nadac_per_unit);
+  const cmsPerUnit = toNumber(selected.corresponding_generic_drug_nadac_per_unit);
+  const cms = cmsPerUnit === null ? null : {
+    perUnit: cmsPerUnit,
+    effectiveDate: selected.corresponding_generic_drug_effective_date || '',
+    savings: savingsFrom(brandPerUnit, cmsPerUnit, regimen),
+  };
+  const record = cheaperGeneric(selected, alternatives);
+  const matchedPerUnit = record ? toNumber(record.nadac_per_unit) : null;
+  const matched = record ? { record, perUnit: matchedPerUnit, savings: savingsFrom(brandPerUnit, matchedPerUnit, regimen) } : null;
+
+  let status = 'none';
+  let difference = null;
+  let differencePct = null;
+  if (cms && matched) {
+    difference = matched.perUnit - cms.perUnit;
+    differencePct = cms.perUnit > 0 ? (difference / cms.perUnit) * 100 : null;
+    const within = cms.perUnit > 0
+      ? Math.abs(difference) / cms.perUnit <= tolerance
+      : Math.abs(difference) < 1e-9;
+    status = within ? 'agree' : 'differ';
+  } else if (cms) {
+    status = 'cms-only';
+  } else if (matched) {
+    status = 'matched-only';
+  }
+  return { brandPerUnit, pricingUnit: selected.pricing_unit || '', cms, matched, status, difference, differencePct };
+}
+
+module.exports = {
+  GENERIC_EQUIVALENT_TOLERANCE,
+  genericEquivalent,
+};
@@ -0,0 +1,28 @@
+/*
+  Framework-free matching and ranking engine
+  - Used by the React UI (src/App.js), the query API (server/) and scripts
+  - CommonJS so Node can require it directly; keep syntax that Babel compiles without helper imports
+*/
+
+module.exports = {
+  ...require('./records'),
+  ...require('./search'),
+  ...require('./fuzzySearch'),
+  ...require('./alternatives'),
+  ...require('./strength'),
+  ...require('./dosageForms'),
+  ...require('./pricing'),
+  ...require('./chunkIndex'),
+  ...require('./lruCache'),
+  ...require('./ndc'),
+  ...require('./watchlist'),
+  ...require('./xlsx'),
+  ...require('./exportTable'),
+  ...require('./formulary'),
+  ...require('./comparison'),
+  ...require('./schema'),
+  ...require('./facets'),
+  ...require('./genericEquivalent'),
+  ...require('./shortages'),
+  ...require('./rxnorm'),
+};
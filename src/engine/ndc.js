@@ -0,0 +1,109 @@
+/*
+  NDC normalization shared by the pipeline (scripts/raw-process.js), the UI and the query API
+  - NADAC NDCs are 11 digits in the 5-4-2 billing form (labeler-product-package)
+  - Package labels print 10 digits as 4-4-2, 5-3-2 or 5-4-1; the short segment is zero-padded to reach 5-4-2
+  - An unhyphenated 10-digit NDC is ambiguous, so all three paddings are candidates
+  - Barcodes carry the 10-digit NDC: UPC-A (3 + NDC + check), EAN-13 (03 + NDC + check),
+    GTIN-14 (indicator + 03 + NDC + check) and GS1 element strings starting with AI (01)
+*/
+
+// NADAC NDC as digits only
+function normalizeMedNdc(ndc) {
+  if (!ndc) return '';
+  return ndc.toString().replace(/\D+/g, '').trim();
+}
+
+// openFDA product_ndc ("0093-1048") with the hyphen dropped
+function openFdaDigitsKeepZeros(productNdc) {
+  if (!productNdc) return '';
+  return productNdc.toString().replace(/-/g, '').replace(/\D+/g, '');
+}
+
+// openFDA product_ndc with the hyphen replaced by a zero, a common way short labeler codes were padded
+function openFdaHyphenZeroFill(productNdc) {
+  if (!productNdc) return '';
+  return productNdc.toString().replace(/-/g, '0').replace(/\D+/g, '');
+}
+
+// 5-4-2 segment lengths reached by padding one segment of each 10-digit layout
+const TEN_DIGIT_LAYOUTS = [[4, 4, 2], [5, 3, 2], [5, 4, 1]];
+
+function padSegments(segments) {
+  return segments[0].padStart(5, '0') + segments[1].padStart(4, '0') + segments[2].padStart(2, '0');
+}
+
+// 11-digit candidates for an unhyphenated 10-digit NDC, one per label layout
+function tenDigitCandidates(digits) {
+  return TEN_DIGIT_LAYOUTS.map(([a, b]) => padSegments([digits.slice(0, a), digits.slice(a, a + b), digits.slice(a + b)]));
+}
+
+// GS1 mod-10 check digit over every digit but the last
+function hasValidCheckDigit(digits) {
+  let sum = 0;
+  const body = digits.slice(0, -1);
+  for (let i = 0; i < body.length; i++) {
+    const d = body.charCodeAt(body.length - 1 - i) - 48;
+    sum += i % 2 === 0 ? d * 3 : d;
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+// The 10-digit NDC inside a barcode payload, or null
+function ndcFromBarcode(input) {
+  let digits = input.replace(/[^\d()]/g, '');
+  const ai = digits.match(/^\(01\)(\d{14})/) || (digits.length > 14 && digits.match(/^01(\d{14})/));
+  if (ai) digits = ai[1];
+  digits = digits.replace(/\D/g, '');
+  let gtin = null;
+  if (digits.length === 12 && digits[0] === '3') gtin = digits;
+  else if (digits.length === 13 && digits.startsWith('03')) gtin = digits;
+  else if (digits.length === 14 && digits.slice(1, 3) === '03') gtin = digits;
+  if (!gtin || !hasValidCheckDigit(gtin)) return null;
+  return gtin.slice(-11, -1);
+}
+
+/*
+  Parse free text as an NDC. Returns null when it cannot be one, else
+  { format, candidates } with the 11-digit forms to look up:
+  - '5-4-2', '4-4-2', '5-3-2', '5-4-1' for hyphenated input
+  - '11-digit', '10-digit' for unhyphenated input; 'barcode' for UPC-A/EAN-13/GTIN-14/GS1 payloads
+*/
+function parseNdc(input) {
+  const str = (input || '').toString().trim();
+  if (!str) return null;
+  const hyphenated = str.match(/^(\d{4,5})[-\s](\d{3,4})[-\s](\d{1,2})$/);
+  if (hyphenated) {
+    const segments = hyphenated.slice(1, 4);
+    const format = segments.map(s => s.length).join('-');
+    if (format !== '5-4-2' && !TEN_DIGIT_LAYOUTS.some(l => l.join('-') === format)) return null;
+    return { format, candidates: [padSegments(segments)] };
+  }
+  if (/^\d{11}$/.test(str)) return { format: '11-digit', candidates: [str] };
+  if (/^\d{10}$/.test(str)) return { format: '10-digit', candidates: tenDigitCandidates(str) };
+  const fromBarcode = ndcFromBarcode(str);
+  if (fromBarcode) return { format: 'barcode', candidates: tenDigitCandidates(fromBarcode) };
+  return null;
+}
+
+// openFDA packaging[].package_ndc ("0093-1048-01") in the 11-digit NADAC form; null unless hyphenated
+function packageNdcToNdc11(packageNdc) {
+  const parsed = parseNdc(packageNdc);
+  if (!parsed || parsed.candidates.length !== 1 || /digit|barcode/.test(parsed.format)) return null;
+  return parsed.candidates[0];
+}
+
+// "00093104801" -> "00093-1048-01"
+function formatNdc11(ndc) {
+  const d = normalizeMedNdc(ndc);
+  if (d.length !== 11) return ndc;
+  return `${d.slice(0, 5)}-${d.slice(5, 9)}-${d.slice(9)}`;
+}
+
+module.exports = {
+  normalizeMedNdc,
+  openFdaDigitsKeepZeros,
+  openFdaHyphenZeroFill,
+  parseNdc,
+  packageNdcToNdc11,
+  formatNdc11,
+};
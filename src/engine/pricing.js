@@ -0,0 +1,82 @@
+// Price-per-dose and savings helpers for the generic alternatives list
+
+const FREQUENCIES = [
+  { value: 1, label: 'QD (once daily)' },
+  { value: 2, label: 'BID (twice daily)' },
+  { value: 3, label: 'TID (three times daily)' },
+  { value: 4, label: 'QID (four times daily)' },
+];
+
+const DEFAULT_REGIMEN = { quantity: 1, frequency: 2, days: 30 };
+
+function toNumber(v) {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizePricingUnit(unit) {
+  return (unit || '').toString().trim().toUpperCase();
+}
+
+// Total units dispensed for a regimen, e.g. 1 tablet BID x 30 days = 60 EA
+function totalUnits(regimen) {
+  const quantity = toNumber(regimen && regimen.quantity);
+  const frequency = toNumber(regimen && regimen.frequency);
+  const days = toNumber(regimen && regimen.days);
+  if (quantity === null || frequency === null || days === null) return null;
+  if (quantity <= 0 || frequency <= 0 || days <= 0) return null;
+  return quantity * frequency * days;
+}
+
+function totalCost(rec, regimen) {
+  const price = toNumber(rec && rec.nadac_per_unit);
+  const units = totalUnits(regimen);
+  if (price === null || units === null) return null;
+  return price * units;
+}
+
+// Savings of `candidate` versus `selected` for the same regimen.
+// Records priced in different units (EA vs ML vs GM) are never compared.
+function compareSavings(selected, candidate, regimen) {
+  const selectedUnit = normalizePricingUnit(selected && selected.pricing_unit);
+  const candidateUnit = normalizePricingUnit(candidate && candidate.pricing_unit);
+  const cost = totalCost(candidate, regimen);
+  if (!selectedUnit || !candidateUnit || selectedUnit !== candidateUnit) {
+    return { comparable: false, reason: `${candidateUnit || '?'} vs ${selectedUnit || '?'}`, cost, savings: null, savingsPct: null };
+  }
+  const baseCost = totalCost(selected, regimen);
+  if (cost === null || baseCost === null) {
+    return { comparable: false, reason: 'missing price', cost, savings: null, savingsPct: null };
+  }
+  const savings = baseCost - cost;
+  const savingsPct = baseCost > 0 ? (savings / baseCost) * 100 : null;
+  return { comparable: true, reason: null, cost, savings, savingsPct };
+}
+
+// Stable sort by savings (largest first); non-comparable records keep their relevance order at the end
+function sortBySavings(records, selected, regimen) {
+  const scored = records.map((rec, idx) => ({ rec, idx, cmp: compareSavings(selected, rec, regimen) }));
+  scored.sort((a, b) => {
+    if (a.cmp.comparable !== b.cmp.comparable) return a.cmp.comparable ? -1 : 1;
+    if (a.cmp.comparable && a.cmp.savings !== b.cmp.savings) return b.cmp.savings - a.cmp.savings;
+    return a.idx - b.idx;
+  });
+  return scored.map(s => s.rec);
+}
+
+function formatMoney(amount) {
+  if (amount === null || amount === undefined || !Number.isFinite(amount)) return '--';
+  const sign = amount < 0 ? '-' : '';
+  return `${sign}$${Math.abs(amount).toFixed(2)}`;
+}
+
+module.exports = {
+  FREQUENCIES,
+  DEFAULT_REGIMEN,
+  normalizePricingUnit,
+  totalUnits,
+  totalCost,
+  compareSavings,
+  sortBySavings,
+  formatMoney,
+};
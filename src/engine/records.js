@@ -0,0 +1,43 @@
+// Record-level helpers shared by the engine modules
+
+// First FDA match is the authoritative FDA context for a record
+function bestMatcherOf(rec) {
+  const fm = rec && Array.isArray(rec.fdaMatches) ? rec.fdaMatches : [];
+  return fm.length > 0 ? fm[0] : null;
+}
+
+function resolveLabeler(rec) {
+  const best = bestMatcherOf(rec);
+  return ((best && best.labelerName) || '').toString().trim();
+}
+
+// openFDA packaging description ("100 TABLET in 1 BOTTLE"); only exact package NDC matches carry one
+function packageDescriptionOf(rec) {
+  const best = bestMatcherOf(rec);
+  return (best && best.packageDescription) || '';
+}
+
+// De-dup key for alternatives: description | price | labeler (case-insensitive)
+function dedupKey(rec) {
+  const price = (rec.nadac_per_unit || '').toString().trim();
+  const desc = (rec.ndc_description || '').toString().trim();
+  return `${desc.toLowerCase()}|${price}|${resolveLabeler(rec).toLowerCase()}`;
+}
+
+// Orange Book therapeutic equivalence: AB, AB1, AB2... are substitutable; AA/BX etc. are not AB-rated
+function getTeCode(rec) {
+  return (rec && rec.orangeBook && rec.orangeBook.teCode) || '';
+}
+
+function isAbRated(rec) {
+  return getTeCode(rec).toUpperCase().startsWith('AB');
+}
+
+module.exports = {
+  bestMatcherOf,
+  resolveLabeler,
+  packageDescriptionOf,
+  dedupKey,
+  getTeCode,
+  isAbRated,
+};
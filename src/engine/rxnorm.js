@@ -0,0 +1,58 @@
+/*
+  RxNorm clinical drug grouping (records carry rxnorm: { rxcui, name } from scripts/sources/rxnorm.js)
+  - A branded concept (SBD) is named after its clinical drug (SCD) plus the brand in brackets:
+    "metformin hydrochloride 500 MG Oral Tablet [Glucophage]" -> "metformin hydrochloride 500 MG Oral Tablet",
+    so brands and their generics land in one group
+*/
+
+// Clinical drug name of a record's concept, or '' without an RxNorm mapping
+function clinicalDrugName(rec) {
+  const name = rec && rec.rxnorm && rec.rxnorm.name ? String(rec.rxnorm.name) : '';
+  return name.replace(/\s*\[[^\]]*\]\s*$/, '').trim();
+}
+
+// Grouping key; concepts without a name group by RxCUI
+function clinicalDrugKey(rec) {
+  const name = clinicalDrugName(rec);
+  if (name) return name.toLowerCase();
+  return rec && rec.rxnorm && rec.rxnorm.rxcui ? `rxcui:${rec.rxnorm.rxcui}` : '';
+}
+
+function hasRxNorm(records) {
+  return (records || []).some(r => !!(r && r.rxnorm && r.rxnorm.rxcui));
+}
+
+/*
+  Records grouped by clinical drug, keeping their order within and between groups:
+  [{ key, name, rxcuis, records }]. The group of `selected` comes first and records without a
+  mapping come last (key '').
+*/
+function groupByClinicalDrug(records, selected = null) {
+  const groups = new Map();
+  for (const rec of records || []) {
+    const key = clinicalDrugKey(rec);
+    if (!groups.has(key)) {
+      groups.set(key, { key, name: key ? (clinicalDrugName(rec) || `RxCUI ${rec.rxnorm.rxcui}`) : '', rxcuis: [], records: [] });
+    }
+    const g = groups.get(key);
+    g.records.push(rec);
+    const rxcui = rec && rec.rxnorm && rec.rxnorm.rxcui;
+    if (rxcui && !g.rxcuis.includes(rxcui)) g.rxcuis.push(rxcui);
+  }
+  const selectedKey = selected ? clinicalDrugKey(selected) : '';
+  const rank = (g) => {
+    if (selectedKey && g.key === selectedKey) return 0;
+    return g.key ? 1 : 2;
+  };
+  return Array.from(groups.values())
+    .map((g, idx) => ({ g, idx }))
+    .sort((a, b) => rank(a.g) - rank(b.g) || a.idx - b.idx)
+    .map(x => x.g);
+}
+
+module.exports = {
+  clinicalDrugName,
+  clinicalDrugKey,
+  hasRxNorm,
+  groupByClinicalDrug,
+};
@@ -0,0 +1,39 @@
+/*
+  Contract for the pipeline outputs in public/data (JSON Schemas in schemas/)
+  - The pipeline validates everything it writes against SCHEMAS (scripts/validate-outputs.js)
+  - Readers (data worker, query API) only check the manifest's schemaVersion; a dataset written for
+    another version is refused instead of being read as an empty or partial one
+*/
+
+const SCHEMAS = {
+  enrichedRecord: require('./schemas/enriched-record.schema.json'),
+  chunkManifest: require('./schemas/chunk-manifest.schema.json'),
+  invertedIndex: require('./schemas/inverted-index.schema.json'),
+  searchIndex: require('./schemas/search-index.schema.json'),
+  descriptionClassification: require('./schemas/description-classification.schema.json'),
+  descriptionFacets: require('./schemas/description-facets.schema.json'),
+};
+
+const SCHEMA_VERSION = SCHEMAS.chunkManifest.properties.schemaVersion.const;
+
+// Throws when `manifest` (enriched-chunks/chunks-manifest.json) is not a dataset this code can read
+function checkSchemaVersion(manifest) {
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.chunks)) {
+    throw new Error('The dataset manifest is not a chunk manifest; rerun npm run process:raw');
+  }
+  const version = manifest.schemaVersion;
+  if (version === undefined) {
+    throw new Error(`The dataset predates schema versioning (this app reads schema version ${SCHEMA_VERSION}); rerun npm run process:raw`);
+  }
+  if (version !== SCHEMA_VERSION) {
+    const action = typeof version === 'number' && version > SCHEMA_VERSION ? 'update the app' : 'rerun npm run process:raw';
+    throw new Error(`The dataset uses schema version ${version} but this app reads version ${SCHEMA_VERSION}; ${action}`);
+  }
+  return manifest;
+}
+
+module.exports = {
+  SCHEMAS,
+  SCHEMA_VERSION,
+  checkSchemaVersion,
+};
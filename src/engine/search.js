@@ -0,0 +1,23 @@
+// Suggestions over the description index (search-index-enriched.json)
+
+const { descriptionAllowed } = require('./facets');
+
+const MIN_TERM_LENGTH = 2;
+const DEFAULT_LIMIT = 10;
+
+/*
+  Case-insensitive substring match, narrowed by the Branded/Generic/All filter and the record filter
+  (pharmacy type, OTC, explanation codes) over the description's facets; see facets.js
+*/
+function suggest(descriptions, term, { limit = DEFAULT_LIMIT, ...filters } = {}) {
+  if (!term || term.length < MIN_TERM_LENGTH) return [];
+  const needle = term.toLowerCase();
+  return (descriptions || [])
+    .filter(desc => desc.toLowerCase().includes(needle) && descriptionAllowed(desc, filters))
+    .slice(0, limit);
+}
+
+module.exports = {
+  MIN_TERM_LENGTH,
+  suggest,
+};
@@ -0,0 +1,34 @@
+// FDA drug shortage status attached by the pipeline (scripts/sources/fda-shortages.js) and its badge
+
+// openFDA shortage statuses; statuses FDA adds later are shown as they are
+const SHORTAGE_STATUSES = [
+  { status: 'Current', label: 'Shortage', tone: 'current' },
+  { status: 'To Be Discontinued', label: 'To be discontinued', tone: 'discontinued' },
+  { status: 'Resolved', label: 'Shortage resolved', tone: 'resolved' },
+];
+
+/*
+  Badge for a record's shortage: { label, tone, title }, or null when the feed does not list the NDC.
+  `title` spells out the status, its date, availability and reason for a tooltip.
+*/
+function shortageBadge(rec) {
+  const shortage = rec && rec.shortage;
+  if (!shortage || !shortage.status) return null;
+  const known = SHORTAGE_STATUSES.find(s => s.status.toLowerCase() === String(shortage.status).trim().toLowerCase());
+  const details = [
+    `FDA drug shortage: ${shortage.status}`,
+    shortage.updateDate ? `updated ${shortage.updateDate}` : '',
+    shortage.availability || '',
+    shortage.reason || '',
+  ].filter(Boolean);
+  return {
+    label: known ? known.label : shortage.status,
+    tone: known ? known.tone : 'current',
+    title: details.join(' · '),
+  };
+}
+
+module.exports = {
+  SHORTAGE_STATUSES,
+  shortageBadge,
+};
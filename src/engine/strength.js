@@ -0,0 +1,62 @@
+// Strength comparison over the structured `strength` field written by scripts/strength.js
+
+const { bestMatcherOf } = require('./records');
+
+function normalizeIngredient(name) {
+  return (name || '').toString().trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+// Sorted, de-duplicated active ingredient names from the record's best FDA match; null when unknown
+function ingredientSetKey(rec) {
+  const best = bestMatcherOf(rec);
+  const ais = best && Array.isArray(best.activeIngredientsDetailed) ? best.activeIngredientsDetailed : [];
+  const names = Array.from(new Set(ais.map(ai => normalizeIngredient(ai && ai.name)).filter(Boolean))).sort();
+  return names.length ? names.join('|') : null;
+}
+
+function componentsOf(strength) {
+  return strength && Array.isArray(strength.components) ? strength.components : [];
+}
+
+// Pair components by ingredient name when both sides have names, else by position in value order
+function pairComponents(a, b) {
+  const ca = componentsOf(a);
+  const cb = componentsOf(b);
+  if (ca.length === 0 || ca.length !== cb.length) return null;
+  const named = ca.every(c => c.ingredient) && cb.every(c => c.ingredient);
+  if (named) {
+    const byName = new Map(cb.map(c => [normalizeIngredient(c.ingredient), c]));
+    const pairs = ca.map(c => [c, byName.get(normalizeIngredient(c.ingredient))]);
+    return pairs.every(([, other]) => other) ? pairs : null;
+  }
+  const sortFn = (x, y) => x.normalizedValue - y.normalizedValue;
+  const sa = [...ca].sort(sortFn);
+  const sb = [...cb].sort(sortFn);
+  return sa.map((c, i) => [c, sb[i]]);
+}
+
+// Sum of log-ratio distances between paired components; Infinity when not comparable
+function strengthDistance(a, b) {
+  const pairs = pairComponents(a, b);
+  if (!pairs) return Infinity;
+  let total = 0;
+  for (const [x, y] of pairs) {
+    if (x.normalizedUnit !== y.normalizedUnit) return Infinity;
+    if (x.normalizedValue <= 0 || y.normalizedValue <= 0) {
+      if (x.normalizedValue !== y.normalizedValue) return Infinity;
+      continue;
+    }
+    total += Math.abs(Math.log(x.normalizedValue / y.normalizedValue));
+  }
+  return total;
+}
+
+function formatRecordStrength(rec) {
+  return (rec && rec.strength && rec.strength.display) || '';
+}
+
+module.exports = {
+  ingredientSetKey,
+  strengthDistance,
+  formatRecordStrength,
+};
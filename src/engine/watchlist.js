@@ -0,0 +1,134 @@
+// Watchlist of pinned NDCs: stored snapshots, changes against the current dataset and cheaper generics
+
+const { strengthDistance } = require('./strength');
+const { formGroupFor } = require('./dosageForms');
+const { normalizePricingUnit } = require('./pricing');
+const { normalizeMedNdc } = require('./ndc');
+
+const WATCHLIST_VERSION = 1;
+// Fields compared between the pinned snapshot and the current record
+const WATCHED_FIELDS = ['nadac_per_unit', 'classification_for_rate_setting', 'explanation_code'];
+
+function unitPrice(rec) {
+  const n = parseFloat(rec && rec.nadac_per_unit);
+  return Number.isFinite(n) ? n : null;
+}
+
+function fieldValue(rec, field) {
+  const v = rec ? rec[field] : undefined;
+  return v === undefined || v === null ? '' : v.toString().trim();
+}
+
+function sameValue(field, a, b) {
+  if (field === 'nadac_per_unit' && a !== '' && b !== '') return parseFloat(a) === parseFloat(b);
+  return a.toUpperCase() === b.toUpperCase();
+}
+
+function watchSnapshot(rec) {
+  const snapshot = { as_of_date: fieldValue(rec, 'as_of_date') };
+  for (const field of WATCHED_FIELDS) snapshot[field] = fieldValue(rec, field);
+  return snapshot;
+}
+
+/*
+  Cheapest alternative that can replace `selected` as is: same dosage form group, exact strength
+  and pricing unit, and a lower unit price. `alternatives` come from findAlternatives (generics only).
+*/
+function cheaperGeneric(selected, alternatives) {
+  const price = unitPrice(selected);
+  if (!selected || price === null) return null;
+  const unit = normalizePricingUnit(selected.pricing_unit);
+  const form = formGroupFor(selected).key;
+  let best = null;
+  for (const r of alternatives || []) {
+    const p = unitPrice(r);
+    if (p === null || p >= price) continue;
+    if (normalizePricingUnit(r.pricing_unit) !== unit || formGroupFor(r).key !== form) continue;
+    if (strengthDistance(selected.strength, r.strength) >= 1e-9) continue;
+    if (!best || p < unitPrice(best)) best = r;
+  }
+  return best;
+}
+
+// New watchlist entry for a record; `cheaper` is its cheaper generic when pinned, if any
+function createWatchItem(rec, cheaper, now = new Date()) {
+  return {
+    ndc: normalizeMedNdc(rec.ndc),
+    ndc_description: rec.ndc_description || '',
+    pricing_unit: rec.pricing_unit || '',
+    addedAt: now.toISOString(),
+    snapshot: watchSnapshot(rec),
+    cheaperGenericNdc: cheaper ? normalizeMedNdc(cheaper.ndc) : null,
+  };
+}
+
+// [{ field, previous, current }] for watched fields that differ from the pinned snapshot
+function watchChanges(item, current) {
+  if (!item || !current) return [];
+  const changes = [];
+  for (const field of WATCHED_FIELDS) {
+    const previous = fieldValue(item.snapshot, field);
+    const now = fieldValue(current, field);
+    if (!sameValue(field, previous, now)) changes.push({ field, previous, current: now });
+  }
+  return changes;
+}
+
+// Entry with the current values accepted as the new baseline
+function acknowledgeWatchItem(item, current, cheaper) {
+  if (!current) return item;
+  return {
+    ...item,
+    ndc_description: current.ndc_description || item.ndc_description,
+    snapshot: watchSnapshot(current),
+    cheaperGenericNdc: cheaper ? normalizeMedNdc(cheaper.ndc) : null,
+  };
+}
+
+function serializeWatchlist(items, now = new Date()) {
+  return { version: WATCHLIST_VERSION, exportedAt: now.toISOString(), items };
+}
+
+// Entries from exported JSON (object or string); throws on anything that is not a watchlist export
+function parseWatchlist(data) {
+  const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!parsed || parsed.version !== WATCHLIST_VERSION || !Array.isArray(parsed.items)) {
+    throw new Error('Not a watchlist export (expected { version: 1, items: [...] })');
+  }
+  const seen = new Set();
+  const items = [];
+  for (const it of parsed.items) {
+    const ndc = normalizeMedNdc(it && it.ndc);
+    if (ndc.length !== 11 || seen.has(ndc)) continue;
+    seen.add(ndc);
+    const snapshot = { as_of_date: fieldValue(it.snapshot, 'as_of_date') };
+    for (const field of WATCHED_FIELDS) snapshot[field] = fieldValue(it.snapshot, field);
+    items.push({
+      ndc,
+      ndc_description: fieldValue(it, 'ndc_description'),
+      pricing_unit: fieldValue(it, 'pricing_unit'),
+      addedAt: fieldValue(it, 'addedAt'),
+      snapshot,
+      cheaperGenericNdc: it.cheaperGenericNdc ? normalizeMedNdc(it.cheaperGenericNdc) : null,
+    });
+  }
+  return items;
+}
+
+// Imported entries added to `items`; an NDC already watched keeps its existing baseline
+function mergeWatchlists(items, imported) {
+  const have = new Set(items.map(it => it.ndc));
+  return [...items, ...imported.filter(it => !have.has(it.ndc))];
+}
+
+module.exports = {
+  WATCHLIST_VERSION,
+  WATCHED_FIELDS,
+  cheaperGeneric,
+  createWatchItem,
+  watchChanges,
+  acknowledgeWatchItem,
+  serializeWatchlist,
+  parseWatchlist,
+  mergeWatchlists,
+};
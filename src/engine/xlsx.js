@@ -0,0 +1,294 @@
+/*
+  Minimal XLSX support, no external dependency
+  - buildXlsx: writer for exports; inline-string and number cells, one or more sheets, no styles.
+    Entries are stored uncompressed; returns a Uint8Array usable as a Blob part or written with fs
+  - readXlsxRows: first worksheet of an uploaded workbook as rows of cell values. Compressed entries
+    need an `inflateRaw(bytes) -> Promise<bytes>` (DecompressionStream in browsers, zlib in Node)
+*/
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// UTF-8 bytes without TextEncoder (missing in some test environments)
+function utf8(str) {
+  const out = [];
+  for (const ch of str) {
+    const cp = ch.codePointAt(0);
+    if (cp < 0x80) out.push(cp);
+    else if (cp < 0x800) out.push(0xc0 | (cp >> 6), 0x80 | (cp & 63));
+    else if (cp < 0x10000) out.push(0xe0 | (cp >> 12), 0x80 | ((cp >> 6) & 63), 0x80 | (cp & 63));
+    else out.push(0xf0 | (cp >> 18), 0x80 | ((cp >> 12) & 63), 0x80 | ((cp >> 6) & 63), 0x80 | (cp & 63));
+  }
+  return Uint8Array.from(out);
+}
+
+// UTF-8 text from bytes without TextDecoder; invalid sequences become U+FFFD
+function decodeUtf8(bytes) {
+  let out = '';
+  let i = 0;
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) i = 3; // byte order mark
+  const parts = [];
+  while (i < bytes.length) {
+    const b = bytes[i];
+    let cp = 0xfffd;
+    let len = 1;
+    if (b < 0x80) cp = b;
+    else if (b >= 0xc2 && b < 0xe0 && i + 1 < bytes.length) { cp = ((b & 31) << 6) | (bytes[i + 1] & 63); len = 2; }
+    else if (b >= 0xe0 && b < 0xf0 && i + 2 < bytes.length) { cp = ((b & 15) << 12) | ((bytes[i + 1] & 63) << 6) | (bytes[i + 2] & 63); len = 3; }
+    else if (b >= 0xf0 && b < 0xf5 && i + 3 < bytes.length) {
+      cp = ((b & 7) << 18) | ((bytes[i + 1] & 63) << 12) | ((bytes[i + 2] & 63) << 6) | (bytes[i + 3] & 63);
+      len = 4;
+    }
+    parts.push(String.fromCodePoint(cp));
+    i += len;
+    if (parts.length >= 8192) {
+      out += parts.join('');
+      parts.length = 0;
+    }
+  }
+  return out + parts.join('');
+}
+
+// Stored (uncompressed) zip archive of [{ name, data: Uint8Array }]
+function zipStore(files) {
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  const u16 = (v) => [v & 0xff, (v >> 8) & 0xff];
+  const u32 = (v) => [v & 0xff, (v >> 8) & 0xff, (v >> 16) & 0xff, (v >>> 24) & 0xff];
+  for (const f of files) {
+    const name = utf8(f.name);
+    const crc = crc32(f.data);
+    const size = f.data.length;
+    // version 2.0, UTF-8 names (flag bit 11), stored, no timestamp
+    const common = [...u16(20), ...u16(0x0800), ...u16(0), ...u16(0), ...u16(0x21), ...u32(crc), ...u32(size), ...u32(size), ...u16(name.length), ...u16(0)];
+    const local = Uint8Array.from([...u32(0x04034b50), ...common]);
+    chunks.push(local, name, f.data);
+    central.push(Uint8Array.from([...u32(0x02014b50), ...u16(20), ...common, ...u16(0), ...u16(0), ...u16(0), ...u32(0), ...u32(offset)]), name);
+    offset += local.length + name.length + size;
+  }
+  const centralSize = central.reduce((n, c) => n + c.length, 0);
+  const end = Uint8Array.from([
+    ...u32(0x06054b50), ...u16(0), ...u16(0), ...u16(files.length), ...u16(files.length),
+    ...u32(centralSize), ...u32(offset), ...u16(0),
+  ]);
+  const parts = [...chunks, ...central, end];
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // XML 1.0 characters only: no controls other than tab, newline and carriage return, no U+FFFE/U+FFFF
+    // and no unpaired surrogates (with the u flag a valid pair is one code point, which is kept)
+    .replace(/[^\t\n\r\u0020-\ud7ff\ue000-\ufffd\u{10000}-\u{10ffff}]/gu, '');
+}
+
+// A1-style column letters: 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let s = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+function sheetXml(rows) {
+  const body = rows.map((row, r) => {
+    const cells = row.map((v, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (v === null || v === undefined || v === '') return '';
+      if (typeof v === 'number' && Number.isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(v)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + `<sheetData>${body}</sheetData></worksheet>`;
+}
+
+// Sheet names: at most 31 characters, none of []:*?/\
+function sheetName(name, i) {
+  const clean = String(name || '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31);
+  return clean || `Sheet${i + 1}`;
+}
+
+// Workbook bytes for [{ name, rows: [[string | number | null]] }]
+function buildXlsx(sheets) {
+  const names = sheets.map((s, i) => escapeXml(sheetName(s.name, i)));
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      xml: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      xml: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      xml: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets>${names.map((n, i) => `<sheet name="${n}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>`
+        + '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      xml: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + '</Relationships>',
+    },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, xml: sheetXml(s.rows) })),
+  ];
+  return zipStore(files.map(f => ({ name: f.name, data: utf8(f.xml) })));
+}
+
+// name -> { method, data } for every entry of a zip archive, read from its central directory
+function unzipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not an XLSX file (no zip directory found)');
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(pos, true) !== 0x02014b50) throw new Error('Corrupt XLSX zip directory');
+    const method = view.getUint16(pos + 10, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const name = decodeUtf8(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    entries.set(name, { method, data: bytes.subarray(dataStart, dataStart + compressedSize) });
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function decodeXml(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (m, e) => {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[e.toLowerCase()];
+    if (named) return named;
+    return String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+  });
+}
+
+// Concatenated text of the <t> runs in a string item (rich text has several)
+function itemText(xml) {
+  let text = '';
+  const re = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let m;
+  while ((m = re.exec(xml)) !== null) text += decodeXml(m[1]);
+  return text;
+}
+
+// Zero-based column index of an A1 reference ("C7" -> 2)
+function columnIndex(ref) {
+  let n = 0;
+  for (const ch of ref.replace(/\d+$/, '')) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// Rows of the first worksheet: strings for text cells, numbers for numeric ones, '' for gaps
+async function readXlsxRows(bytes, inflateRaw) {
+  const entries = unzipEntries(bytes);
+  const text = async (name) => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    if (entry.method === 0) return decodeUtf8(entry.data);
+    if (entry.method !== 8 || !inflateRaw) throw new Error(`Unsupported XLSX compression for ${name}`);
+    return decodeUtf8(await inflateRaw(entry.data));
+  };
+  // First sheet in workbook order, resolved through the workbook relationships
+  const workbook = (await text('xl/workbook.xml')) || '';
+  const rels = (await text('xl/_rels/workbook.xml.rels')) || '';
+  const firstSheet = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  if (firstSheet) {
+    const rel = rels.match(new RegExp(`<Relationship\\b[^>]*Id="${firstSheet[1]}"[^>]*>`));
+    const target = rel && rel[0].match(/Target="([^"]+)"/);
+    if (target) sheetPath = target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+  }
+  const sheet = await text(sheetPath);
+  if (sheet === null) throw new Error('The workbook has no readable worksheet');
+  const sharedXml = (await text('xl/sharedStrings.xml')) || '';
+  const shared = [];
+  const siRe = /<si>([\s\S]*?)<\/si>/g;
+  let m;
+  while ((m = siRe.exec(sharedXml)) !== null) shared.push(itemText(m[1]));
+
+  const rows = [];
+  const rowRe = /<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g;
+  const cellRe = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+  while ((m = rowRe.exec(sheet)) !== null) {
+    const rowNumber = (m[0].match(/\br="(\d+)"/) || [])[1];
+    const row = [];
+    let c;
+    let next = 0;
+    while ((c = cellRe.exec(m[1] || '')) !== null) {
+      const attrs = c[1];
+      const inner = c[2] || '';
+      const ref = (attrs.match(/\br="([A-Z]+\d+)"/) || [])[1];
+      const col = ref ? columnIndex(ref) : next;
+      const type = (attrs.match(/\bt="(\w+)"/) || [])[1];
+      const raw = (inner.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+      let value = '';
+      if (type === 's') value = shared[Number(raw)] || '';
+      else if (type === 'inlineStr') value = itemText(inner);
+      else if (type === 'str' || type === 'e') value = raw === undefined ? '' : decodeXml(raw);
+      else if (type === 'b') value = raw === '1';
+      else if (raw !== undefined) value = Number(raw);
+      while (row.length < col) row.push('');
+      row[col] = value;
+      next = col + 1;
+    }
+    if (rowNumber) while (rows.length < Number(rowNumber) - 1) rows.push([]);
+    rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = {
+  decodeUtf8,
+  buildXlsx,
+  readXlsxRows,
+};
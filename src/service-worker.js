@@ -0,0 +1,153 @@
+/* eslint-env es2020, serviceworker */
+// `self` is this worker's global scope, not the window alias the app's lint config restricts
+/* eslint no-restricted-globals: ["error", "event"] */
+/*
+  Service worker (production builds only; registered from serviceWorkerRegistration.js)
+  - App shell: the build assets are precached by Workbox (CRA injects self.__WB_MANIFEST) and
+    navigations are answered with index.html, so the app starts offline
+  - Dataset: the files listed in the enriched manifest's datasetFiles are cached together in one
+    cache per datasetVersion, and the page is always served from the active version. A newer
+    manifest on the network is announced to the page ('dataset-update-available') instead of
+    being mixed in; the page's "Update data" action ('update-dataset') downloads the complete new
+    version, switches to it and drops the old one
+  - Manifests without a datasetVersion (older pipeline outputs) are passed through to the network
+  Messages to pages: { type: 'dataset-update-available' | 'dataset-progress' | 'dataset-updated' | 'dataset-update-failed', ... }
+*/
+
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { datasetCacheName, staleDatasetCaches } from './datasetCache';
+
+// ServiceWorkerGlobalScope
+const sw = globalThis;
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations that are not for a file (no extension) get the app shell
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+sw.addEventListener('message', (event) => {
+  if (!event.data) return;
+  if (event.data.type === 'SKIP_WAITING') sw.skipWaiting();
+  if (event.data.type === 'update-dataset') event.waitUntil(updateDataset());
+});
+
+const DATA_PREFIX = `${new URL(sw.registration.scope).pathname}data/`;
+const MANIFEST_PATH = 'enriched-chunks/chunks-manifest.json';
+const META_CACHE = 'medicine-search-dataset-meta';
+const META_KEY = 'active-dataset';
+const DOWNLOAD_BATCH = 4; // dataset files fetched at a time
+
+const dataUrl = (rel) => new URL(`${DATA_PREFIX}${rel}`, sw.location.origin).href;
+const datasetCache = (version) => caches.open(datasetCacheName(version));
+
+async function broadcast(msg) {
+  const clients = await sw.clients.matchAll({ includeUncontrolled: true });
+  for (const client of clients) client.postMessage(msg);
+}
+
+// { version, asOfDate } of the dataset pages are served from, or null before the first complete download
+async function activeDataset() {
+  const meta = await caches.open(META_CACHE);
+  const hit = await meta.match(META_KEY);
+  return hit ? hit.json() : null;
+}
+
+async function setActiveDataset(active) {
+  const meta = await caches.open(META_CACHE);
+  await meta.put(META_KEY, new Response(JSON.stringify(active), { headers: { 'Content-Type': 'application/json' } }));
+  await Promise.all(staleDatasetCaches(await caches.keys(), active.version).map(n => caches.delete(n)));
+}
+
+async function fetchManifest() {
+  const resp = await fetch(dataUrl(MANIFEST_PATH), { cache: 'no-store' });
+  if (!resp.ok) throw new Error(`Failed to fetch the dataset manifest (${resp.status})`);
+  return resp.json();
+}
+
+/*
+  Download every file of `manifest`'s dataset into its own cache, then make it the active one.
+  Optional files missing on the server (404) are skipped; any other failure discards the partial
+  download and leaves the previous dataset active.
+*/
+async function installDataset(manifest, { onProgress } = {}) {
+  const version = manifest.datasetVersion;
+  const cache = await datasetCache(version);
+  const files = manifest.datasetFiles || [];
+  try {
+    for (let i = 0; i < files.length; i += DOWNLOAD_BATCH) {
+      await Promise.all(files.slice(i, i + DOWNLOAD_BATCH).map(async (rel) => {
+        const url = dataUrl(rel);
+        if (await cache.match(url)) return;
+        const resp = await fetch(url, { cache: 'no-store' });
+        if (resp.status === 404) return;
+        if (!resp.ok) throw new Error(`Failed to fetch ${rel} (${resp.status})`);
+        await cache.put(url, resp);
+      }));
+      if (onProgress) onProgress(Math.min(i + DOWNLOAD_BATCH, files.length), files.length);
+    }
+    await cache.put(dataUrl(MANIFEST_PATH), new Response(JSON.stringify(manifest), { headers: { 'Content-Type': 'application/json' } }));
+  } catch (e) {
+    await caches.delete(datasetCacheName(version));
+    throw e;
+  }
+  await setActiveDataset({ version, asOfDate: manifest.asOfDate || '' });
+}
+
+// Tell pages when the network has a different dataset than the active one
+async function checkForUpdate(active) {
+  try {
+    const manifest = await fetchManifest();
+    if (manifest.datasetVersion && manifest.datasetVersion !== active.version) {
+      await broadcast({ type: 'dataset-update-available', version: manifest.datasetVersion, asOfDate: manifest.asOfDate || '' });
+    }
+  } catch (e) {
+    // Offline or server error: keep using the cached dataset
+  }
+}
+
+async function updateDataset() {
+  try {
+    const manifest = await fetchManifest();
+    if (!manifest.datasetVersion) throw new Error('The published dataset has no version');
+    const onProgress = (loaded, total) => broadcast({ type: 'dataset-progress', loaded, total });
+    await installDataset(manifest, { onProgress });
+    await broadcast({ type: 'dataset-updated', version: manifest.datasetVersion, asOfDate: manifest.asOfDate || '' });
+  } catch (e) {
+    await broadcast({ type: 'dataset-update-failed', message: (e && e.message) || String(e) });
+  }
+}
+
+async function handleDataRequest(event, rel) {
+  const active = await activeDataset();
+  const cache = active ? await datasetCache(active.version) : null;
+  const cached = cache ? await cache.match(dataUrl(rel), { ignoreSearch: true }) : undefined;
+  if (rel === MANIFEST_PATH) {
+    if (cached) {
+      event.waitUntil(checkForUpdate(active));
+      return cached;
+    }
+    // First load (or an unversioned dataset): use the network and keep a complete copy for next time
+    const resp = await fetch(event.request);
+    if (resp.ok) {
+      event.waitUntil(resp.clone().json()
+        .then(manifest => (manifest.datasetVersion ? installDataset(manifest) : null))
+        .catch(e => console.warn('Dataset not cached for offline use', e)));
+    }
+    return resp;
+  }
+  return cached || fetch(event.request);
+}
+
+sw.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== sw.location.origin || !url.pathname.startsWith(DATA_PREFIX)) return;
+  event.respondWith(handleDataRequest(event, url.pathname.slice(DATA_PREFIX.length)));
+});
@@ -0,0 +1,41 @@
+/*
+  Service worker registration (production builds; see service-worker.js) and the page side of its dataset messages
+  - register(): registers the worker once the page has loaded
+  - onDatasetMessage(listener) -> unsubscribe; a pending 'dataset-update-available' is replayed to new listeners
+  - requestDatasetUpdate(): asks the controlling worker to download the newer dataset; false without one
+*/
+
+const listeners = new Set();
+let pendingUpdate = null; // last 'dataset-update-available' not yet applied
+
+function dispatch(msg) {
+  if (!msg || typeof msg.type !== 'string' || !msg.type.startsWith('dataset-')) return;
+  if (msg.type === 'dataset-update-available') pendingUpdate = msg;
+  if (msg.type === 'dataset-updated') pendingUpdate = null;
+  for (const listener of listeners) listener(msg);
+}
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // Assets served from another origin (CDN) cannot be controlled by a worker on this one
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+  navigator.serviceWorker.addEventListener('message', (event) => dispatch(event.data));
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(e => console.error('Service worker registration failed', e));
+  });
+}
+
+export function onDatasetMessage(listener) {
+  listeners.add(listener);
+  if (pendingUpdate) listener(pendingUpdate);
+  return () => listeners.delete(listener);
+}
+
+export function requestDatasetUpdate() {
+  const controller = 'serviceWorker' in navigator ? navigator.serviceWorker.controller : null;
+  if (!controller) return false;
+  controller.postMessage({ type: 'update-dataset' });
+  return true;
+}
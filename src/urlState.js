@@ -0,0 +1,60 @@
+import { normalizeMedNdc, PHARMACY_TYPES, OTC_OPTIONS } from './engine';
+
+/*
+  Shareable view state in the query string, e.g. ?ndc=00087606005&q=GLUCOPHAGE+500+MG+TABLET&filter=branded&ab=1
+  - view: 'watchlist' | 'formulary' | 'compare' (omitted for search)
+  - ndc: selected package in any NDC form; q: its description, shown when the NDC is no longer in the dataset
+    and used on its own when a link has no NDC
+  - filter: drug filter; forms: dosage form group keys ('all' = every group, omitted = the selection's own group)
+  - ab: '1' for AB-rated alternatives only; sort: 'savings' (omitted for relevance)
+  - group: 'rxnorm' to group alternatives by RxNorm clinical drug
+  - pharmacy: 'chain' | 'independent'; otc: 'otc' | 'rx'; codes: explanation codes, comma separated
+    (the record filter; each omitted when it does not narrow)
+*/
+const VIEWS = ['search', 'watchlist', 'formulary', 'compare'];
+const DRUG_FILTERS = ['all', 'branded', 'generic'];
+
+export function readUrlState(search) {
+  const params = new URLSearchParams(search);
+  const forms = params.get('forms');
+  return {
+    view: VIEWS.includes(params.get('view')) ? params.get('view') : 'search',
+    ndc: (params.get('ndc') || '').trim() || null,
+    description: (params.get('q') || '').trim() || null,
+    drugFilter: DRUG_FILTERS.includes(params.get('filter')) ? params.get('filter') : 'all',
+    forms: forms === null ? undefined : forms === 'all' ? null : forms.split(',').filter(Boolean),
+    abRatedOnly: params.get('ab') === '1',
+    sort: params.get('sort') === 'savings' ? 'savings' : 'relevance',
+    groupByClinicalDrug: params.get('group') === 'rxnorm',
+    recordFilter: {
+      pharmacyType: PHARMACY_TYPES.some(t => t.key === params.get('pharmacy')) ? params.get('pharmacy') : 'all',
+      otc: OTC_OPTIONS.some(o => o.key === params.get('otc')) ? params.get('otc') : 'all',
+      explanationCodes: (params.get('codes') || '').split(',').filter(c => /^[0-9]+$/.test(c)),
+    },
+  };
+}
+
+// Query string ('' for the default view) in the order readUrlState documents
+export function urlSearchFor(state) {
+  const params = new URLSearchParams();
+  if (state.view && state.view !== 'search') params.set('view', state.view);
+  if (state.ndc) params.set('ndc', state.ndc);
+  if (state.description) params.set('q', state.description);
+  if (state.drugFilter && state.drugFilter !== 'all') params.set('filter', state.drugFilter);
+  if (state.forms !== undefined) params.set('forms', state.forms === null ? 'all' : state.forms.join(','));
+  if (state.abRatedOnly) params.set('ab', '1');
+  if (state.sort === 'savings') params.set('sort', 'savings');
+  if (state.groupByClinicalDrug) params.set('group', 'rxnorm');
+  const recordFilter = state.recordFilter || {};
+  if (recordFilter.pharmacyType && recordFilter.pharmacyType !== 'all') params.set('pharmacy', recordFilter.pharmacyType);
+  if (recordFilter.otc && recordFilter.otc !== 'all') params.set('otc', recordFilter.otc);
+  if (recordFilter.explanationCodes && recordFilter.explanationCodes.length > 0) params.set('codes', recordFilter.explanationCodes.join(','));
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Whether two URL states are different history entries (another view or selection) rather than filter tweaks
+export function isNewHistoryEntry(a, b) {
+  const ndcKey = (s) => (s.ndc ? normalizeMedNdc(s.ndc) : s.description || '');
+  return a.view !== b.view || ndcKey(a) !== ndcKey(b);
+}
@@ -0,0 +1,22 @@
+import { serializeWatchlist, parseWatchlist } from './engine';
+
+// Watchlist persistence in localStorage, in the same format as the JSON export
+const STORAGE_KEY = 'medicine-search.watchlist';
+
+export function loadWatchlist() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? parseWatchlist(raw) : [];
+  } catch (e) {
+    console.warn('Ignoring unreadable stored watchlist', e);
+    return [];
+  }
+}
+
+export function saveWatchlist(items) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(serializeWatchlist(items)));
+  } catch (e) {
+    console.warn('Failed to store the watchlist', e);
+  }
+}
@@ -0,0 +1,226 @@
+import { createDataService } from '../dataService';
+
+const { buildInvertedIndex, buildFuzzyIndex, describeFacets } = require('../../engine');
+const { loadFixtureChunks } = require('../../engine/__fixtures__');
+const fixtureManifest = require('../../engine/__fixtures__/chunks-manifest.json');
+
+const chunks = loadFixtureChunks();
+const records = chunks.flat();
+
+// Serves the fixture chunks under http://test/data/, optionally with the inverted and fuzzy indexes;
+// `overrides` replaces files by path
+function mockFetch({ withIndex, overrides = {} }) {
+  const files = {
+    'enriched-chunks/chunks-manifest.json': withIndex ? { ...fixtureManifest, invertedIndex: 'inverted-index.json' } : fixtureManifest,
+    'enriched-chunks/inverted-index.json': buildInvertedIndex(chunks),
+    'search-index-enriched.json': { descriptions: Array.from(new Set(records.map(r => r.ndc_description))).sort() },
+    ...(withIndex ? { 'search-index-fuzzy.json': buildFuzzyIndex(records), 'description-facets.json': describeFacets(records) } : {}),
+    'description-classification.json': Object.fromEntries(
+      records.filter(r => r.classification_for_rate_setting).map(r => [r.ndc_description, r.classification_for_rate_setting])
+    ),
+  };
+  fixtureManifest.chunks.forEach((ch, i) => { files[`enriched-chunks/${ch.filename}`] = chunks[i]; });
+  Object.assign(files, overrides);
+  const fetched = [];
+  global.fetch = jest.fn(async (url) => {
+    const rel = url.replace('http://test/data/', '');
+    fetched.push(rel);
+    return rel in files
+      ? { ok: true, status: 200, json: async () => files[rel] }
+      : { ok: false, status: 404, json: async () => null };
+  });
+  return fetched;
+}
+
+// Keep expected 404s for optional files out of the test output
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+function startService() {
+  const replies = [];
+  const service = createDataService((msg) => replies.push(msg));
+  const send = (msg) => service.handle(msg);
+  const final = (id) => replies.find(r => r.id === id && r.type !== 'progress');
+  return { replies, send, final };
+}
+
+describe('data service protocol', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('loads the indexes without fetching record chunks', async () => {
+    const fetched = mockFetch({ withIndex: true });
+    const { send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    expect(final(1)).toMatchObject({ type: 'loaded', descriptions: 9, manifest: { total: 12 } });
+    expect(fetched.some(f => f.includes('enriched-chunk-'))).toBe(false);
+  });
+
+  it('refuses a dataset written for another schema version', async () => {
+    mockFetch({ withIndex: true, overrides: { 'enriched-chunks/chunks-manifest.json': { ...fixtureManifest, schemaVersion: 2 } } });
+    const { send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    expect(final(1)).toMatchObject({ type: 'error', message: expect.stringContaining('schema version 2') });
+  });
+
+  it('answers suggest with ranked, highlighted descriptions', async () => {
+    mockFetch({ withIndex: true });
+    const { send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    await send({ type: 'suggest', id: 2, term: 'glucophag', drugFilter: 'branded' });
+    expect(final(2)).toEqual({
+      type: 'suggestions', id: 2, term: 'glucophag', suggestions: [{ description: 'GLUCOPHAGE 500 MG TABLET', spans: [[0, 9]], via: [] }],
+    });
+  });
+
+  it('narrows suggestions by the record filter', async () => {
+    const lisinopril = records.find(r => r.ndc === '68180098101');
+    mockFetch({ withIndex: true, overrides: { 'description-facets.json': describeFacets([...records.filter(r => r !== lisinopril), { ...lisinopril, otc: 'Y' }]) } });
+    const { send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    await send({ type: 'suggest', id: 2, term: 'tablet', recordFilter: { pharmacyType: 'all', otc: 'otc', explanationCodes: [] } });
+    expect(final(2).suggestions.map(s => s.description)).toEqual(['LISINOPRIL 10 MG TABLET']);
+  });
+
+  it('falls back to substring suggestions without the fuzzy index', async () => {
+    mockFetch({ withIndex: false });
+    const { send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    await send({ type: 'suggest', id: 2, term: 'glu', drugFilter: 'branded' });
+    expect(final(2).suggestions).toEqual([
+      { description: 'GLUCOPHAGE 500 MG TABLET', spans: [[0, 3]], via: [] },
+      { description: 'GLUMETZA ER 500 MG TABLET', spans: [[0, 3]], via: [] },
+    ]);
+  });
+
+  it('cancels a suggest superseded by a newer one', async () => {
+    mockFetch({ withIndex: true });
+    const { send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    const first = send({ type: 'suggest', id: 2, term: 'me' });
+    const second = send({ type: 'suggest', id: 3, term: 'metformin' });
+    await Promise.all([first, second]);
+    expect(final(2)).toEqual({ type: 'cancelled', id: 2 });
+    expect(final(3).suggestions.map(s => s.description)).toContain('METFORMIN HCL 500 MG TABLET');
+  });
+
+  it('selects and computes alternatives, reporting chunk progress', async () => {
+    mockFetch({ withIndex: true });
+    const { replies, send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    await send({ type: 'select', id: 2, description: 'GLUCOPHAGE 500 MG TABLET' });
+    const reply = final(2);
+    expect(reply.type).toBe('selected');
+    expect(reply.selected.ndc).toBe('00087606005');
+    expect(reply.alternatives.map(r => r.ndc)).toContain('00378071201');
+    // One phase for the description's chunk, one for the chunk holding the extended-release alternative
+    const completed = replies.filter(r => r.id === 2 && r.type === 'progress' && r.loaded === r.total);
+    expect(completed).toHaveLength(2);
+  });
+
+  it('resolves free text to the top-ranked description', async () => {
+    mockFetch({ withIndex: true });
+    const { send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    await send({ type: 'select', id: 2, description: 'lisinoprl 10' });
+    expect(final(2).selected.ndc_description).toBe('LISINOPRIL 10 MG TABLET');
+  });
+
+  it('looks up a label NDC straight to that package', async () => {
+    mockFetch({ withIndex: true });
+    const { send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    await send({ type: 'lookupNdc', id: 2, ndc: '0093-1048-10' });
+    const reply = final(2);
+    expect(reply.selected.ndc).toBe('00093104810');
+    expect(reply.ndcLookup).toEqual({ format: '4-4-2', candidates: ['00093104810'], matchedNdc: '00093104810' });
+    expect(reply.alternatives.length).toBeGreaterThan(0);
+  });
+
+  it('reports NDCs missing from the dataset', async () => {
+    const fetched = mockFetch({ withIndex: true });
+    const { send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    await send({ type: 'lookupNdc', id: 2, ndc: '12345-6789-01' });
+    expect(final(2)).toMatchObject({ selected: null, ndcLookup: { format: '5-4-2', matchedNdc: null } });
+    expect(fetched.some(f => f.includes('enriched-chunk-'))).toBe(false);
+  });
+
+  it('reports the current record and cheaper generic of watched NDCs', async () => {
+    mockFetch({ withIndex: true });
+    const { send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    await send({ type: 'watchlist', id: 2, ndcs: ['00087-6060-05', '12345678901'] });
+    const [watched, missing] = final(2).items;
+    expect(watched.current.ndc_description).toBe('GLUCOPHAGE 500 MG TABLET');
+    expect(watched.cheaperGeneric.ndc).toBe('65862000899');
+    expect(missing).toEqual({ ndc: '12345678901', current: null, cheaperGeneric: null });
+  });
+
+  it('prices an uploaded formulary line by line', async () => {
+    mockFetch({ withIndex: true });
+    const { replies, send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    const csv = 'NDC,Quantity\n00087-6060-05,60\n0087-6060-05,60\n12345678901,1\nnot an ndc,1\n';
+    const data = new Uint8Array(Buffer.from(csv)).buffer;
+    await send({ type: 'formulary', id: 2, fileName: 'list.csv', data });
+    const { results, summary, ndcColumn, quantityColumn } = final(2);
+    expect({ ndcColumn, quantityColumn }).toEqual({ ndcColumn: 'NDC', quantityColumn: 'Quantity' });
+    expect(results.map(r => r.status)).toEqual(['matched', 'matched', 'notFound', 'invalid']);
+    expect(results[1]).toMatchObject({ ndc: '00087606005', genericNdc: '65862000899', savings: 110.71 });
+    expect(summary).toMatchObject({ lines: 4, matched: 2, totalSavings: 221.42 });
+    expect(replies.filter(r => r.id === 2 && r.phase === 'lines').pop()).toMatchObject({ loaded: 4, total: 4 });
+  });
+
+  it('fails a selection whose chunk does not hold the records its manifest lists', async () => {
+    mockFetch({ withIndex: true, overrides: { 'enriched-chunks/enriched-chunk-1.json': chunks[0].slice(1) } });
+    const { send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    await send({ type: 'select', id: 2, description: 'GLUCOPHAGE 500 MG TABLET' });
+    expect(final(2)).toMatchObject({ type: 'error', message: expect.stringContaining('enriched-chunk-1.json') });
+  });
+
+  it('falls back to every chunk without an inverted index', async () => {
+    const fetched = mockFetch({ withIndex: false });
+    const { send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    await send({ type: 'select', id: 2, description: 'LISINOPRIL 10 MG TABLET' });
+    expect(final(2).selected.ndc).toBe('68180098101');
+    expect(fetched.filter(f => f.includes('enriched-chunk-'))).toHaveLength(2);
+  });
+
+  it('replies cancelled to a select cancelled while chunks load', async () => {
+    mockFetch({ withIndex: true });
+    const { send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    const pending = send({ type: 'select', id: 2, description: 'GLUCOPHAGE 500 MG TABLET' });
+    send({ type: 'cancel', targetId: 2 });
+    await pending;
+    expect(final(2)).toEqual({ type: 'cancelled', id: 2 });
+  });
+
+  it('ignores cancels for requests that already settled', async () => {
+    mockFetch({ withIndex: true });
+    const { replies, send, final } = startService();
+    await send({ type: 'load', id: 1, dataUrl: 'http://test/data/' });
+    await send({ type: 'suggest', id: 2, term: 'glucophag' });
+    send({ type: 'cancel', targetId: 2 });
+    send({ type: 'cancel', targetId: 42 });
+    // The stale cancel does not carry over to a later request with the same id
+    replies.length = 0;
+    await send({ type: 'select', id: 2, description: 'GLUCOPHAGE 500 MG TABLET' });
+    expect(final(2).type).toBe('selected');
+  });
+
+  it('reports unknown message types as errors', async () => {
+    const { send, final } = startService();
+    await send({ type: 'bogus', id: 9 });
+    expect(final(9)).toEqual({ type: 'error', id: 9, message: 'Unknown message type: bogus' });
+  });
+});
@@ -0,0 +1,5 @@
+// Isolated so tests can replace it: Jest cannot parse import.meta; null when Web Workers are unavailable
+export function createWorker() {
+  if (typeof Worker === 'undefined') return null;
+  return new Worker(new URL('./dataWorker.js', import.meta.url));
+}
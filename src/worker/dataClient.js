@@ -0,0 +1,62 @@
+/*
+  Promise-based client for the data worker (protocol documented in dataService.js)
+  - request(type, payload, { onProgress }) -> { id, promise }; the promise resolves with the final
+    reply ('loaded' | 'suggestions' | 'selected' | 'watchlist' | 'formulary' | 'cancelled') and rejects on 'error'
+  - onProgress receives { loaded, total, phase }; phase is 'lines' for formulary pricing, unset for chunk loads
+  - cancel(id) asks the worker to drop a request; its promise resolves with { type: 'cancelled' }
+  Falls back to running the service on the page when Web Workers are unavailable.
+*/
+
+import { createDataService } from './dataService';
+import { createWorker } from './createWorker';
+
+function createPort(onMessage) {
+  const worker = createWorker();
+  if (worker) {
+    worker.onmessage = (event) => onMessage(event.data);
+    return { post: (msg) => worker.postMessage(msg), terminate: () => worker.terminate() };
+  }
+  let terminated = false;
+  const service = createDataService((msg) => {
+    if (!terminated) setTimeout(() => onMessage(msg), 0);
+  });
+  return { post: (msg) => service.handle(msg), terminate: () => { terminated = true; } };
+}
+
+export function createDataClient() {
+  let nextId = 1;
+  const pending = new Map(); // id -> { resolve, reject, onProgress }
+
+  const port = createPort((msg) => {
+    const entry = pending.get(msg.id);
+    if (!entry) return;
+    if (msg.type === 'progress') {
+      if (entry.onProgress) entry.onProgress({ loaded: msg.loaded, total: msg.total, phase: msg.phase });
+      return;
+    }
+    pending.delete(msg.id);
+    if (msg.type === 'error') entry.reject(new Error(msg.message));
+    else entry.resolve(msg);
+  });
+
+  function request(type, payload = {}, { onProgress } = {}) {
+    const id = nextId++;
+    const promise = new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+    });
+    port.post({ ...payload, type, id });
+    return { id, promise };
+  }
+
+  function cancel(id) {
+    if (pending.has(id)) port.post({ type: 'cancel', targetId: id });
+  }
+
+  function terminate() {
+    port.terminate();
+    for (const entry of pending.values()) entry.resolve({ type: 'cancelled' });
+    pending.clear();
+  }
+
+  return { request, cancel, terminate };
+}
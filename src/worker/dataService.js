@@ -0,0 +1,339 @@
+/*
+  Dataset service behind the data worker
+  - Owns the description index, classification map, inverted chunk index and enriched chunk cache
+  - Message protocol (request -> replies, all tagged with the request id):
+    - { type: 'load', dataUrl }            -> { type: 'loaded', manifest, descriptions }
+      (a manifest for another schema version fails the load; see engine/schema.js)
+    - { type: 'suggest', term, drugFilter, recordFilter } -> { type: 'suggestions', term, suggestions: [{ description, spans, via }] }
+      (recordFilter: pharmacy type / OTC / explanation codes, matched against description facets; see engine/facets.js)
+    - { type: 'select', description }      -> { type: 'progress', loaded, total }*, then { type: 'selected', selected, alternatives }
+      (free text is resolved to the top-ranked description passing drugFilter and recordFilter)
+    - { type: 'lookupNdc', ndc }           -> same replies as select, with ndcLookup: { format, candidates, matchedNdc }
+      (any label, billing or barcode form; see engine/ndc.js)
+    - { type: 'watchlist', ndcs }          -> { type: 'progress', ... }*, then { type: 'watchlist', items: [{ ndc, current, cheaperGeneric }] }
+      (current is null for NDCs missing from the dataset)
+    - { type: 'formulary', fileName, data } -> { type: 'progress', loaded, total, phase: 'lines' }*, then
+      { type: 'formulary', results, summary, ndcColumn, quantityColumn } (data is the uploaded file's ArrayBuffer;
+      .xlsx files are read as workbooks, anything else as CSV; see engine/formulary.js)
+    - { type: 'cancel', targetId }         -> the target replies { type: 'cancelled' } instead of its result
+    - any failure                          -> { type: 'error', message }; a chunk that cannot be fetched or does not
+      hold the records its manifest entry lists fails the request instead of reading as empty
+  - A newer suggest supersedes one still waiting or scanning; long scans yield between slices so
+    cancel messages are seen while the user keeps typing
+  Runs inside dataWorker.js, or in the page when Web Workers are unavailable (see dataClient.js).
+*/
+
+import {
+  suggest, fuzzySearch, resolveDescription, selectMedicine, findAlternatives,
+  locateDescription, chunksForNdcs, chunksForAlternatives, LruCache, parseNdc, normalizeMedNdc, cheaperGeneric,
+  decodeUtf8, readXlsxRows, parseCsv, formularyLines, formularyLineResult, summarizeFormulary, checkSchemaVersion,
+} from '../engine';
+
+const CHUNK_CACHE_LIMIT = 24; // enriched chunks kept in memory between selections
+const SUGGEST_SLICE = 5000; // descriptions scanned before yielding to the message queue
+const SUGGEST_LIMIT = 10;
+const FORMULARY_SLICE = 250; // uploaded lines priced before yielding and reporting progress
+
+const yieldToQueue = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Raw deflate for compressed workbook entries
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed Excel files; save the sheet as CSV and upload that');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export function createDataService(post) {
+  let dataUrl = './data/';
+  let manifest = null;
+  let descriptions = [];
+  let descriptionSet = new Set();
+  let fuzzyIndex = null; // null = substring suggestions over descriptions only
+  let descClassMap = {};
+  let descFacets = null; // null = classification map only (older pipeline outputs)
+  let invertedIndex = null;
+  const chunkCache = new LruCache(CHUNK_CACHE_LIMIT); // filename -> array
+  const inFlight = new Set(); // ids of requests still running
+  const cancelled = new Set(); // the subset of inFlight whose caller has moved on
+  let activeSuggestId = null;
+
+  // Cancelling a request that already settled is a no-op, so `cancelled` never outlives its requests
+  const cancel = (id) => {
+    if (inFlight.has(id)) cancelled.add(id);
+  };
+
+  const fetchJson = async (rel) => {
+    const resp = await fetch(`${dataUrl}${rel}`);
+    if (!resp.ok) throw new Error(`Failed to fetch ${rel} (${resp.status})`);
+    return resp.json();
+  };
+
+  // Throws out of a request whose caller has moved on; handled by the dispatcher
+  const checkCancelled = (id) => {
+    if (cancelled.has(id)) {
+      const err = new Error('cancelled');
+      err.cancelled = true;
+      throw err;
+    }
+  };
+
+  async function load(id, msg) {
+    if (msg.dataUrl) dataUrl = msg.dataUrl;
+    const [m, index, classMap] = await Promise.all([
+      fetchJson('enriched-chunks/chunks-manifest.json'),
+      fetchJson('search-index-enriched.json'),
+      fetchJson('description-classification.json'),
+    ]);
+    manifest = checkSchemaVersion(m);
+    descriptions = index.descriptions || [];
+    descriptionSet = new Set(descriptions);
+    descClassMap = classMap || {};
+    // Ranked fuzzy search is optional; older pipeline outputs do not include its index
+    try {
+      fuzzyIndex = await fetchJson('search-index-fuzzy.json');
+    } catch (e) {
+      console.warn('Fuzzy search index unavailable; suggestions will use substring matching', e);
+    }
+    // Per-description facets are optional as well; without them the record filter does not narrow suggestions
+    try {
+      descFacets = await fetchJson('description-facets.json');
+    } catch (e) {
+      console.warn('Description facets unavailable; suggestions are filtered by the classification map only', e);
+    }
+    // Chunks are fetched on selection; the inverted index says which ones a selection needs
+    if (manifest.invertedIndex) {
+      try {
+        invertedIndex = await fetchJson(`enriched-chunks/${manifest.invertedIndex}`);
+      } catch (e) {
+        console.warn('Inverted index unavailable; selections will load every chunk', e);
+      }
+    }
+    post({ type: 'loaded', id, manifest, descriptions: descriptions.length });
+  }
+
+  async function runSuggest(id, msg) {
+    if (activeSuggestId !== null && activeSuggestId !== id) cancel(activeSuggestId);
+    activeSuggestId = id;
+    const opts = { drugFilter: msg.drugFilter, recordFilter: msg.recordFilter, descClassMap, descFacets };
+    let out = [];
+    if (fuzzyIndex) {
+      await yieldToQueue();
+      checkCancelled(id);
+      out = fuzzySearch(fuzzyIndex, msg.term, { ...opts, limit: SUGGEST_LIMIT })
+        .map(({ description, spans, via }) => ({ description, spans, via }));
+    } else {
+      const needle = (msg.term || '').toLowerCase();
+      for (let i = 0; i < descriptions.length && out.length < SUGGEST_LIMIT; i += SUGGEST_SLICE) {
+        await yieldToQueue();
+        checkCancelled(id);
+        const found = suggest(descriptions.slice(i, i + SUGGEST_SLICE), msg.term, { ...opts, limit: SUGGEST_LIMIT - out.length });
+        out.push(...found.map(description => {
+          const start = description.toLowerCase().indexOf(needle);
+          return { description, spans: [[start, start + needle.length]], via: [] };
+        }));
+      }
+    }
+    if (activeSuggestId === id) activeSuggestId = null;
+    post({ type: 'suggestions', id, term: msg.term, suggestions: out });
+  }
+
+  // Fetch the given enriched chunks (by position in the manifest), reporting progress for the ones not cached.
+  // Returns one record array per chunk; cache eviction does not affect the returned arrays.
+  async function loadChunkArrays(id, chunkIndices) {
+    const metas = chunkIndices.map(i => manifest.chunks[i]).filter(Boolean);
+    const missing = metas.filter(ch => !chunkCache.has(ch.filename));
+    let loaded = 0;
+    if (missing.length > 0) post({ type: 'progress', id, loaded, total: missing.length });
+    const arrays = await Promise.all(metas.map(async (ch) => {
+      const cached = chunkCache.get(ch.filename);
+      if (cached) return cached;
+      try {
+        const arr = await fetchJson(`enriched-chunks/${ch.filename}`);
+        if (!Array.isArray(arr) || arr.length !== ch.count) {
+          throw new Error(`it does not hold the ${ch.count} records the manifest lists`);
+        }
+        chunkCache.set(ch.filename, arr);
+        return arr;
+      } catch (e) {
+        throw new Error(`Enriched chunk ${ch.filename} could not be loaded: ${e.message}`);
+      } finally {
+        loaded += 1;
+        post({ type: 'progress', id, loaded, total: missing.length });
+      }
+    }));
+    return arrays;
+  }
+
+  // Records of the given chunks in chunk order
+  const loadChunks = async (id, chunkIndices) => (await loadChunkArrays(id, chunkIndices)).flat();
+
+  const allChunkIndices = () => (manifest ? manifest.chunks.map((_, i) => i) : []);
+
+  // Selected record for an exact description (optionally a specific package NDC) and its alternatives
+  async function selectionFor(id, description, { ndc } = {}) {
+    const allChunks = allChunkIndices();
+    const located = invertedIndex ? locateDescription(invertedIndex, description) : null;
+    const descChunks = located ? Array.from(new Set(located.map(([c]) => c))) : allChunks;
+    const selected = selectMedicine(await loadChunks(id, descChunks), description, { ndc });
+    checkCancelled(id);
+    if (!selected) return { selected: null, alternatives: [] };
+    const altChunks = invertedIndex ? chunksForAlternatives(invertedIndex, selected, allChunks.length) : allChunks;
+    const records = await loadChunks(id, altChunks);
+    checkCancelled(id);
+    return { selected, alternatives: findAlternatives(records, selected) };
+  }
+
+  // Records for 11-digit NDCs, keyed by NDC digits
+  async function recordsForNdcs(id, ndcs) {
+    const chunks = (invertedIndex && chunksForNdcs(invertedIndex, ndcs)) || allChunkIndices();
+    const records = await loadChunks(id, chunks);
+    checkCancelled(id);
+    return new Map(records.map(r => [normalizeMedNdc(r.ndc), r]));
+  }
+
+  async function selectDescription(id, description, { ndc, extra = {} } = {}) {
+    const { selected, alternatives } = await selectionFor(id, description, { ndc });
+    post({ type: 'selected', id, selected, alternatives, ...extra });
+  }
+
+  async function select(id, msg) {
+    const description = descriptionSet.has(msg.description) || !fuzzyIndex
+      ? msg.description
+      : resolveDescription(fuzzyIndex, msg.description, { drugFilter: msg.drugFilter, recordFilter: msg.recordFilter, descClassMap, descFacets });
+    if (!description) {
+      post({ type: 'selected', id, selected: null, alternatives: [] });
+      return;
+    }
+    await selectDescription(id, description);
+  }
+
+  async function lookupNdc(id, msg) {
+    const parsed = parseNdc(msg.ndc);
+    const ndcLookup = { format: parsed ? parsed.format : null, candidates: parsed ? parsed.candidates : [], matchedNdc: null };
+    if (!parsed) {
+      post({ type: 'selected', id, selected: null, alternatives: [], ndcLookup });
+      return;
+    }
+    // Ambiguous 10-digit forms list candidates in label-layout order; the first one present wins
+    const byNdc = await recordsForNdcs(id, parsed.candidates);
+    const hit = parsed.candidates.map(c => byNdc.get(c)).find(Boolean);
+    if (!hit) {
+      post({ type: 'selected', id, selected: null, alternatives: [], ndcLookup });
+      return;
+    }
+    ndcLookup.matchedNdc = normalizeMedNdc(hit.ndc);
+    await selectDescription(id, hit.ndc_description, { ndc: hit.ndc, extra: { ndcLookup } });
+  }
+
+  // Current record and cheaper generic for each watched NDC
+  async function watchlist(id, msg) {
+    const ndcs = (msg.ndcs || []).map(normalizeMedNdc);
+    const byNdc = await recordsForNdcs(id, ndcs);
+    const items = [];
+    for (const ndc of ndcs) {
+      const current = byNdc.get(ndc) || null;
+      if (!current) {
+        items.push({ ndc, current: null, cheaperGeneric: null });
+        continue;
+      }
+      const { selected, alternatives } = await selectionFor(id, current.ndc_description, { ndc: current.ndc });
+      items.push({ ndc, current, cheaperGeneric: cheaperGeneric(selected, alternatives) });
+    }
+    post({ type: 'watchlist', id, items });
+  }
+
+  /*
+    Uploaded NDC list priced line by line. Every chunk the job touches is kept for the whole job
+    (the shared cache is too small for a large formulary), and each distinct NDC is priced once.
+  */
+  async function formulary(id, msg) {
+    const bytes = new Uint8Array(msg.data);
+    const rows = /\.xlsx$/i.test(msg.fileName || '')
+      ? await readXlsxRows(bytes, inflateRaw)
+      : parseCsv(decodeUtf8(bytes));
+    const { lines, ndcColumn, quantityColumn } = formularyLines(rows);
+    const parsed = new Map(lines.map(l => [l.input, parseNdc(l.input)]));
+    const candidates = new Set();
+    for (const p of parsed.values()) if (p) p.candidates.forEach(c => candidates.add(c));
+    const allChunks = allChunkIndices();
+
+    const jobChunks = new Map(); // chunk index -> records
+    const recordsOf = async (indices) => {
+      const missing = indices.filter(i => !jobChunks.has(i));
+      if (missing.length > 0) {
+        const arrays = await loadChunkArrays(id, missing);
+        missing.forEach((c, k) => jobChunks.set(c, arrays[k]));
+        checkCancelled(id);
+      }
+      return [].concat(...indices.map(i => jobChunks.get(i)));
+    };
+
+    const byNdc = new Map();
+    const ndcChunks = (invertedIndex && chunksForNdcs(invertedIndex, Array.from(candidates))) || allChunks;
+    for (const r of await recordsOf(ndcChunks)) byNdc.set(normalizeMedNdc(r.ndc), r);
+
+    const priced = new Map(); // matched NDC -> { record, cheapest }
+    const pricedFor = async (hit) => {
+      const ndc = normalizeMedNdc(hit.ndc);
+      if (!priced.has(ndc)) {
+        const located = invertedIndex ? locateDescription(invertedIndex, hit.ndc_description) : null;
+        const descChunks = located ? Array.from(new Set(located.map(([c]) => c))) : allChunks;
+        const selected = selectMedicine(await recordsOf(descChunks), hit.ndc_description, { ndc: hit.ndc }) || hit;
+        const altChunks = invertedIndex ? chunksForAlternatives(invertedIndex, selected, allChunks.length) : allChunks;
+        const alternatives = findAlternatives(await recordsOf(altChunks), selected);
+        priced.set(ndc, { record: selected, cheapest: cheaperGeneric(selected, alternatives) });
+      }
+      return priced.get(ndc);
+    };
+
+    const results = [];
+    for (let i = 0; i < lines.length; i++) {
+      if (i % FORMULARY_SLICE === 0) {
+        post({ type: 'progress', id, loaded: i, total: lines.length, phase: 'lines' });
+        await yieldToQueue();
+        checkCancelled(id);
+      }
+      const line = lines[i];
+      const p = parsed.get(line.input);
+      const hit = p ? p.candidates.map(c => byNdc.get(c)).find(Boolean) : null;
+      if (!hit) {
+        results.push(formularyLineResult(line, null, null, p ? 'notFound' : 'invalid'));
+        continue;
+      }
+      const { record, cheapest } = await pricedFor(hit);
+      results.push(formularyLineResult(line, record, cheapest));
+    }
+    post({ type: 'progress', id, loaded: lines.length, total: lines.length, phase: 'lines' });
+    post({ type: 'formulary', id, results, summary: summarizeFormulary(results), ndcColumn, quantityColumn });
+  }
+
+  const handlers = { load, suggest: runSuggest, select, lookupNdc, watchlist, formulary };
+
+  async function handle(msg) {
+    if (!msg) return;
+    if (msg.type === 'cancel') {
+      cancel(msg.targetId);
+      return;
+    }
+    const handler = handlers[msg.type];
+    if (!handler) {
+      post({ type: 'error', id: msg.id, message: `Unknown message type: ${msg.type}` });
+      return;
+    }
+    inFlight.add(msg.id);
+    try {
+      await handler(msg.id, msg);
+    } catch (e) {
+      if (e && e.cancelled) post({ type: 'cancelled', id: msg.id });
+      else post({ type: 'error', id: msg.id, message: (e && e.message) || String(e) });
+    } finally {
+      inFlight.delete(msg.id);
+      cancelled.delete(msg.id);
+      if (activeSuggestId === msg.id) activeSuggestId = null;
+    }
+  }
+
+  return { handle };
+}
@@ -0,0 +1,12 @@
+/* eslint-env es2020, worker */
+// Web Worker entry: keeps dataset loading, suggestions and alternatives off the main thread
+import { createDataService } from './dataService';
+
+// The worker's global scope (DedicatedWorkerGlobalScope)
+const worker = globalThis;
+
+const service = createDataService((msg) => worker.postMessage(msg));
+
+worker.onmessage = (event) => {
+  service.handle(event.data);
+};